@@ -0,0 +1,257 @@
+var _ = require('underscore');
+var async = require('async');
+var stream = require('stream');
+var Logger = require('./Logger');
+var DirectorySink = require('./DirectorySink');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * Tells whether a MIME type matches one of the types of a list, which may
+	 * end with a wildcard subtype (eg: `image/*`).
+	 *
+	 * @param {string}	type	- MIME type (eg: `image/png`)
+	 * @param {array}	list	- MIME types
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var matches = function (type, list) {
+		type = String(type || '').toLowerCase();
+
+		return _.some(list, function (pattern) {
+			pattern = pattern.toLowerCase();
+			return pattern === type || pattern === '*/*' ||
+				(/\/\*$/.test(pattern) && type.indexOf(pattern.slice(0, -1)) === 0);
+		});
+	};
+
+	/**
+	 * @class AttachmentStorage
+	 * @classdesc `AttachmentStorage` streams the attachments of the inbound emails
+	 * to a sink instead of buffering them, see {@link AttachmentStorage#watch}.
+	 * The stored attachments are given the reference of their `file` (eg: `{path}`),
+	 * the refused ones a `file` `null` and the reason of the refusal as `rejected`.
+	 *
+	 * @param {object}		[options]				- Options
+	 * @param {object}		[options.sink]			- Storage adapter exposing `save` and `remove` (see {@link DirectorySink})
+	 * @param {string}		[options.directory]		- Directory of the {@link DirectorySink}, used when no `sink` is given
+	 * @param {number}		[options.maxSize]		- Maximum size of an attachment, in bytes
+	 * @param {number}		[options.maxTotalSize]	- Maximum size of the attachments of an email, in bytes
+	 * @param {array}		[options.allow]			- MIME types accepted (eg: `['image/*', 'application/pdf']`), all of them by default
+	 * @param {array}		[options.deny]			- MIME types refused, even if allowed
+	 * @param {object}		[options.logger]		- {@link Logger#create} Logger
+	 *
+	 * @return {AttachmentStorage}
+	 */
+	function AttachmentStorage (options) {
+
+		options = options || {};
+
+		this.sink = options.sink || new DirectorySink(options);
+
+		this.maxSize = options.maxSize || Infinity;
+		this.maxTotalSize = options.maxTotalSize || Infinity;
+
+		this.allow = options.allow || null;
+		this.deny = options.deny || [];
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'AttachmentStorage'
+		});
+
+	}
+
+	/**
+	 * Tells why an attachment is refused because of its MIME type, if it is.
+	 *
+	 * @function check
+	 * @memberof AttachmentStorage.prototype
+	 *
+	 * @param {object}	attachment	- Attachment
+	 *
+	 * @return {(string|null)}
+	 *
+	 * @api private
+	 */
+	AttachmentStorage.prototype.check = function (attachment) {
+		var type = attachment.contentType;
+
+		if ((this.allow && !matches(type, this.allow)) || matches(type, this.deny)) {
+			return 'The type ' + type + ' is not accepted';
+		}
+
+		return null;
+	};
+
+	/**
+	 * Refuses an attachment, its content being dropped.
+	 *
+	 * @function reject
+	 * @memberof AttachmentStorage.prototype
+	 *
+	 * @param {object}	attachment	- Attachment
+	 * @param {string}	reason		- Reason of the refusal
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	AttachmentStorage.prototype.reject = function (attachment, reason) {
+		attachment.file = null;
+		attachment.rejected = reason;
+
+		this.logger.warn('Attachment rejected', {
+			fileName: attachment.generatedFileName,
+			contentType: attachment.contentType,
+			reason: reason
+		});
+	};
+
+	/**
+	 * Streams an attachment to the sink, within the size limits. The partial
+	 * content of an attachment exceeding them, or cut by the abortion of its
+	 * email, is removed from the sink.
+	 *
+	 * @function store
+	 * @memberof AttachmentStorage.prototype
+	 *
+	 * @param {object}		attachment		- Attachment emitted by the mail parser, with its `stream`
+	 * @param {object}		usage			- Size `{size}` of the attachments of the email so far, and the `aborts` functions cutting their streaming
+	 * @param {function}	callback		- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	AttachmentStorage.prototype.store = function (attachment, usage, callback) {
+		var source = attachment.stream;
+		var content = new stream.PassThrough();
+		var size = 0;
+		var exceeded = null;
+
+		delete attachment.stream;
+
+		var refused = this.check(attachment) || usage.aborted;
+		if (refused) {
+			this.reject(attachment, refused);
+			return process.nextTick(function () {
+				callback(null);
+			});
+		}
+
+		usage.aborts.push(function (reason) {
+			if (!exceeded) {
+				exceeded = reason;
+				content.end();
+			}
+		});
+
+		source.on('data', function (chunk) {
+			if (exceeded) {
+				return;
+			}
+
+			size += chunk.length;
+			usage.size += chunk.length;
+
+			if (size > this.maxSize) {
+				exceeded = 'The attachment exceeds ' + this.maxSize + ' bytes';
+			}
+			else if (usage.size > this.maxTotalSize) {
+				exceeded = 'The attachments exceed ' + this.maxTotalSize + ' bytes';
+			}
+
+			if (exceeded) {
+				return content.end();
+			}
+			content.write(chunk);
+		}.bind(this)).on('end', function () {
+			if (!exceeded) {
+				content.end();
+			}
+		});
+
+		this.sink.save(_.clone(attachment), content, function (e, file) {
+			if (e) {
+				this.logger.error('Attachment not stored', {
+					fileName: attachment.generatedFileName,
+					error: e
+				});
+				return callback(e);
+			}
+
+			if (exceeded) {
+				this.reject(attachment, exceeded);
+				return this.sink.remove(file, callback);
+			}
+
+			attachment.file = file;
+			callback(null);
+		}.bind(this));
+	};
+
+	/**
+	 * Stores the attachments emitted by a mail parser created with the
+	 * `streamAttachments` option, and returns a function waiting for them
+	 * to be stored. Its `abort(callback)` method cuts the attachments being
+	 * streamed and removes all of them from the sink, when the email is refused.
+	 *
+	 * @function watch
+	 * @memberof AttachmentStorage.prototype
+	 *
+	 * @param {MailParser}	parser	- Mail parser
+	 *
+	 * @return {function}	`wait(callback)`, with its `abort(callback)` method
+	 *
+	 * @api public
+	 */
+	AttachmentStorage.prototype.watch = function (parser) {
+		var usage = {
+			size: 0,
+			aborted: null,
+			aborts: []
+		};
+		var storing = [];
+		var attachments = [];
+
+		parser.on('attachment', function (attachment) {
+			attachments.push(attachment);
+
+			var stored = async.memoize(this.store.bind(this, attachment, usage));
+
+			// The content is only emitted once, the attachment is stored right away.
+			stored(function () {});
+			storing.push(stored);
+		}.bind(this));
+
+		var wait = function (callback) {
+			async.parallel(storing, function (e) {
+				callback(e || null);
+			});
+		};
+
+		// The email being refused, the attachments are cut and removed.
+		wait.abort = function (callback) {
+			usage.aborted = 'The email was aborted';
+			_.each(usage.aborts, function (abort) {
+				abort(usage.aborted);
+			});
+
+			wait(function () {
+				async.each(_.compact(_.pluck(attachments, 'file')), function (file, cb) {
+					this.sink.remove(file, cb);
+				}.bind(this), function (e) {
+					callback(e || null);
+				});
+			}.bind(this));
+		}.bind(this);
+
+		return wait;
+	};
+
+	return AttachmentStorage;
+
+})();
@@ -0,0 +1,384 @@
+var _ = require('underscore');
+var async = require('async');
+
+module.exports = (function () {
+	'use strict';
+
+	// Parts of the delivery reports kept in memory: the delivery status, and the
+	// headers of the returned message.
+	var REPORTS = {
+		'message/delivery-status': 'status',
+		'message/global-delivery-status': 'status',
+		'text/rfc822-headers': 'headers',
+		'message/rfc822': 'headers',
+		'message/global': 'headers'
+	};
+
+	// Bytes kept of each part, the returned messages only being read for their headers.
+	var MAX_REPORT_SIZE = 64 * 1024;
+
+	// Senders and subjects of the non-standard bounces (eg: qmail, Exchange, Gmail).
+	var DAEMONS = /^(mailer-daemon|mail-daemon|mailerdaemon|postmaster)@/i;
+
+	var SUBJECTS = new RegExp('^(' + [
+		'undeliver(able|ed)',
+		'delivery status notification',
+		'(mail )?delivery (failed|failure|has failed)',
+		'returned mail',
+		'failure notice',
+		'non remis',
+		'unzustellbar',
+		'onbestelbaar',
+		'no se puede entregar'
+	].join('|') + ')\\b', 'i');
+
+	// Reasons of the temporary failures, when the bounce carries no status code.
+	var SOFT = new RegExp([
+		'mailbox (is )?full',
+		'over ?quota',
+		'quota exceeded',
+		'temporar(y|ily)',
+		'try again',
+		'delayed',
+		'deferred'
+	].join('|'), 'i');
+
+	// Subjects of the automatic replies sent without the RFC 3834 headers.
+	var AUTO_REPLIES = new RegExp('^(' + [
+		'auto(matic)?[ -]?(reply|response)',
+		'out of (the )?office',
+		'r[ée]ponse automatique',
+		'automatische antwort',
+		'abwesenheitsnotiz',
+		'automatisch antwoord',
+		'respuesta autom[áa]tica'
+	].join('|') + ')\\b', 'i');
+
+	// Out-of-office replies, the other automatic replies being `auto-reply`.
+	var OUT_OF_OFFICE = new RegExp([
+		'out of (the )?office',
+		'on vacation',
+		'on holiday',
+		'absent',
+		'absence',
+		'abwesen',
+		'afwezig',
+		'fuera de la oficina',
+		'ausente'
+	].join('|'), 'i');
+
+	// SMTP enhanced status code (eg: `5.1.1`), or else basic reply code (eg: `550`).
+	var STATUS = /\b([45])\.\d{1,3}\.\d{1,3}\b/;
+	var CODE = /(?:^|\s)([45])\d\d(?=[\s-])/m;
+
+	var ADDRESS = /[^\s<>"'(),;:\[\]]+@[\w.-]+\.[a-z]{2,}/gi;
+
+	/**
+	 * Reads the header fields of a delivery status or of a returned message,
+	 * the folded lines being unfolded.
+	 *
+	 * @param {string}	text	- Header fields
+	 *
+	 * @return {object}	Values indexed by lower-cased field name
+	 *
+	 * @api private
+	 */
+	var fields = function (text) {
+		var lines = text.replace(/\r?\n[ \t]+/g, ' ').split(/\r?\n/);
+
+		return _.reduce(lines, function (memo, line) {
+			var field = /^([\w-]+):\s*(.*)$/.exec(line);
+
+			if (field) {
+				memo[field[1].toLowerCase()] = field[2].trim();
+			}
+
+			return memo;
+		}, {});
+	};
+
+	/**
+	 * Strips the type of an address or a code of a delivery status
+	 * (eg: `rfc822; jane@example.com`).
+	 *
+	 * @param {string}	[value]	- Value
+	 *
+	 * @return {(string|null)}
+	 *
+	 * @api private
+	 */
+	var typed = function (value) {
+		return value ? value.replace(/^[\w-]+;\s*/, '').replace(/^<|>$/g, '') : null;
+	};
+
+	/**
+	 * Reads the failed recipient of the per-recipient fields of a delivery status.
+	 *
+	 * @param {object}	recipient	- Per-recipient fields
+	 *
+	 * @return {(string|null)}
+	 *
+	 * @api private
+	 */
+	var failedRecipient = function (recipient) {
+		return typed(recipient['final-recipient'] || recipient['original-recipient']);
+	};
+
+	/**
+	 * Classifies a failure from its status code, or else its description.
+	 *
+	 * @param {string}	[status]	- Status code
+	 * @param {string}	[text]		- Description
+	 *
+	 * @return {string}	`hard` or `soft`
+	 *
+	 * @api private
+	 */
+	var severity = function (status, text) {
+		if (status) {
+			return status.charAt(0) === '4' ? 'soft' : 'hard';
+		}
+
+		return SOFT.test(text || '') ? 'soft' : 'hard';
+	};
+
+	/**
+	 * Reads the Message-ID of the returned message from its headers.
+	 *
+	 * @param {string}	[text]	- Headers of the returned message
+	 *
+	 * @return {(string|null)}
+	 *
+	 * @api private
+	 */
+	var returnedId = function (text) {
+		var id = /^Message-ID:\s*<?([^>\s]+)>?/im.exec(text || '');
+
+		return id ? id[1] : null;
+	};
+
+	/**
+	 * Parses a delivery status notification (RFC 3464), whose per-recipient fields
+	 * follow the per-message ones.
+	 *
+	 * @param {object}	reports		- Parts of the report
+	 *
+	 * @return {(object|null)}	`null` when no recipient failed
+	 *
+	 * @api private
+	 */
+	var parseReport = function (reports) {
+		var failed = _.chain(reports.status.split(/(?:\r?\n){2,}/).slice(1))
+			.map(fields)
+			.filter(function (recipient) {
+				return /^(failed|delayed)$/i.test(recipient.action || '');
+			})
+			.value();
+
+		if (!failed.length) {
+			return null;
+		}
+
+		var first = failed[0];
+		var status = typed(first.status);
+
+		return {
+			type: /^delayed$/i.test(first.action) ? 'soft' : severity(status),
+			recipient: failedRecipient(first),
+			recipients: _.map(failed, failedRecipient),
+			status: status,
+			diagnostic: typed(first['diagnostic-code']),
+			originalMessageId: returnedId(reports.headers)
+		};
+	};
+
+	/**
+	 * Parses a bounce which is not a delivery status notification, from its
+	 * `X-Failed-Recipients` header and its text.
+	 *
+	 * @param {object}	email		- Email parsed by the mail parser
+	 * @param {object}	reports		- Parts of the report
+	 *
+	 * @return {object}
+	 *
+	 * @api private
+	 */
+	var parseText = function (email, reports) {
+		var text = email.text || '';
+		var addresses = [].concat(email.from || [], email.to || []);
+		var own = _.map(addresses, function (address) {
+			return String(address.address).toLowerCase();
+		});
+		var failed = (email.headers || {})['x-failed-recipients'];
+		var recipients = failed ?
+			String(failed).split(/\s*,\s*/) :
+			_.filter(_.uniq(text.match(ADDRESS) || []), function (address) {
+				return !_.contains(own, address.toLowerCase());
+			});
+		var status = STATUS.exec(text) || CODE.exec(text);
+		var diagnostic = _.find(text.split(/\r?\n/), function (line) {
+			return STATUS.test(line) || CODE.test(line);
+		});
+
+		return {
+			type: severity(status && status[1], text),
+			recipient: recipients[0] || null,
+			recipients: recipients.slice(0, 1),
+			status: status ? status[0].trim() : null,
+			diagnostic: diagnostic ? diagnostic.trim() : null,
+			originalMessageId: returnedId(reports.headers) || returnedId(text)
+		};
+	};
+
+	/**
+	 * Tells whether an email is an automatic reply (RFC 3834, and the headers
+	 * of the common mail clients and servers).
+	 *
+	 * @param {object}	email	- Email parsed by the mail parser
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var isAutoReply = function (email) {
+		var headers = email.headers || {};
+
+		return !!(
+			(headers['auto-submitted'] && !/^no$/i.test(headers['auto-submitted'])) ||
+			headers['x-autoreply'] ||
+			headers['x-autorespond'] ||
+			/^auto[_-]reply$/i.test(headers.precedence || '') ||
+			AUTO_REPLIES.test(email.subject || '')
+		);
+	};
+
+	/**
+	 * @class BounceParser
+	 * @classdesc `BounceParser` helpers recognizing the delivery status notifications
+	 * (RFC 3464), the common non-standard bounces and the automatic replies among
+	 * the inbound emails.
+	 */
+	var BounceParser = {};
+
+	/**
+	 * Keeps the report parts emitted by a mail parser created with the
+	 * `streamAttachments` option, and returns a function waiting for them
+	 * to end, fail or be closed.
+	 *
+	 * @function watch
+	 * @memberof BounceParser
+	 *
+	 * @param {MailParser}	parser	- Mail parser
+	 *
+	 * @return {function}	`wait(callback)`, the callback being called with the parts `{status, headers}`
+	 *
+	 * @api public
+	 */
+	BounceParser.watch = function (parser) {
+		var reports = {
+			status: null,
+			headers: null
+		};
+		var reading = [];
+
+		parser.on('attachment', function (attachment) {
+			var name = REPORTS[String(attachment.contentType).toLowerCase()];
+
+			if (!name || reports[name] !== null) {
+				return;
+			}
+
+			var content = '';
+			reports[name] = '';
+
+			attachment.stream.on('data', function (chunk) {
+				if (content.length < MAX_REPORT_SIZE) {
+					content += chunk.toString();
+				}
+			});
+
+			// The content is only emitted once, it is read right away. A part
+			// failing or closed before its end (eg: an abandoned parser) is dropped.
+			var read = async.memoize(function (cb) {
+				var done = _.once(function (ended) {
+					reports[name] = ended ? content.slice(0, MAX_REPORT_SIZE) : null;
+					cb(null);
+				});
+
+				attachment.stream.on('end', function () {
+					done(true);
+				});
+				attachment.stream.on('error', function () {
+					done(false);
+				});
+				attachment.stream.on('close', function () {
+					done(false);
+				});
+			});
+
+			read(function () {});
+			reading.push(read);
+		});
+
+		return function (callback) {
+			async.parallel(reading, function () {
+				callback(null, reports);
+			});
+		};
+	};
+
+	/**
+	 * Classifies an inbound email: bounces are `hard` (permanent failures) or `soft`
+	 * (temporary ones), and automatic replies `out-of-office` or `auto-reply`.
+	 *
+	 * @function parse
+	 * @memberof BounceParser
+	 *
+	 * @param {object}	email		- Email parsed by the mail parser
+	 * @param {object}	[reports]	- Report parts `{status, headers}`, see {@link BounceParser.watch}
+	 *
+	 * @return {(object|null)}	`{type, recipient, recipients, status, diagnostic, originalMessageId}`,
+	 * `null` for the other emails
+	 *
+	 * @api public
+	 */
+	BounceParser.parse = function (email, reports) {
+		reports = reports || {};
+
+		var headers = email.headers || {};
+		var from = _.pluck(email.from || [], 'address').join(' ');
+		var report = /^multipart\/report/i.test(headers['content-type'] || '');
+
+		if (reports.status) {
+			var bounce = parseReport(reports);
+
+			if (bounce || report) {
+				return bounce;
+			}
+		}
+
+		if (DAEMONS.test(from) ||
+			headers['x-failed-recipients'] ||
+			SUBJECTS.test(email.subject || '')) {
+			return parseText(email, reports);
+		}
+
+		if (isAutoReply(email)) {
+			var intro = (email.subject || '') + '\n' + (email.text || '').slice(0, 200);
+
+			return {
+				type: OUT_OF_OFFICE.test(intro) ? 'out-of-office' : 'auto-reply',
+				recipient: _.first(_.pluck(email.from || [], 'address')) || null,
+				recipients: _.pluck(email.from || [], 'address').slice(0, 1),
+				status: null,
+				diagnostic: null,
+				originalMessageId: _.first(email.inReplyTo || []) || null
+			};
+		}
+
+		return null;
+	};
+
+	return BounceParser;
+
+})();
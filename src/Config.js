@@ -0,0 +1,824 @@
+var _ = require('underscore');
+var fs = require('fs');
+
+module.exports = (function () {
+	'use strict';
+
+	// Type checks and their description in the error messages.
+	var TYPES = {
+		string: {
+			test: _.isString,
+			label: 'a string'
+		},
+		number: {
+			test: function (value) {
+				return _.isNumber(value) && _.isFinite(value) && value >= 0;
+			},
+			label: 'a positive number'
+		},
+		boolean: {
+			test: _.isBoolean,
+			label: 'a boolean'
+		},
+		object: {
+			test: function (value) {
+				return _.isObject(value) && !_.isArray(value) && !_.isFunction(value);
+			},
+			label: 'an object'
+		},
+		array: {
+			test: _.isArray,
+			label: 'an array'
+		},
+		function: {
+			test: _.isFunction,
+			label: 'a function'
+		},
+		integer: {
+			test: function (value) {
+				return value === (value | 0) && value >= 0;
+			},
+			label: 'a positive integer'
+		},
+		port: {
+			test: function (value) {
+				return value === (value | 0) && value >= 0 && value <= 65535;
+			},
+			label: 'a port number (0 to 65535)'
+		},
+		directory: {
+			test: function (value) {
+				try {
+					return _.isString(value) && fs.statSync(value).isDirectory();
+				}
+				catch (e) {
+					return false;
+				}
+			},
+			label: 'the path of an existing directory'
+		}
+	};
+
+	var store = {
+		type: 'object',
+		properties: {
+			store: {
+				type: 'object'
+			},
+			path: {
+				type: 'string'
+			}
+		}
+	};
+
+	var quotas = {
+		type: 'object',
+		properties: {
+			rate: {
+				type: 'integer'
+			},
+			daily: {
+				type: 'integer'
+			},
+			concurrency: {
+				type: 'integer'
+			}
+		}
+	};
+
+	var limits = _.extend({}, quotas, {
+		properties: _.extend({
+			domains: {
+				type: 'object',
+				values: quotas
+			}
+		}, quotas.properties)
+	});
+
+	var templating = {
+		type: 'object',
+		properties: {
+			engine: {
+				type: 'string'
+			},
+			helpers: {
+				type: 'object',
+				values: {
+					type: 'function'
+				}
+			},
+			partials: {
+				type: 'object',
+				values: {
+					type: 'string'
+				}
+			},
+			i18n: {
+				type: 'object',
+				default: {},
+				properties: {
+					locales: {
+						type: 'array',
+						default: ['en'],
+						items: {
+							type: 'string'
+						}
+					},
+					defaultLocale: {
+						type: 'string',
+						default: 'en'
+					},
+					directory: {
+						type: 'string',
+						default: './languages'
+					},
+					updateFiles: {
+						type: 'boolean'
+					},
+					objectNotation: {
+						type: 'boolean',
+						default: true
+					},
+					indent: {
+						type: 'string',
+						default: '\t'
+					}
+				},
+				check: function (i18n) {
+					if (!_.contains(i18n.locales, i18n.defaultLocale)) {
+						return 'must list its `defaultLocale` in its `locales`';
+					}
+				}
+			}
+		}
+	};
+
+	/**
+	 * Checks that the transport names of the email sender options (default
+	 * transport, rules and routes) name a configured transport, see
+	 * {@link EmailSender}: `direct` or `sendmail` is set up for the default
+	 * transport, and the routes are usable wherever a transport is expected.
+	 *
+	 * @param {object}	sender	- Options of the email sender
+	 *
+	 * @return {(undefined|object)}	Messages indexed by the path of the options
+	 *
+	 * @api private
+	 */
+	var checkTransports = function (sender) {
+		var lower = function (name) {
+			return String(name).toLowerCase();
+		};
+		var fallback = /linux/i.test(process.platform) ? 'sendmail' : 'direct';
+		var defaultTransport = lower(sender.defaultTransport || fallback);
+		var transports = _.filter(['ses', 'smtp', 'stub', 'direct', 'sendmail'],
+			function (name) {
+				return sender[name];
+			});
+		transports.push(defaultTransport === 'sendmail' ? 'sendmail' : 'direct');
+
+		var names = transports.concat(_.map(_.keys(sender.routes), lower));
+		var messages = {};
+		var expect = function (name, known, path) {
+			if (_.isString(name) && !_.contains(known, lower(name))) {
+				messages[path] = 'names no configured transport (`' + name + '`)';
+			}
+		};
+
+		expect(sender.defaultTransport, names, '.defaultTransport');
+		_.each(sender.rules, function (rule, index) {
+			expect(rule && rule.transport, names, '.rules[' + index + '].transport');
+		});
+		_.each(sender.routes, function (route, name) {
+			var path = '.routes.' + name;
+			_.each(_.keys(route && route.weights), function (transport) {
+				expect(transport, transports, path + '.weights.' + transport);
+			});
+			_.each(_.isArray(route && route.failover) && route.failover,
+				function (transport, index) {
+					expect(transport, transports, path + '.failover[' + index + ']');
+				});
+		});
+
+		return _.isEmpty(messages) ? undefined : messages;
+	};
+
+	var SCHEMA = {
+		type: 'object',
+		default: {},
+		properties: {
+			logger: {
+				type: 'object'
+			},
+			email: {
+				type: 'object',
+				properties: {
+					templatesDir: {
+						type: 'directory'
+					},
+					templating: templating,
+					concurrency: {
+						type: 'number',
+						default: 10
+					},
+					replyRules: {
+						type: 'object',
+						values: {
+							type: 'object',
+							properties: {
+								quotes: {
+									type: 'array'
+								},
+								signatures: {
+									type: 'array'
+								},
+								forwards: {
+									type: 'array'
+								},
+								attributions: {
+									type: 'array'
+								},
+								fields: {
+									type: 'object',
+									values: {
+										type: 'array',
+										items: {
+											type: 'string'
+										}
+									}
+								}
+							}
+						}
+					},
+					cleanText: {
+						type: 'boolean'
+					},
+					defaultCharset: {
+						type: 'string'
+					},
+					rejectUnrouted: {
+						type: 'boolean'
+					},
+					replyTokens: _.extend({}, store, {
+						properties: _.extend({
+							secret: {
+								type: 'string',
+								required: true
+							},
+							address: {
+								type: 'string',
+								required: true
+							},
+							format: {
+								type: 'string',
+								check: function (format) {
+									if (!_.contains(['plus', 'verp'], format)) {
+										return 'must be `plus` or `verp`';
+									}
+								}
+							}
+						}, store.properties)
+					}),
+					suppression: store,
+					suppressBounces: {
+						type: 'boolean'
+					},
+					attachments: {
+						type: 'object',
+						properties: {
+							sink: {
+								type: 'object'
+							},
+							directory: {
+								type: 'directory'
+							},
+							maxSize: {
+								type: 'number'
+							},
+							maxTotalSize: {
+								type: 'number'
+							},
+							allow: {
+								type: 'array',
+								items: {
+									type: 'string'
+								}
+							},
+							deny: {
+								type: 'array',
+								items: {
+									type: 'string'
+								}
+							}
+						}
+					},
+					sender: {
+						type: 'object',
+						properties: {
+							defaultTransport: {
+								type: 'string'
+							},
+							compiler: {
+								type: 'boolean'
+							},
+							ses: {
+								type: 'object',
+								properties: {
+									accessKeyId: {
+										type: 'string'
+									},
+									secretAccessKey: {
+										type: 'string'
+									},
+									sessionToken: {
+										type: 'string'
+									},
+									region: {
+										type: 'string'
+									},
+									httpOptions: {
+										type: 'object'
+									},
+									rateLimit: {
+										type: 'integer'
+									}
+								}
+							},
+							smtp: {
+								type: 'object',
+								properties: {
+									host: {
+										type: 'string'
+									},
+									port: {
+										type: 'port'
+									},
+									secure: {
+										type: 'boolean'
+									},
+									requireTLS: {
+										type: 'boolean'
+									},
+									ignoreTLS: {
+										type: 'boolean'
+									},
+									tls: {
+										type: 'object'
+									},
+									name: {
+										type: 'string'
+									},
+									authMethod: {
+										type: 'string'
+									},
+									auth: {
+										type: 'object',
+										properties: {
+											user: {
+												type: 'string',
+												required: true
+											},
+											pass: {
+												type: 'string'
+											}
+										}
+									},
+									pool: {
+										type: 'boolean'
+									},
+									maxConnections: {
+										type: 'number'
+									},
+									maxMessages: {
+										type: 'number'
+									},
+									connectionTimeout: {
+										type: 'number'
+									},
+									greetingTimeout: {
+										type: 'number'
+									},
+									socketTimeout: {
+										type: 'number'
+									},
+									debug: {
+										type: 'boolean'
+									}
+								}
+							},
+							stub: {
+								type: 'object'
+							},
+							direct: {
+								type: 'object'
+							},
+							sendmail: {
+								type: 'object',
+								properties: {
+									path: {
+										type: 'string'
+									},
+									args: {
+										type: 'array'
+									}
+								}
+							},
+							routes: {
+								type: 'object',
+								values: {
+									type: 'object',
+									properties: {
+										weights: {
+											type: 'object',
+											values: {
+												type: 'number'
+											}
+										},
+										failover: {
+											type: 'array',
+											items: {
+												type: 'string'
+											}
+										}
+									}
+								}
+							},
+							rules: {
+								type: 'array',
+								items: {
+									type: 'object',
+									properties: {
+										transport: {
+											type: 'string',
+											required: true
+										},
+										domain: {
+											type: ['string', 'array']
+										},
+										type: {
+											type: ['string', 'array']
+										}
+									}
+								}
+							},
+							limits: {
+								type: 'object',
+								values: limits
+							}
+						},
+						check: checkTransports
+					},
+					receiver: {
+						type: 'object',
+						properties: {
+							port: {
+								type: 'port',
+								default: 25
+							},
+							SMTPBanner: {
+								type: 'string'
+							},
+							banner: {
+								type: 'string'
+							},
+							hostname: {
+								type: 'string'
+							},
+							disableDNSValidation: {
+								type: 'boolean'
+							},
+							debug: {
+								type: 'boolean'
+							},
+							tls: {
+								type: 'object',
+								properties: {
+									key: {
+										type: ['string', 'object'],
+										required: true
+									},
+									cert: {
+										type: ['string', 'object'],
+										required: true
+									}
+								}
+							},
+							secure: {
+								type: 'boolean'
+							},
+							auth: {
+								type: 'object',
+								properties: {
+									users: {
+										type: 'object',
+										values: {
+											type: 'string'
+										}
+									},
+									authorize: {
+										type: 'function'
+									},
+									required: {
+										type: 'boolean'
+									},
+									methods: {
+										type: 'array',
+										items: {
+											type: 'string'
+										}
+									},
+									allowInsecure: {
+										type: 'boolean'
+									}
+								},
+								check: function (auth) {
+									if (!auth.users && !auth.authorize) {
+										return 'must have `users` or `authorize`';
+									}
+								}
+							},
+							maxSize: {
+								type: 'number'
+							},
+							maxRecipients: {
+								type: 'number'
+							},
+							maxConnections: {
+								type: 'number'
+							},
+							timeout: {
+								type: 'number'
+							},
+							senderValidator: {
+								type: 'function'
+							},
+							recipientValidator: {
+								type: 'function'
+							}
+						},
+						check: function (receiver) {
+							if (receiver.secure && !receiver.tls) {
+								return 'must have `tls` to be `secure`';
+							}
+						}
+					},
+					queue: _.extend({}, store, {
+						properties: _.extend({
+							attempts: {
+								type: 'number'
+							},
+							delay: {
+								type: 'number'
+							},
+							factor: {
+								type: 'number'
+							},
+							maxDelay: {
+								type: 'number'
+							}
+						}, store.properties)
+					}),
+					scheduler: store,
+					idempotency: _.extend({}, store, {
+						properties: _.extend({
+							window: {
+								type: 'number'
+							}
+						}, store.properties)
+					})
+				}
+			},
+			sms: {
+				type: 'object',
+				properties: {
+					templatesDir: {
+						type: 'directory'
+					},
+					templating: templating,
+					budgets: {
+						type: 'object',
+						values: {
+							type: 'number'
+						}
+					},
+					sender: {
+						type: 'object',
+						properties: {
+							defaultTransport: {
+								type: 'string'
+							},
+							stub: {
+								type: 'object'
+							},
+							http: {
+								type: 'object',
+								properties: {
+									url: {
+										type: 'string',
+										required: true
+									},
+									method: {
+										type: 'string'
+									},
+									format: {
+										type: 'string'
+									},
+									headers: {
+										type: 'object'
+									},
+									auth: {
+										type: 'string'
+									},
+									timeout: {
+										type: 'number'
+									},
+									request: {
+										type: 'function'
+									},
+									response: {
+										type: 'function'
+									}
+								}
+							},
+							transports: {
+								type: 'object',
+								values: {
+									type: 'object'
+								}
+							},
+							maxSegments: {
+								type: 'number'
+							}
+						}
+					},
+					receiver: {
+						type: 'object',
+						properties: {
+							port: {
+								type: 'port',
+								default: 8080
+							},
+							host: {
+								type: 'string'
+							},
+							path: {
+								type: 'string',
+								default: '/sms'
+							},
+							secret: {
+								type: 'string'
+							},
+							insecure: {
+								type: 'boolean'
+							},
+							signatureHeader: {
+								type: 'string'
+							},
+							maxBodySize: {
+								type: 'number'
+							},
+							normalize: {
+								type: 'function'
+							}
+						},
+						check: function (receiver) {
+							if (!receiver.secret && !receiver.insecure) {
+								return 'must have a `secret`, unless `insecure` is set';
+							}
+						}
+					}
+				}
+			}
+		}
+	};
+
+	/**
+	 * Checks a value against a schema node, collecting the errors, and returns
+	 * a copy of the value completed with the defaults.
+	 *
+	 * @param {object}	schema	- Schema node (`type`, `required`, `default`, `properties`, `items`, `values`, `check`), the keys missing from its `properties` are reported
+	 * @param {*}		value	- Value to check
+	 * @param {string}	path	- Path of the value (eg: `email.receiver.port`)
+	 * @param {array}	errors	- Errors `{path, message}`
+	 *
+	 * @return {*}
+	 *
+	 * @api private
+	 */
+	var check = function (schema, value, path, errors) {
+		var fail = function (message) {
+			errors.push({
+				path: path,
+				message: '`' + path + '` ' + message
+			});
+		};
+
+		if (_.isUndefined(value) || _.isNull(value)) {
+			if (schema.required) {
+				fail('is required');
+			}
+			if (_.isUndefined(schema.default)) {
+				return value;
+			}
+			value = _.clone(schema.default);
+		}
+
+		var types = [].concat(schema.type);
+		var valid = _.some(types, function (type) {
+			return TYPES[type].test(value);
+		});
+
+		if (!valid) {
+			fail('must be ' + _.map(types, function (type) {
+				return TYPES[type].label;
+			}).join(' or '));
+			return value;
+		}
+
+		if (schema.properties) {
+			value = _.clone(value);
+			_.each(schema.properties, function (property, name) {
+				var result = check(property, value[name], path + '.' + name, errors);
+				if (!_.isUndefined(result)) {
+					value[name] = result;
+				}
+			});
+			_.each(_.difference(_.keys(value), _.keys(schema.properties)),
+				function (name) {
+					errors.push({
+						path: path + '.' + name,
+						message: '`' + path + '.' + name + '` is unknown'
+					});
+				});
+		}
+
+		if (schema.values) {
+			value = _.object(_.map(value, function (item, name) {
+				return [name, check(schema.values, item, path + '.' + name, errors)];
+			}));
+		}
+
+		if (schema.items) {
+			value = _.map(value, function (item, index) {
+				return check(schema.items, item, path + '[' + index + ']', errors);
+			});
+		}
+
+		// A check returns a message, or messages indexed by the path of the
+		// options they are about (relative to the checked value).
+		var message = schema.check && schema.check(value);
+		if (_.isString(message)) {
+			fail(message);
+		}
+		else if (message) {
+			_.each(message, function (text, relative) {
+				errors.push({
+					path: path + relative,
+					message: '`' + path + relative + '` ' + text
+				});
+			});
+		}
+
+		return value;
+	};
+
+	/**
+	 * @class Config
+	 * @classdesc `Config` validation of the options tree given to {@link SGSCommunication#init}.
+	 */
+	var Config = {};
+
+	/**
+	 * Validates the options of {@link SGSCommunication#init} and returns a copy completed
+	 * with the defaults (eg: `email.receiver.port`, `email.templating.i18n`).
+	 * Throws an error listing every invalid or unknown option by its path, the list is available
+	 * as `e.errors` (`{path, message}`).
+	 *
+	 * @function validate
+	 * @memberof Config
+	 *
+	 * @param {object}	[options]	- Options
+	 *
+	 * @return {object}
+	 *
+	 * @api public
+	 */
+	Config.validate = function (options) {
+		var errors = [];
+		var result = check(SCHEMA, options, 'options', errors);
+
+		if (errors.length) {
+			var e = new Error([
+				'SGSCommunication: invalid options, ',
+				_.pluck(errors, 'message').join(', ')
+			].join(''));
+			e.errors = errors;
+			throw e;
+		}
+
+		return result;
+	};
+
+	return Config;
+
+})();
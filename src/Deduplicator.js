@@ -0,0 +1,152 @@
+var _ = require('underscore');
+var async = require('async');
+var Promises = require('./Promises');
+var FileStore = require('./FileStore');
+var MemoryStore = require('./MemoryStore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class Deduplicator
+	 * @classdesc `Deduplicator` runs a task at most once per idempotency key
+	 * within a time window. Repeated runs get the result of the first one.
+	 *
+	 * @param {object}	[options]					- Options
+	 * @param {object}	[options.store]				- Storage adapter exposing `get`, `set`, `remove` and `list` (see {@link MemoryStore})
+	 * @param {string}	[options.path]				- Path of the {@link FileStore} JSON file, used when no `store` is given
+	 * @param {number}	[options.window=86400000]	- Milliseconds during which a key is remembered
+	 *
+	 * @return {Deduplicator}
+	 */
+	function Deduplicator (options) {
+
+		options = options || {};
+
+		this.store = options.store;
+		if (!this.store) {
+			this.store = options.path ? new FileStore(options) : new MemoryStore();
+		}
+
+		this.window = options.window || 86400000;
+
+		this.running = {};
+
+		this.purgedAt = Date.now();
+
+	}
+
+	/**
+	 * Runs a task unless it already ran with the same key within the window,
+	 * in which case the callback receives the stored result. Concurrent runs
+	 * with the same key wait for the first one, and run again when its result
+	 * is not remembered.
+	 * The task is called with `done(e, result, keep)`, errors and results
+	 * given with `keep === false` are not remembered so that the task can be retried.
+	 * The elapsed keys are purged at most once per window, see {@link Deduplicator#purge}.
+	 *
+	 * @function run
+	 * @memberof Deduplicator.prototype
+	 *
+	 * @param {string}		key			- Idempotency key
+	 * @param {function}	task		- Task
+	 * @param {function}	callback	- Callback called with `(e, result, duplicate)`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	Deduplicator.prototype.run = function (key, task, callback) {
+		key = String(key);
+
+		if (this.running[key]) {
+			return this.running[key].push({
+				task: task,
+				callback: callback
+			});
+		}
+
+		this.running[key] = [];
+
+		if (Date.now() - this.purgedAt >= this.window) {
+			this.purgedAt = Date.now();
+			this.purge(function () {});
+		}
+
+		var finish = function (e, result, duplicate, shared) {
+			var waiting = this.running[key];
+			delete this.running[key];
+
+			callback(e, result, duplicate);
+			_.each(waiting, function (waiter) {
+				// The waiters run their task when the result is not remembered.
+				if (!shared) {
+					return this.run(key, waiter.task, waiter.callback);
+				}
+				waiter.callback(e, result, !e);
+			}, this);
+		}.bind(this);
+
+		this.store.get(key, function (e, entry) {
+			if (e) {
+				return finish(e, null, false, true);
+			}
+
+			if (entry && entry.expiresAt > Date.now()) {
+				return finish(null, entry.result, true, true);
+			}
+
+			task(function (e, result, keep) {
+				if (e || keep === false) {
+					return finish(e, result, false, false);
+				}
+
+				this.store.set(key, {
+					key: key,
+					result: result,
+					createdAt: Date.now(),
+					expiresAt: Date.now() + this.window
+				}, function () {
+					finish(null, result, false, true);
+				});
+			}.bind(this));
+		}.bind(this));
+	};
+
+	/**
+	 * Forgets the keys whose window elapsed.
+	 *
+	 * @function purge
+	 * @memberof Deduplicator.prototype
+	 *
+	 * @param {function}	[callback]	- Callback called with the amount of removed keys
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	Deduplicator.prototype.purge = function (callback) {
+		callback = callback || function () {};
+
+		this.store.list(function (e, entries) {
+			if (e) {
+				return callback(e);
+			}
+
+			var expired = _.filter(entries, function (entry) {
+				return entry.expiresAt <= Date.now();
+			});
+
+			async.each(expired, function (entry, cb) {
+				this.store.remove(entry.key, cb);
+			}.bind(this), function (e) {
+				callback(e || null, expired.length);
+			});
+		}.bind(this));
+	};
+
+	Promises.wrapAll(Deduplicator, ['purge']);
+
+	return Deduplicator;
+
+})();
@@ -0,0 +1,85 @@
+var _ = require('underscore');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var crypto = require('crypto');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class DirectorySink
+	 * @classdesc `DirectorySink` storage adapter of the inbound attachments, written
+	 * as files in a directory. Every pluggable sink follows the same interface:
+	 * `save` which consumes the content stream of an attachment and gives back
+	 * a reference to the stored file, and `remove`, both of them asynchronous.
+	 *
+	 * @param {object}	[options]				- Options
+	 * @param {string}	[options.directory]		- Existing directory of the files, the temporary directory of the system by default
+	 *
+	 * @return {DirectorySink}
+	 */
+	function DirectorySink (options) {
+
+		options = options || {};
+
+		this.directory = options.directory || os.tmpdir();
+
+	}
+
+	/**
+	 * Writes the content of an attachment to a file named after the attachment,
+	 * prefixed with random characters so that the files never collide.
+	 *
+	 * @function save
+	 * @memberof DirectorySink.prototype
+	 *
+	 * @param {object}		attachment	- Attachment (`generatedFileName`, `contentType`, ...etc.)
+	 * @param {Readable}	stream		- Decoded content of the attachment
+	 * @param {function}	callback	- Callback called with the reference `{path}` of the file
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	DirectorySink.prototype.save = function (attachment, stream, callback) {
+		var file = path.join(this.directory, [
+			crypto.randomBytes(8).toString('hex'),
+			attachment.generatedFileName || 'attachment'
+		].join('-'));
+		var output = fs.createWriteStream(file);
+
+		callback = _.once(callback);
+
+		output.on('error', callback).on('finish', function () {
+			callback(null, {
+				path: file
+			});
+		});
+
+		stream.pipe(output);
+	};
+
+	/**
+	 * Removes a stored file (eg: the partial content of an attachment
+	 * exceeding the size limits).
+	 *
+	 * @function remove
+	 * @memberof DirectorySink.prototype
+	 *
+	 * @param {object}		file		- Reference `{path}` given by `save`
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	DirectorySink.prototype.remove = function (file, callback) {
+		fs.unlink(file.path, function (e) {
+			callback(e && e.code !== 'ENOENT' ? e : null);
+		});
+	};
+
+	return DirectorySink;
+
+})();
@@ -0,0 +1,102 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class EmailAddresses
+	 * @classdesc `EmailAddresses` helpers used to extract plain email addresses
+	 * from the address fields accepted by nodemailer.
+	 */
+	var EmailAddresses = {};
+
+	/**
+	 * Extracts the plain addresses of one or more address fields
+	 * (eg: `'John <john@example.com>, jane@example.com'` or an array of them).
+	 *
+	 * @function parse
+	 * @memberof EmailAddresses
+	 *
+	 * @param {...(string|array|object)}	fields	- Address fields, `{address}` objects are supported too
+	 *
+	 * @return {array}
+	 *
+	 * @api public
+	 */
+	EmailAddresses.parse = function () {
+		return _.chain(arguments)
+			.flatten()
+			.compact()
+			.map(function (field) {
+				if (_.isObject(field) && field.address) {
+					return [field.address];
+				}
+				return String(field).split(',');
+			})
+			.flatten()
+			.map(function (recipient) {
+				var address = recipient.match(/<([^>]+)>/);
+				return (address ? address[1] : recipient).trim();
+			})
+			.compact()
+			.uniq()
+			.value();
+	};
+
+	/**
+	 * Removes some addresses from an address field, the addresses being
+	 * compared regardless of their case.
+	 *
+	 * @function exclude
+	 * @memberof EmailAddresses
+	 *
+	 * @param {(string|array|object)}	[field]		- Address field
+	 * @param {array}					addresses	- Plain email addresses to remove
+	 *
+	 * @return {(array|undefined)}	The remaining entries of the field, `undefined` when it was empty
+	 *
+	 * @api public
+	 */
+	EmailAddresses.exclude = function (field, addresses) {
+		if (!field) {
+			return field;
+		}
+
+		var excluded = _.invoke(addresses, 'toLowerCase');
+
+		return _.chain([field])
+			.flatten()
+			.compact()
+			.map(function (entry) {
+				if (_.isObject(entry)) {
+					return [entry];
+				}
+				return _.invoke(String(entry).split(','), 'trim');
+			})
+			.flatten()
+			.reject(function (entry) {
+				var address = EmailAddresses.parse(entry)[0];
+				return !address || _.contains(excluded, address.toLowerCase());
+			})
+			.value();
+	};
+
+	/**
+	 * Returns the lower-cased domain of an address.
+	 *
+	 * @function getDomain
+	 * @memberof EmailAddresses
+	 *
+	 * @param {string}	address	- Plain email address
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	EmailAddresses.getDomain = function (address) {
+		return String(address).split('@').pop().toLowerCase();
+	};
+
+	return EmailAddresses;
+
+})();
@@ -1,12 +1,26 @@
 var _ = require('underscore');
 var fs = require('fs');
 var path = require('path');
+var util = require('util');
 var async = require('async');
+var events = require('events');
 var MailParser = require('mailparser').MailParser;
 // var HtmlToText = require('html-to-text');
+var EmailQueue = require('./EmailQueue');
 var EmailSender = require('./EmailSender');
+var Deduplicator = require('./Deduplicator');
+var EmailScheduler = require('./EmailScheduler');
+var EmailAddresses = require('./EmailAddresses');
 var EmailReceiver = require('./EmailReceiver');
 var EmailTemplates = require('./EmailTemplates');
+var ReplyParser = require('./ReplyParser');
+var BounceParser = require('./BounceParser');
+var AttachmentStorage = require('./AttachmentStorage');
+var EmailRouter = require('./EmailRouter');
+var ReplyTokens = require('./ReplyTokens');
+var SuppressionList = require('./SuppressionList');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
 
 module.exports = (function () {
 	'use strict';
@@ -14,32 +28,143 @@ module.exports = (function () {
 	/**
 	 * @class EmailInterface
 	 * @classdesc `EmailInterface` class that serves as an interface / middleman between the code base and the EmailSender.
+	 * Emits `rendering` and `rendered` around the templates rendering, `received` for every parsed inbound email
+	 * and `bounced` for the bounces and automatic replies, see {@link EmailInterface#receiveBounces},
+	 * and forwards the events of its {@link EmailSender}, {@link EmailQueue} and {@link EmailReceiver}.
+	 *
+	 * @augments EventEmitter
 	 *
 	 * @param {object} [options]					- Options
 	 * @param {object} [options.sender]				-  {@link EmailSender} Options for the email sending service
 	 * @param {object} [options.receiver]			-  {@link EmailReceiver} Options for the email sending service
+	 * @param {object} [options.queue]				-  {@link EmailQueue} Options for the outbound queue, emails are sent directly when omitted
+	 * @param {object} [options.scheduler]			-  {@link EmailScheduler} Options for the scheduler of the delayed emails (in memory by default)
+	 * @param {object} [options.idempotency]		-  {@link Deduplicator} Options for the idempotency keys store and window (in memory, 24 hours by default)
+	 * @param {number} [options.concurrency=10]		- {@link EmailInterface#sendBatch} Default amount of batch items processed at the same time
+	 * @param {object} [options.replyRules]			- {@link ReplyParser.extendRules} Additional rules detecting the quotes of the inbound emails, indexed by locale
+	 * @param {boolean} [options.cleanText=true]	- Replace the `text` of the inbound emails by their reply only, see {@link EmailInterface#getCleanEmailBody}
+	 * @param {object} [options.attachments]		- {@link AttachmentStorage} Options for the storage of the inbound attachments (temporary directory by default)
+	 * @param {string} [options.defaultCharset]		- Charset of the inbound text parts which don't declare theirs (Latin-1 by default)
+	 * @param {boolean} [options.rejectUnrouted]	- Refuse at the SMTP level the recipients matching no route, see {@link EmailInterface#route}
+	 * @param {object} [options.replyTokens]		- {@link ReplyTokens} Options for the signed reply addresses tying the replies to the sent emails
+	 * @param {object} [options.suppression]		- {@link SuppressionList} Options for the store of the addresses no email is sent to (in memory by default)
+	 * @param {boolean} [options.suppressBounces=true]	- Suppress the recipients of the hard bounces, see {@link EmailInterface#receiveBounces}
+	 * @param {object} [options.logger]				-  {@link Logger#create} Logger shared with the sender, receiver, templating and queue
 	 *
 	 * @return {EmailInterface}
 	 */
 	function EmailInterface (options) {
 
+		events.EventEmitter.call(this);
+
 		options = options || {};
 
+		var logger = Logger.create(options.logger);
+		var withLogger = function (settings) {
+			return _.extend({
+				logger: logger
+			}, settings);
+		};
+
+		this.logger = logger.child({
+			module: 'EmailInterface'
+		});
+
 		this.templatesDir = options.templatesDir;
 
+		// Asynchronous start-up tasks, see `ready`.
+		var tasks = [];
+
 		if (options.sender) {
-			this.sender = new EmailSender(options.sender);
-			this.templating = new EmailTemplates(options.templating);
+			this.sender = new EmailSender(withLogger(options.sender));
+			this.forward(this.sender, ['sending', 'sent', 'retrying', 'failed']);
+
+			this.templating = new EmailTemplates(withLogger(options.templating));
+
+			if (options.queue) {
+				this.queue = new EmailQueue(this.sender, withLogger(options.queue));
+				this.forward(this.queue, ['retrying']);
+				tasks.push(this.queue.resume.bind(this.queue));
+			}
+
+			this.scheduler = new EmailScheduler(function (job, cb) {
+				this.deliver(job.transport, job.settings, job.data, cb);
+			}.bind(this), options.scheduler);
+			tasks.push(this.scheduler.resume.bind(this.scheduler));
+
+			this.deduplicator = new Deduplicator(options.idempotency);
 		}
 
 		if (options.receiver) {
-			this.receiver = new EmailReceiver(options.receiver);
+			this.receiver = new EmailReceiver(withLogger(options.receiver));
+			this.forward(this.receiver, ['listening', 'rejected', 'failed']);
+			tasks.push(this.receiver.ready.bind(this.receiver));
+		}
+
+		this.concurrency = options.concurrency || 10;
+
+		this.replyRules = options.replyRules || {};
+
+		this.cleanText = options.cleanText !== false;
+
+		this.attachments = new AttachmentStorage(withLogger(options.attachments));
+
+		this.defaultCharset = options.defaultCharset;
+
+		this.router = new EmailRouter();
+
+		this.suppression = new SuppressionList(options.suppression);
+
+		this.suppressBounces = options.suppressBounces !== false;
+
+		if (options.replyTokens) {
+			this.replyTokens = new ReplyTokens(options.replyTokens);
+		}
+
+		if (this.receiver && this.replyTokens) {
+			this.receiver.validateRecipient(this.replyTokens.validator());
+		}
+
+		if (this.receiver && options.rejectUnrouted) {
+			this.receiver.validateRecipient(function (connection, address, callback) {
+				callback(this.router.match(address) ? null : new Error('No route'));
+			}.bind(this));
 		}
 
 		this.transport = null;
 
+		this.handlers = null;
+
+		this.starting = async.memoize(function (cb) {
+			async.parallel(tasks, function (e) {
+				cb(e || null);
+			});
+		});
+		this.starting(function () {});
+
 	}
 
+	util.inherits(EmailInterface, events.EventEmitter);
+
+	/**
+	 * Re-emits some events of a component.
+	 *
+	 * @function forward
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {EventEmitter}	emitter	- Component
+	 * @param {array}			names	- Names of the events
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.forward = function (emitter, names) {
+		_.each(names, function (name) {
+			emitter.on(name, this.emit.bind(this, name));
+		}, this);
+	};
+
 	/**
 	 * Small chaining method that sets the transport type for the following send command.
 	 *
@@ -57,7 +182,8 @@ module.exports = (function () {
 	};
 
 	/**
-	 * Chaining of some RegExps to clean up quotes and email authors.
+	 * Removes the quotes, signature and forwarded messages of a plain-text body,
+	 * see {@link ReplyParser.cleanText}.
 	 *
 	 * @function getCleanEmailBody
 	 * @memberof EmailInterface.prototype
@@ -69,36 +195,39 @@ module.exports = (function () {
 	 * @api private
 	 */
 	EmailInterface.prototype.getCleanEmailBody = function (email) {
-		// TODO convert from HTML to text and then cleanup if email is HTML
-		email = email
-			// Remove email signatures
-			.replace(/(\r?\n)\-{2} ?(\r?\n)[\w\W]+/, '')
-			// Remove Outlook previous message header
-			.replace(/(\r?\n)\-+ ?Original Message ?\-+[\w\W]+/i, '')
-			// Remove other type of Outlook previous message header
-			.replace(/(\r?\n)\_{30,}[\w\W]+/, '')
-			.replace(/(\r?\n)\-{30,}[\w\W]+/, '')
-			// Mac OSX mail
-			.replace(/(\r?\n)On ([^(\r?\n)]*?) wrote:(\r?\n)[\w\W]+/i, '')
-			// Forwarded emails
-			.replace(/(\r?\n)\-{5,} ?Forwarded by [\w\W]+ ?\-{5,}(\r?\n)/i, '')
-			// Outlook and other email clients's reply format with multilingual support
-			.replace(/(\r?\n)\*?(From|De)\*?: [\w\W]+/i, '')
-			// Hotmail reply format
-			.replace(/(\r?\n)Date: [\w\W]+/i, '')
-			// Smartphone footer
-			.replace(/(\r?\n)Sent from my [\w\W]+/i, '')
-			// Sent by signature style
-			.replace(/(\r?\n)Sent by:[\w\W]+/i, '')
-			// Remove replies
-			.replace(/(\r?\n)> [\w\W]+/i, '')
-			.trim();
-
-		return email;
+		return ReplyParser.cleanText(email, this.replyRules);
+	};
+
+	/**
+	 * Adds rules detecting the quotes of the inbound emails received by this
+	 * interface, to those of its `replyRules` option, see {@link ReplyParser.extendRules}.
+	 *
+	 * @function addReplyRules
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}	locale	- Locale (eg: `it`), `*` for the rules of every locale
+	 * @param {object}	rules	- Rules (`quotes`, `signatures`, `forwards`, `attributions`, `fields`)
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.addReplyRules = function (locale, rules) {
+		this.replyRules = ReplyParser.extendRules(this.replyRules, locale, rules);
 	};
 
 	/**
 	 * Closure function that return new instances of a mail parser stream to which receiveid emails are piped to.
+	 * The parsed email is given a `reply` `{html, text}` without the quoted messages, signatures
+	 * and trackers, see {@link ReplyParser.cleanHtml}, completed with the `signature`, `quoted`
+	 * and `forwarded` parts of the message, see {@link ReplyParser.parseText}.
+	 * Its `text` is cleaned as well unless the `cleanText` option is `false`.
+	 * The attachments are streamed to the sink of the `attachments` option, see {@link AttachmentStorage},
+	 * the email is forwarded once they are stored. The SMTP `envelope` given to the parser is kept on the email.
+	 * The email is given the `context` of the sent email it replies to, see {@link EmailInterface#correlate},
+	 * and its `bounce` when it is a bounce or an automatic reply, see {@link EmailInterface#classify}.
+	 * The parser of an email refused while it is received (eg: exceeding the `maxSize` option of the
+	 * receiver) is destroyed: its attachments are removed from the sink and the callback is not called.
 	 *
 	 * @function InstanciateMailParser
 	 * @memberof EmailInterface.prototype
@@ -111,28 +240,263 @@ module.exports = (function () {
 	 */
 	EmailInterface.prototype.InstanciateMailParser = function (callback) {
 		var me = this;
-		return function () {
+		return function (envelope) {
 			var mailParser = new MailParser({
-				debug: false
-				// TODO streamAttachments
-				// TODO unescapeSMTP
-				// TODO defaultCharset
+				debug: false,
+				streamAttachments: true,
+				unescapeSMTP: true,
+				defaultCharset: me.defaultCharset
 				// TODO showAttachmentLinks
 			});
+			// The report parts are read before the attachment storage takes their content.
+			var reports = BounceParser.watch(mailParser);
+			var stored = me.attachments.watch(mailParser);
+
+			var destroyed = false;
 
 			mailParser.on('end', function (email) {
-				email.text = me.getCleanEmailBody(email.text);
-				// TODO clean html bodies too using JSDOM or cheerio
-				callback(null, email);
+				if (destroyed) {
+					return;
+				}
+
+				email.envelope = envelope || null;
+				async.series([
+					stored,
+					me.correlate.bind(me, email),
+					me.classify.bind(me, email, reports),
+					me.suppressBounce.bind(me, email)
+				], function (e) {
+					me.parsed(email, e, callback);
+				});
 			});
 
+			// The refused email is not parsed any further: its attachments are cut
+			// and removed, then the parser is torn down without calling back.
+			var destroy = mailParser.destroy;
+			mailParser.destroy = function () {
+				destroyed = true;
+				stored.abort(function (e) {
+					if (e) {
+						me.logger.error('Attachments not removed', {
+							error: e
+						});
+					}
+				});
+
+				if (_.isFunction(destroy)) {
+					return destroy.apply(mailParser, arguments);
+				}
+				mailParser.end();
+			};
+
 			return mailParser;
 		};
 	};
 
+	/**
+	 * Gives a parsed email the `context` `{id, type, metadata, to, subject, ...}` of the sent email
+	 * it replies to, found from its reply token or its `In-Reply-To` and `References` headers,
+	 * `null` when there is none. Emails whose reply token is forged are refused, see {@link ReplyTokens#resolve}.
+	 *
+	 * @function correlate
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}		email		- Email parsed by the mail parser
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.correlate = function (email, callback) {
+		email.context = null;
+
+		if (!this.replyTokens) {
+			return process.nextTick(function () {
+				callback(null);
+			});
+		}
+
+		this.replyTokens.resolve(email, function (e, context) {
+			if (e) {
+				this.logger.warn('Email refused', {
+					messageId: email.messageId || null,
+					error: e
+				});
+				return callback(e);
+			}
+
+			email.context = context;
+			callback(null);
+		}.bind(this));
+	};
+
+	/**
+	 * Gives a parsed email its `bounce` `{type, recipient, recipients, status, diagnostic, originalMessageId}`,
+	 * `null` when it is neither a bounce nor an automatic reply, see {@link BounceParser.parse}.
+	 * The recipient carried by a VERP reply token, see {@link ReplyTokens}, prevails over the one
+	 * read from the bounce, and the Message-ID of the `context` completes it.
+	 * Report parts which failed to be read are logged, the email being classified without them.
+	 *
+	 * @function classify
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}		email		- Email parsed by the mail parser
+	 * @param {function}	reports		- Function waiting for the report parts, see {@link BounceParser.watch}
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.classify = function (email, reports, callback) {
+		reports(function (e, parts) {
+			if (e) {
+				this.logger.warn('Bounce report unreadable', {
+					messageId: email.messageId || null,
+					error: e
+				});
+			}
+
+			var bounce = BounceParser.parse(email, e ? null : parts);
+			var token = bounce && this.replyTokens && _.find(_.map(
+				email.envelope ? email.envelope.to : [],
+				this.replyTokens.parse,
+				this.replyTokens
+			), function (token) {
+				return token && token.valid && token.recipient;
+			});
+
+			if (token) {
+				bounce.recipient = token.recipient;
+				bounce.recipients = _.union([token.recipient], bounce.recipients);
+			}
+			var context = email.context;
+			if (bounce && !bounce.originalMessageId && context && context.messageId) {
+				bounce.originalMessageId = context.messageId.replace(/^<|>$/g, '');
+			}
+
+			email.bounce = bounce;
+			callback(null);
+		}.bind(this));
+	};
+
+	/**
+	 * Adds the recipients of a hard bounce to the suppression list, unless
+	 * the `suppressBounces` option is `false`, see {@link SuppressionList#add}.
+	 *
+	 * @function suppressBounce
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}		email		- Email classified by {@link EmailInterface#classify}
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.suppressBounce = function (email, callback) {
+		if (!this.suppressBounces || !email.bounce || email.bounce.type !== 'hard') {
+			return callback(null);
+		}
+
+		async.each(_.compact(email.bounce.recipients), function (address, cb) {
+			this.suppression.add(address, {
+				reason: 'hard-bounce'
+			}, function (e) {
+				if (e) {
+					this.logger.warn('Address not suppressed', {
+						address: address,
+						error: e
+					});
+				}
+				cb(null);
+			}.bind(this));
+		}.bind(this), function () {
+			callback(null);
+		});
+	};
+
+	/**
+	 * Completes a parsed email with its reply, see {@link EmailInterface#InstanciateMailParser},
+	 * once its attachments are stored, and forwards it to a callback.
+	 *
+	 * @function parsed
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}		email		- Email parsed by the mail parser
+	 * @param {Error}		[error]		- Error storing the attachments
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.parsed = function (email, error, callback) {
+		if (error) {
+			return callback(error);
+		}
+
+		var parts = ReplyParser.parseText(
+			email.text || ReplyParser.toText(email.html),
+			this.replyRules
+		);
+
+		email.reply = _.extend({
+			html: null,
+			text: parts.reply
+		}, email.html && ReplyParser.cleanHtml(email.html, this.replyRules), {
+			signature: parts.signature,
+			quoted: parts.quoted,
+			forwarded: parts.forwarded
+		});
+
+		if (this.cleanText) {
+			email.text = this.getCleanEmailBody(email.text);
+		}
+
+		this.logger.debug('Email parsed', {
+			messageId: email.messageId || null,
+			subject: email.subject,
+			attachments: (email.attachments || []).length
+		});
+
+		if (email.bounce) {
+			this.logger.info('Bounce received', _.extend({
+				messageId: email.messageId || null
+			}, _.pick(
+				email.bounce,
+				'type',
+				'recipient',
+				'status',
+				'originalMessageId'
+			)));
+
+			this.emit('bounced', _.extend({
+				messageId: email.messageId || null
+			}, email.bounce, {
+				timestamp: Date.now()
+			}));
+		}
+		else {
+			this.emit('received', {
+				messageId: email.messageId || null,
+				from: email.from,
+				to: email.to,
+				subject: email.subject,
+				attachments: (email.attachments || []).length,
+				timestamp: Date.now()
+			});
+		}
+
+		callback(null, email);
+	};
+
 	/**
 	 * Assembles an object containing all the needed informations to create a valid
 	 * envelope and (HTML) email body.
+	 * Emits `rendering` `{type, count, timestamp}`, then `rendered` `{type, count, duration, timestamp}`
+	 * or `failed` `{type, error, timestamp}`.
 	 *
 	 * @function assembleEmail
 	 * @memberof EmailInterface.prototype
@@ -145,220 +509,1038 @@ module.exports = (function () {
 	 * @param {string}			[settings.replyTo]			- ReplyTo field
 	 * @param {string}			[settings.inReplyTo]		- Message Id to which the email replies to
 	 * @param {string}			[settings.references]		- Messages Id list
-	 * @param {string}			[settings.subject]			- Subject of the email
+	 * @param {string}			[settings.type]				- Template type, used to render the body, subject and attachments
+	 * @param {string}			[settings.subject]			- Subject of the email, rendered from the `subject` templates when omitted
 	 * @param {string}			[settings.text]				- Plaintext body
 	 * @param {string}			[settings.html]				- HTML body
 	 * @param {object}			[settings.headers]			- HTTP / SMTP headers
 	 * @param {array}			[settings.attachments]		- List of attachments files / buffers or strings
 	 * @param {array}			[settings.messageId]		- List of attachments files / buffers or strings
+	 * @param {(Date|number)}	[settings.sendAt]			- {@link EmailInterface#send} Date at which the email must be sent
+	 * @param {number}			[settings.delay]			- {@link EmailInterface#send} Milliseconds to wait before sending the email
+	 * @param {string}			[settings.idempotencyKey]	- {@link EmailInterface#send} Key preventing the email from being sent twice
+	 * @param {boolean}			[settings.replyToken]		- {@link EmailInterface#addReplyToken} Give the email a signed reply address and Message-ID
+	 * @param {object}			[settings.metadata]			- {@link EmailInterface#addReplyToken} Context given back with the replies
+	 * @param {boolean}			[settings.ignoreSuppression]	- {@link EmailInterface#send} Send the email to the suppressed addresses as well
 	 *
-	 * @param {object}			[data]						- Data to feed to the templating engine
+	 * @param {array}			data						- Data items to feed to the templating engine
 	 *
-	 * @param {function}		callback					- Callback
+	 * @param {function}		callback					- Callback called with one `{html, text, subject, attachments}` object per data item
 	 *
 	 * @return {undefined}
 	 *
 	 * @api private
 	 */
 	EmailInterface.prototype.assembleEmail = function (settings, data, callback) {
-		var accumulator = {};
-		var attachments = false;
-
 		var type = settings.type;
 		var subject = settings.subject;
 
-		var accumulate = function (templates) {
-			var uid = templates.uid;
-			templates.uid = null;
-			delete templates.uid;
-
-			accumulator[uid] = _.extend(accumulator[uid] || {}, templates);
-
-			var instance = accumulator[uid];
-
-			if(instance.html && instance.subject && attachments !== false) {
-				accumulator[uid] = null;
-				delete accumulator[uid];
-				callback(null, instance);
-			}
-		}.bind(this);
+		if (!type) {
+			return callback(null, _.map(data, function () {
+				return {};
+			}));
+		}
 
 		var templatesDir = this.templatesDir;
 		var templating = this.templating;
+		var startedAt = Date.now();
 
-		async.auto({
-			renderedEmail: function (cb) {
-				var contentDir = path.resolve(templatesDir, 'content');
+		if (!templatesDir) {
+			return callback(
+				new Error('EmailInterface: no `templatesDir` option was provided')
+			);
+		}
+
+		this.emit('rendering', {
+			type: type,
+			count: data.length,
+			timestamp: startedAt
+		});
 
+		async.parallel({
+			contents: function (cb) {
 				templating.render({
-					templatesDir: contentDir,
+					templatesDir: path.resolve(templatesDir, 'content'),
 					partials: {},
 					helper: {},
 					items: data,
 					type: type
-				}, function (e, templates) {
-					if(e) {
-						return cb(e);
-					}
-
-					accumulate(templates);
-					cb();
-				});
+				}, cb);
 			},
-			renderedSubject: function (cb) {
-				if(_.isString(subject)) {
-					return accumulate({
-						subject: subject
-					});
+			subjects: function (cb) {
+				if (_.isString(subject)) {
+					return cb(null, null);
 				}
 
-				var subjectDir = path.resolve(templatesDir, 'subject');
-
 				templating.render({
-					templatesDir: subjectDir,
+					templatesDir: path.resolve(templatesDir, 'subject'),
 					partials: {},
 					helper: {},
 					items: data,
 					type: type
-				}, function (e, templates) {
-					if(e) {
-						return cb(e);
-					}
-
-					accumulate({
-						uid: templates.uid,
-						subject: templates.html
-					});
-					cb();
-				});
+				}, cb);
 			},
-			attachmentsFiles: function (cb) {
+			attachments: function (cb) {
 				var attachmentsDir = path.resolve(templatesDir, 'attachments', type);
 
-				fs.readdir(attachmentsDir, cb);
-			},
-			attachmentsList: ['attachmentsFiles', function (cb, results) {
-				attachments = {};
-				attachments = _.map(
-					results.attachmentsFiles,
-					function (attachment) {
+				fs.readdir(attachmentsDir, function (e, files) {
+					if (e && e.code === 'ENOENT') {
+						return cb(null, []);
+					}
+					if (e) {
+						return cb(e);
+					}
+
+					cb(null, _.map(files, function (file) {
 						return {
-							filename: attachment,
-							path: attachment,
-							cid: attachment
+							filename: file,
+							path: path.join(attachmentsDir, file),
+							cid: file
 						};
-					}
-				);
-				cb();
-			}]
+					}));
+				});
+			}
 		}, function (e, results) {
-			if(e) {
+			if (e) {
+				this.emit('failed', {
+					type: type,
+					error: e,
+					timestamp: Date.now()
+				});
 				return callback(e);
 			}
 
-			// _.merge(emailFields, {
-			// 	html: results.renderedEmail.html,
-			// 	text: results.renderedEmail.text,
-			// 	subject: results.renderedSubject,
-			// 	attachments: results.attachmentsList
-			// });
+			this.emit('rendered', {
+				type: type,
+				count: data.length,
+				duration: Date.now() - startedAt,
+				timestamp: Date.now()
+			});
 
-			// callback(null, emailFields);
-		});
+			var attachments = (settings.attachments || []).concat(results.attachments);
+
+			callback(null, _.map(results.contents, function (content, index) {
+				var rendered = results.subjects && results.subjects[index];
+
+				return {
+					html: content.html,
+					text: content.text,
+					subject: rendered ? (rendered.text || rendered.html).trim() : subject,
+					attachments: attachments
+				};
+			}));
+		}.bind(this));
 	};
 
 	/**
-	 * Send an email with wathever transport was setup by EmailSender.
+	 * Extracts the email addresses of all the recipients (To, Cc and Bcc) of an email.
 	 *
-	 * @function send
+	 * @function getRecipients
 	 * @memberof EmailInterface.prototype
 	 *
-	 * @param {object}		settings	- {@link  EmailInterface#assembleEmail} Data use to create the envelop and email body
-	 * @param {object}		data		- Data to feed to the templating engine
-	 * @param {function}	callback	- Callback
+	 * @param {object}	settings	- {@link EmailInterface#assembleEmail} Data used to create the envelope
 	 *
-	 * @return {undefined}
+	 * @return {array}
 	 *
-	 * @api public
+	 * @api private
 	 */
-	EmailInterface.prototype.send = function (settings, data, callback) {
-		if(_.isArray(data) === false) {
-			data = [data];
+	EmailInterface.prototype.getRecipients = function (settings) {
+		return EmailAddresses.parse(settings.to, settings.cc, settings.bcc);
+	};
+
+	/**
+	 * Extracts the email addresses an email is actually sent to, those of
+	 * its explicit `envelope` when it has some, or else its To, Cc and Bcc.
+	 *
+	 * @function getEnvelopeRecipients
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}	settings	- {@link EmailInterface#assembleEmail} Data used to create the envelope
+	 *
+	 * @return {array}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.getEnvelopeRecipients = function (settings) {
+		var envelope = settings.envelope || {};
+
+		if (envelope.to) {
+			return EmailAddresses.parse(envelope.to);
 		}
 
-		var callbackCount = data.length;
+		return this.getRecipients(settings);
+	};
 
-		var transport = this.transport;
-		this.assembleEmail(settings, data, function (e, emailContents) {
-			if (e) {
-				return callback(e);
-			}
+	/**
+	 * Builds the delivery report of a sent email from the transport's response.
+	 * Transports which don't report per recipient (eg: stub, sendmail or SES)
+	 * have all their recipients accepted on success and rejected on failure.
+	 *
+	 * @function getReport
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}	settings	- Data used to create the envelope
+	 * @param {string}	transport	- Name of the requested transport, the one actually used is read from `info` or `e` when available
+	 * @param {Error}	[e]			- Error returned by the transport
+	 * @param {object}	[info]		- Information returned by the transport
+	 *
+	 * @return {object}	`{accepted, rejected, pending, suppressed, errors, messageId, transport}`
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.getReport = function (settings, transport, e, info) {
+		var recipients = this.getEnvelopeRecipients(settings);
+		var errors = [];
 
-			_.extend(settings, emailContents);
+		info = info || {};
 
-			var failed = [];
-			var succeeded = [];
+		if (e) {
+			errors = _.isArray(e.errors) ? e.errors : [e];
+		}
+		else if (_.isArray(info.errors)) {
+			errors = info.errors;
+		}
 
-			this.sender.send(transport, settings, function (e, info) {
-				callbackCount -= 1;
+		var failed = _.chain(errors)
+			.pluck('recipients')
+			.flatten()
+			.compact()
+			.value();
 
-				if(e && _.isArray(e.errors)) {
-					_.union(
-						failed,
-						_.map(e.errors, function (error) {
-							return error.recipients;
-						})
-					);
-				}
+		var pending = _.chain([info.pending])
+			.flatten()
+			.compact()
+			.map(function (entry) {
+				return _.isString(entry) ? entry : entry.recipients;
+			})
+			.flatten()
+			.compact()
+			.value();
 
-				if (!info || !_.isObject(info)) {
-					return;
-				}
+		var accepted = info.accepted;
+		var rejected = _.union(info.rejected || [], failed);
 
-				if (_.isArray(info.accepted)) {
-					_.union(
-						succeeded,
-						info.accepted
-					);
-				}
-				if (_.isArray(info.rejected)) {
-					_.union(
-						failed,
-						info.rejected
-					);
-				}
-				if (_.isArray(info.pending)) {
-					_.union(
-						failed,
-						info.pending
-					);
-				}
+		if (e && !failed.length) {
+			rejected = recipients;
+		}
 
-				if (callbackCount === 0) {
-					callback(null, failed, succeeded);
-				}
-			});
-		}.bind(this));
+		if (!_.isArray(accepted)) {
+			accepted = e ? [] : _.difference(recipients, rejected, pending);
+		}
 
+		return {
+			accepted: accepted,
+			rejected: rejected,
+			pending: pending,
+			suppressed: [],
+			errors: errors,
+			messageId: info.messageId || null,
+			transport: info.transport || (e && e.transport) || transport || null
+		};
 	};
 
 	/**
-	 * Receives emails on the local email server, parses and forwards them to a callback.
+	 * Removes the suppressed addresses from the recipients of an email, its
+	 * `envelope` included, unless its `ignoreSuppression` setting is set,
+	 * see {@link SuppressionList#check}.
 	 *
-	 * @function receive
+	 * @function filterSuppressed
 	 * @memberof EmailInterface.prototype
 	 *
-	 * @param {function} callback	- Callback function called after the entire email has been streamed and parsed
+	 * @param {object}		message		- Email, with its settings
+	 * @param {function}	callback	- Callback called with the email to send and the suppressed addresses
 	 *
 	 * @return {undefined}
 	 *
-	 * @api public
+	 * @api private
 	 */
-	EmailInterface.prototype.receive = function (callback) {
-		var mailParserInstanciator = this.InstanciateMailParser(callback);
-		this.receiver.receive(mailParserInstanciator);
+	EmailInterface.prototype.filterSuppressed = function (message, callback) {
+		var ignored = message.ignoreSuppression;
+
+		message = _.omit(message, 'ignoreSuppression');
+
+		if (ignored) {
+			return callback(null, message, []);
+		}
+
+		var envelope = message.envelope || {};
+		var recipients = _.union(
+			this.getRecipients(message),
+			EmailAddresses.parse(envelope.to)
+		);
+
+		this.suppression.check(recipients, function (e, suppressed) {
+			if (e || !suppressed.length) {
+				return callback(e || null, message, []);
+			}
+
+			this.logger.info('Suppressed recipients skipped', {
+				recipients: suppressed
+			});
+
+			_.each(['to', 'cc', 'bcc'], function (field) {
+				if (message[field]) {
+					message[field] = EmailAddresses.exclude(message[field], suppressed);
+				}
+			});
+
+			if (envelope.to) {
+				message.envelope = _.extend({}, envelope, {
+					to: EmailAddresses.exclude(envelope.to, suppressed)
+				});
+			}
+
+			callback(null, message, suppressed);
+		}.bind(this));
 	};
 
+	/**
+	 * Gives an email sent with the `replyToken` setting a signed reply address and
+	 * Message-ID, its `type`, `metadata`, recipients and subject being stored as
+	 * the context of the replies, see {@link ReplyTokens#issue}. With the `verp`
+	 * format, the reply address is the envelope sender as well: its token carries
+	 * the recipient, the emails with several recipients are refused.
+	 *
+	 * @function addReplyToken
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}		message		- Email, with its settings
+	 * @param {function}	callback	- Callback called with the email to send
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.addReplyToken = function (message, callback) {
+		var context = {
+			type: message.type || null,
+			metadata: message.metadata || null
+		};
+		var wanted = message.replyToken;
+
+		message = _.omit(message, 'replyToken', 'metadata');
+
+		if (!wanted) {
+			return callback(null, message);
+		}
+		if (!this.replyTokens) {
+			return callback(
+				new Error('EmailInterface: no `replyTokens` option was provided'),
+				message
+			);
+		}
+
+		var recipients = this.getRecipients(message);
+
+		// A bounce could not tell which of the recipients it is about.
+		if (this.replyTokens.format === 'verp' && recipients.length > 1) {
+			return callback(new Error([
+				'EmailInterface: a `verp` reply token carries a single recipient, ',
+				'send one email per recipient'
+			].join('')), message);
+		}
+
+		this.replyTokens.issue(_.extend(context, {
+			to: recipients,
+			subject: message.subject || null
+		}), recipients[0], function (e, issued) {
+			if (e) {
+				return callback(e, message);
+			}
+
+			message.replyTo = issued.address;
+			message.messageId = issued.messageId;
+
+			if (this.replyTokens.format === 'verp') {
+				message.envelope = {
+					from: issued.address,
+					to: recipients
+				};
+			}
+
+			callback(null, message);
+		}.bind(this));
+	};
+
+	/**
+	 * Renders and sends one email per data item with the given transport.
+	 * When an outbound queue is configured, the reports are only built once
+	 * the queued emails are delivered or dead-lettered. The suppressed recipients
+	 * are skipped and reported as `suppressed`, see {@link EmailInterface#filterSuppressed}.
+	 *
+	 * @function deliver
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}		[transport]	- Name of the transport method or route
+	 * @param {object}		settings	- {@link  EmailInterface#assembleEmail} Data use to create the envelop and email body
+	 * @param {array}		data		- Data items to feed to the templating engine
+	 * @param {function}	cb			- Callback called with one {@link EmailInterface#getReport} report per data item
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.deliver = function (transport, settings, data, cb) {
+		var send = this.queue ?
+			this.queue.push.bind(this.queue) :
+			this.sender.send.bind(this.sender);
+
+		this.assembleEmail(settings, data, function (e, emails) {
+			if (e) {
+				return cb(e);
+			}
+
+			async.map(emails, function (email, next) {
+				var suppressed = [];
+				var report = function (message, e, info) {
+					return _.extend(this.getReport(message, transport, e, info), {
+						suppressed: suppressed
+					});
+				}.bind(this);
+
+				var message = _.extend({}, settings, email);
+
+				this.filterSuppressed(message, function (e, message, skipped) {
+					suppressed = skipped;
+
+					if (e || !this.getEnvelopeRecipients(message).length) {
+						return next(null, report(message, e));
+					}
+
+					this.addReplyToken(message, function (e, message) {
+						if (e) {
+							return next(null, report(message, e));
+						}
+
+						send(transport, message, function (e, info) {
+							next(null, report(message, e, info));
+						});
+					});
+				}.bind(this));
+			}.bind(this), cb);
+		}.bind(this));
+	};
+
+	/**
+	 * Tells whether an email reached at least one of its recipients (or was
+	 * scheduled), in which case its idempotency key is remembered.
+	 *
+	 * @function isDelivered
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {(object|array)}	result	- Report(s) or scheduled job
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.isDelivered = function (result) {
+		return _.some([].concat(result), function (report) {
+			return report.state === 'scheduled' ||
+				!_.isEmpty(report.accepted) ||
+				!_.isEmpty(report.pending);
+		});
+	};
+
+	/**
+	 * Send an email with wathever transport was setup by EmailSender.
+	 * One email is rendered and sent per data item.
+	 * Emails with a `sendAt` or `delay` setting are handed to the scheduler
+	 * and rendered when they are due, the callback then receives the scheduled job
+	 * `{id, state, sendAt}` instead of the reports.
+	 * A repeated send with the same `idempotencyKey` within the idempotency
+	 * window gets the original result instead of mailing again. Keys of emails
+	 * which reached none of their recipients aren't remembered, so that they can be retried.
+	 * The addresses of the suppression list are skipped and reported as `suppressed`, unless
+	 * the `ignoreSuppression` setting is set for the transactional emails (eg: password resets).
+	 *
+	 * @function send
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}			settings			- {@link  EmailInterface#assembleEmail} Data use to create the envelop and email body
+	 * @param {(Date|number)}	[settings.sendAt]	- Date at which the email must be sent
+	 * @param {number}			[settings.delay]	- Milliseconds to wait before sending the email
+	 * @param {string}			[settings.idempotencyKey]	- Key preventing the email from being sent twice
+	 * @param {boolean}			[settings.ignoreSuppression]	- Send the email to the suppressed addresses as well
+	 * @param {(object|array)}	data				- Data to feed to the templating engine
+	 * @param {function}		callback			- Callback called with one {@link EmailInterface#getReport} report per data item, or a single report when `data` isn't an array
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.send = function (settings, data, callback) {
+		var key = settings.idempotencyKey;
+		var transport = this.transport;
+
+		if (this.missesSender(callback)) {
+			return;
+		}
+
+		settings = _.omit(settings, 'idempotencyKey');
+
+		if (!key) {
+			return this.dispatch(transport, settings, data, callback);
+		}
+
+		this.deduplicator.run(key, function (done) {
+			this.dispatch(transport, settings, data, function (e, result) {
+				done(e, result, !e && this.isDelivered(result));
+			}.bind(this));
+		}.bind(this), function (e, result) {
+			callback(e, result);
+		});
+	};
+
+	/**
+	 * Fails a call requiring the sender, its scheduler or its idempotency keys
+	 * when no `sender` option was provided.
+	 *
+	 * @function missesSender
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the error
+	 *
+	 * @return {boolean}	`true` when the call failed
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.missesSender = function (callback) {
+		if (this.sender) {
+			return false;
+		}
+
+		process.nextTick(function () {
+			callback(new Error('EmailInterface: no sender configured'));
+		});
+		return true;
+	};
+
+	/**
+	 * Schedules or renders and sends the emails of {@link EmailInterface#send}.
+	 *
+	 * @function dispatch
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}			[transport]	- Name of the transport method or route
+	 * @param {object}			settings	- {@link  EmailInterface#assembleEmail} Data use to create the envelop and email body
+	 * @param {(object|array)}	data		- Data to feed to the templating engine
+	 * @param {function}		cb			- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.dispatch = function (transport, settings, data, cb) {
+		var batch = _.isArray(data);
+
+		if (!batch) {
+			data = [data || {}];
+		}
+
+		var sendAt = this.scheduler ? this.scheduler.getSendAt(settings) : null;
+
+		if (sendAt !== null) {
+			if (isNaN(sendAt)) {
+				return cb(new Error('EmailInterface: invalid `sendAt` date'));
+			}
+
+			return this.scheduler.schedule({
+				transport: transport,
+				settings: _.omit(settings, 'sendAt', 'delay'),
+				data: data,
+				sendAt: sendAt
+			}, function (e, job) {
+				if (e) {
+					return cb(e);
+				}
+
+				cb(null, _.pick(job, 'id', 'state', 'sendAt'));
+			});
+		}
+
+		this.deliver(transport, settings, data, function (e, reports) {
+			if (e) {
+				return cb(e);
+			}
+
+			cb(null, batch ? reports : reports[0]);
+		});
+	};
+
+	/**
+	 * Lists the scheduled emails, ordered by sending date. Emails which failed
+	 * to render or send when they were due are listed with the `failed` state.
+	 *
+	 * @function listScheduled
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the jobs `{id, state, sendAt, transport, settings, data, createdAt, lastError}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.listScheduled = function (callback) {
+		if (this.missesSender(callback)) {
+			return;
+		}
+
+		this.scheduler.list(callback);
+	};
+
+	/**
+	 * Cancels a scheduled email.
+	 *
+	 * @function cancelScheduled
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}		id			- Id of the scheduled job
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.cancelScheduled = function (id, callback) {
+		if (this.missesSender(callback)) {
+			return;
+		}
+
+		this.scheduler.cancel(id, callback);
+	};
+
+	/**
+	 * Suppresses an address: no email is sent to it anymore, for good or until a date,
+	 * see {@link SuppressionList#add}.
+	 *
+	 * @function addSuppression
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}		address		- Plain email address
+	 * @param {object}		[options]	- Options `{reason, expiresAt, duration}`
+	 * @param {function}	cb			- Callback called with the entry `{address, reason, createdAt, expiresAt}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.addSuppression = function (address, options, cb) {
+		if (_.isFunction(options)) {
+			cb = options;
+			options = null;
+		}
+
+		this.suppression.add(address, options, cb);
+	};
+
+	/**
+	 * Stops suppressing an address, see {@link SuppressionList#remove}.
+	 *
+	 * @function removeSuppression
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}		address		- Plain email address
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.removeSuppression = function (address, callback) {
+		this.suppression.remove(address, callback);
+	};
+
+	/**
+	 * Lists the suppressed addresses, see {@link SuppressionList#list}.
+	 *
+	 * @function listSuppressions
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the entries `{address, reason, createdAt, expiresAt}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.listSuppressions = function (callback) {
+		this.suppression.list(callback);
+	};
+
+	/**
+	 * Removes the suppressions which elapsed, see {@link SuppressionList#expire}.
+	 *
+	 * @function expireSuppressions
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the amount of removed entries
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.expireSuppressions = function (callback) {
+		this.suppression.expire(callback);
+	};
+
+	/**
+	 * Forgets the idempotency keys whose window elapsed, see {@link Deduplicator#purge}.
+	 * Sending purges them too, at most once per window.
+	 *
+	 * @function purgeIdempotencyKeys
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the amount of removed keys
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.purgeIdempotencyKeys = function (callback) {
+		if (this.missesSender(callback)) {
+			return;
+		}
+
+		this.deduplicator.purge(callback);
+	};
+
+	/**
+	 * Sends a personalized email to each item of a batch. Every item carries
+	 * its own recipients, locale, data and settings overrides, and at most
+	 * `concurrency` items are rendered and sent at the same time.
+	 * An item failing to render doesn't stop the batch, its recipients are reported as rejected.
+	 * Items are deduplicated with their own `idempotencyKey`, or with the batch's
+	 * one suffixed with their recipients, see {@link EmailInterface#send}.
+	 * Batches can't be scheduled, the `sendAt` and `delay` settings are refused
+	 * (emails are scheduled with {@link EmailInterface#send}).
+	 *
+	 * @function sendBatch
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}			settings					- {@link  EmailInterface#assembleEmail} Settings shared by every item
+	 * @param {number}			[settings.concurrency]		- Maximum amount of items processed at the same time
+	 * @param {string}			[settings.idempotencyKey]	- Key of the batch, preventing its items from being sent twice
+	 * @param {array}			items						- Batch items, each one being an object with the following keys
+	 * @param {(string|array)}	items.to					- Destination email address(es) of the item
+	 * @param {array}			[items.cc]					- Recipients in the Cc field
+	 * @param {array}			[items.bcc]					- Recipients in the Bcc field
+	 * @param {string}			[items.locale]				- Locale used to render the templates of the item
+	 * @param {object}			[items.data]				- Data to feed to the templating engine
+	 * @param {object}			[items.overrides]			- Settings overriding the shared ones (eg: `subject`, `from`)
+	 * @param {string}			[items.idempotencyKey]		- Key preventing the item from being sent twice
+	 * @param {function}		callback					- Callback called with the combined report `{total, accepted, rejected, pending, suppressed, errors, items}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.sendBatch = function (settings, items, callback) {
+		var transport = this.transport;
+		var concurrency = settings.concurrency || this.concurrency;
+		var batchKey = settings.idempotencyKey;
+
+		if (this.missesSender(callback)) {
+			return;
+		}
+
+		settings = _.omit(settings, 'concurrency', 'idempotencyKey');
+
+		var layers = _.compact([settings].concat(_.pluck(items, 'overrides')));
+		var scheduled = _.some(layers, function (layer) {
+			return (layer.sendAt !== undefined && layer.sendAt !== null) ||
+				!!layer.delay;
+		});
+
+		if (scheduled) {
+			return process.nextTick(function () {
+				callback(new Error([
+					'EmailInterface: a batch can\'t be scheduled, ',
+					'`sendAt` and `delay` are refused'
+				].join('')));
+			});
+		}
+
+		async.mapLimit(items, concurrency, function (item, cb) {
+			var itemSettings = _.extend(
+				{},
+				settings,
+				item.overrides,
+				_.pick(item, 'to', 'cc', 'bcc')
+			);
+			var data = _.extend({}, item.data);
+
+			if (item.locale) {
+				data.locale = item.locale;
+			}
+
+			var key = item.idempotencyKey;
+			if (!key && batchKey) {
+				key = [batchKey, this.getRecipients(itemSettings).join(',')].join(':');
+			}
+
+			var send = function (done) {
+				this.deliver(transport, itemSettings, [data], function (e, reports) {
+					var report = e ? this.getReport(itemSettings, transport, e) : reports[0];
+					done(null, report, this.isDelivered(report));
+				}.bind(this));
+			}.bind(this);
+
+			if (!key) {
+				return send(cb);
+			}
+
+			this.deduplicator.run(key, send, cb);
+		}.bind(this), function (e, reports) {
+			var combine = function (key) {
+				return _.flatten(_.pluck(reports, key), true);
+			};
+
+			callback(null, {
+				total: reports.length,
+				accepted: combine('accepted'),
+				rejected: combine('rejected'),
+				pending: combine('pending'),
+				suppressed: combine('suppressed'),
+				errors: combine('errors'),
+				items: reports
+			});
+		});
+	};
+
+	/**
+	 * Starts parsing the emails received by the local email server, once, and
+	 * forwards them to the `receive` callbacks and the routes, the bounces and
+	 * automatic replies to the `receiveBounces` callbacks.
+	 *
+	 * @function listen
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.listen = function () {
+		if (this.handlers) {
+			return;
+		}
+
+		this.handlers = {
+			emails: [],
+			bounces: []
+		};
+
+		this.receiver.receive(this.InstanciateMailParser(function (e, email) {
+			var bounce = !e && !!email.bounce;
+			var handlers = this.handlers[bounce ? 'bounces' : 'emails'];
+
+			_.each(handlers.slice(), function (handler) {
+				handler(e, email);
+			});
+
+			if (!e && !bounce && this.router.active()) {
+				this.routeEmail(email);
+			}
+		}.bind(this)));
+	};
+
+	/**
+	 * Adds a callback to a list of handlers, see {@link EmailInterface#listen}.
+	 * Without callback, a promise of the next email is returned.
+	 *
+	 * @function subscribe
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {string}		name		- `emails` or `bounces`
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.subscribe = function (name, callback) {
+		this.listen();
+
+		if (callback) {
+			return this.handlers[name].push(callback);
+		}
+
+		return new Promise(function (resolve, reject) {
+			var handler = function (e, email) {
+				this.handlers[name] = _.without(this.handlers[name], handler);
+				return e ? reject(e) : resolve(email);
+			}.bind(this);
+
+			this.handlers[name].push(handler);
+		}.bind(this));
+	};
+
+	/**
+	 * Gives a received email to the handlers of its recipients, see {@link EmailInterface#route}.
+	 * The recipients are those of the SMTP envelope, or the `To` and `Cc` addresses.
+	 *
+	 * @function routeEmail
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {object}	email	- Parsed email
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailInterface.prototype.routeEmail = function (email) {
+		var recipients = email.envelope ?
+			email.envelope.to :
+			_.pluck((email.to || []).concat(email.cc || []), 'address');
+		var unrouted = this.router.dispatch(email, recipients);
+
+		if (unrouted.length) {
+			this.logger.warn('Email without route', {
+				messageId: email.messageId || null,
+				recipients: unrouted
+			});
+		}
+	};
+
+	/**
+	 * Handles the received emails whose recipient matches a pattern, the routes
+	 * being tried in the order they are added. Placeholders capture parameters:
+	 * with `reply+{ticketId}@support.example.com`, an email sent to
+	 * `reply+42@support.example.com` is given to the handler with `{ticketId: '42'}`.
+	 * See {@link EmailRouter#add}.
+	 *
+	 * @function route
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {(string|RegExp)}	pattern		- Recipient pattern, `*` matching anything
+	 * @param {function}		handler		- Handler called with `(email, params, recipient)`
+	 *
+	 * @return {EmailInterface}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.route = function (pattern, handler) {
+		this.router.add(pattern, handler);
+		this.listen();
+
+		return this;
+	};
+
+	/**
+	 * Handles the received emails whose recipients match no route, see {@link EmailRouter#otherwise}.
+	 *
+	 * @function otherwise
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	handler		- Handler called with `(email, {}, recipient)`
+	 *
+	 * @return {EmailInterface}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.otherwise = function (handler) {
+		this.router.otherwise(handler);
+		this.listen();
+
+		return this;
+	};
+
+	/**
+	 * Receives emails on the local email server, parses and forwards them to a callback.
+	 * Without callback, a promise of the next received email is returned.
+	 * The bounces and automatic replies are not forwarded, see {@link EmailInterface#receiveBounces}.
+	 *
+	 * @function receive
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function} [callback]	- Callback function called after the entire email has been streamed and parsed
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.receive = function (callback) {
+		return this.subscribe('emails', callback);
+	};
+
+	/**
+	 * Receives the bounces and automatic replies on the local email server, classified
+	 * as `hard`, `soft`, `auto-reply` or `out-of-office` in their `bounce`, see
+	 * {@link EmailInterface#classify}. Without callback, a promise of the next bounce is returned.
+	 *
+	 * @function receiveBounces
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function} [callback]	- Callback function called with each parsed bounce
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.receiveBounces = function (callback) {
+		return this.subscribe('bounces', callback);
+	};
+
+	/**
+	 * Waits until the interface is ready: the SMTP server is listening and
+	 * the persisted queue and scheduled jobs are resumed.
+	 *
+	 * @function ready
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.ready = function (callback) {
+		this.starting(callback);
+	};
+
+	/**
+	 * Shuts the interface down: stops the SMTP server, closes the pooled
+	 * connections and cancels the timers of the queue and scheduler.
+	 * Persisted jobs are resumed by the next instance.
+	 *
+	 * @function close
+	 * @memberof EmailInterface.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailInterface.prototype.close = function (callback) {
+		if (this.queue) {
+			this.queue.stop();
+		}
+		if (this.scheduler) {
+			this.scheduler.stop();
+		}
+
+		async.parallel(_.compact([
+			this.sender && this.sender.close.bind(this.sender),
+			this.receiver && this.receiver.close.bind(this.receiver)
+		]), function (e) {
+			callback(e || null);
+		});
+	};
+
+	Promises.wrapAll(EmailInterface, [
+		'send',
+		'sendBatch',
+		'listScheduled',
+		'cancelScheduled',
+		'addSuppression',
+		'removeSuppression',
+		'listSuppressions',
+		'expireSuppressions',
+		'purgeIdempotencyKeys',
+		'ready',
+		'close'
+	]);
+
 	return EmailInterface;
 
 })();
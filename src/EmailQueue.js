@@ -0,0 +1,400 @@
+var _ = require('underscore');
+var util = require('util');
+var events = require('events');
+var crypto = require('crypto');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
+var FileStore = require('./FileStore');
+var MemoryStore = require('./MemoryStore');
+
+module.exports = (function () {
+	'use strict';
+
+	// Network errors considered as transient, the email will be retried.
+	var NETWORK_ERRORS = [
+		'ECONNREFUSED',
+		'ECONNRESET',
+		'ECONNECTION',
+		'ETIMEDOUT',
+		'ESOCKET',
+		'EPIPE',
+		'ENOTFOUND',
+		'EAI_AGAIN',
+		'EHOSTUNREACH',
+		'ENETUNREACH'
+	];
+
+	/**
+	 * @class EmailQueue
+	 * @classdesc `EmailQueue` persistent outbound queue sitting in front of the {@link EmailSender}.
+	 * Transient failures (SMTP 4xx and network errors) are retried with an exponential backoff,
+	 * permanent failures (SMTP 5xx) and exhausted jobs are moved to the dead-letter list.
+	 * Each retry emits `retrying` `{id, transport, attempts, delay, error, timestamp}`.
+	 *
+	 * @augments EventEmitter
+	 *
+	 * @param {EmailSender}	sender					- Sender used to deliver the queued emails
+	 * @param {object}		[options]				- Options
+	 * @param {object}		[options.store]			- Storage adapter exposing `get`, `set`, `remove` and `list` (see {@link MemoryStore})
+	 * @param {string}		[options.path]			- Path of the {@link FileStore} JSON file, used when no `store` is given
+	 * @param {number}		[options.attempts=5]	- Maximum amount of delivery attempts
+	 * @param {number}		[options.delay=1000]	- Delay in milliseconds before the first retry
+	 * @param {number}		[options.factor=2]		- Multiplier applied to the delay after each retry
+	 * @param {number}		[options.maxDelay=3600000]	- Maximum delay in milliseconds between two retries
+	 * @param {object}		[options.logger]		- {@link Logger#create} Logger
+	 *
+	 * @return {EmailQueue}
+	 */
+	function EmailQueue (sender, options) {
+
+		events.EventEmitter.call(this);
+
+		options = options || {};
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'EmailQueue'
+		});
+
+		this.sender = sender;
+
+		this.store = options.store;
+		if (!this.store) {
+			this.store = options.path ? new FileStore(options) : new MemoryStore();
+		}
+
+		this.attempts = options.attempts || 5;
+		this.delay = options.delay || 1000;
+		this.factor = options.factor || 2;
+		this.maxDelay = options.maxDelay || 3600000;
+
+		this.timers = {};
+		this.callbacks = {};
+
+	}
+
+	util.inherits(EmailQueue, events.EventEmitter);
+
+	/**
+	 * Generates a unique job id.
+	 *
+	 * @function getJobId
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.getJobId = function () {
+		return [
+			Date.now().toString(36),
+			crypto.randomBytes(6).toString('hex')
+		].join('-');
+	};
+
+	/**
+	 * Tells whether a sending error is transient and worth retrying.
+	 *
+	 * @function isTransient
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {Error}	e	- Error returned by the transport
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.isTransient = function (e) {
+		if (_.isArray(e.errors) && e.errors.length) {
+			return _.every(e.errors, this.isTransient, this);
+		}
+		if (e.responseCode) {
+			return e.responseCode >= 400 && e.responseCode < 500;
+		}
+		return _.contains(NETWORK_ERRORS, e.code);
+	};
+
+	/**
+	 * Computes the delay before the next attempt of a job.
+	 *
+	 * @function getDelay
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {number}	attempts	- Amount of attempts already made
+	 *
+	 * @return {number}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.getDelay = function (attempts) {
+		return Math.min(
+			this.maxDelay,
+			this.delay * Math.pow(this.factor, Math.max(attempts - 1, 0))
+		);
+	};
+
+	/**
+	 * Queues an email and delivers it as soon as possible.
+	 *
+	 * @function push
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {string}		transport	- Name of the transport method
+	 * @param {object}		settings	- Parameters used to setup the envelope and email body
+	 * @param {function}	[callback]	- Called once the email is delivered or moved to the dead-letter list
+	 *
+	 * @return {string}	The job id
+	 *
+	 * @api public
+	 */
+	EmailQueue.prototype.push = function (transport, settings, callback) {
+		var job = {
+			id: this.getJobId(),
+			transport: transport,
+			settings: settings,
+			state: 'pending',
+			attempts: 0,
+			createdAt: Date.now(),
+			nextAttemptAt: Date.now(),
+			lastError: null
+		};
+
+		if (callback) {
+			this.callbacks[job.id] = callback;
+		}
+
+		this.store.set(job.id, job, function (e) {
+			if (e) {
+				return this.finish(job.id, e);
+			}
+
+			this.process(job);
+		}.bind(this));
+
+		return job.id;
+	};
+
+	/**
+	 * Schedules the next attempt of a job.
+	 *
+	 * @function schedule
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {object}	job	- Job
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.schedule = function (job) {
+		var timer = setTimeout(function () {
+			delete this.timers[job.id];
+			this.process(job);
+		}.bind(this), Math.max(job.nextAttemptAt - Date.now(), 0));
+
+		// Pending jobs are persisted, they must not keep the process alive.
+		if (timer.unref) {
+			timer.unref();
+		}
+
+		this.timers[job.id] = timer;
+	};
+
+	/**
+	 * Attempts to deliver a job and retries, dead-letters or completes it
+	 * depending on the outcome.
+	 *
+	 * @function process
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {object}	job	- Job
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.process = function (job) {
+		this.sender.send(job.transport, job.settings, function (e, info) {
+			job.attempts += 1;
+
+			if (!e) {
+				return this.store.remove(job.id, function () {
+					this.finish(job.id, null, info);
+				}.bind(this));
+			}
+
+			job.lastError = {
+				message: e.message,
+				code: e.code || null,
+				responseCode: e.responseCode || null
+			};
+
+			if (this.isTransient(e) && job.attempts < this.attempts) {
+				job.nextAttemptAt = Date.now() + this.getDelay(job.attempts);
+
+				this.logger.warn('Email delivery failed, retrying', {
+					id: job.id,
+					transport: job.transport,
+					attempts: job.attempts,
+					delay: this.getDelay(job.attempts),
+					error: e
+				});
+
+				this.emit('retrying', {
+					id: job.id,
+					transport: job.transport,
+					attempts: job.attempts,
+					delay: this.getDelay(job.attempts),
+					error: e,
+					timestamp: Date.now()
+				});
+
+				return this.store.set(job.id, job, function () {
+					this.schedule(job);
+				}.bind(this));
+			}
+
+			job.state = 'dead';
+
+			this.logger.error('Email moved to the dead-letter list', {
+				id: job.id,
+				transport: job.transport,
+				attempts: job.attempts,
+				error: e
+			});
+			this.store.set(job.id, job, function () {
+				this.finish(job.id, e);
+			}.bind(this));
+		}.bind(this));
+	};
+
+	/**
+	 * Calls the callback given when the job was pushed, if the job was pushed
+	 * by this process.
+	 *
+	 * @function finish
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {string}	id		- Job id
+	 * @param {Error}	[e]		- Error
+	 * @param {object}	[info]	- Information returned by the transport
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailQueue.prototype.finish = function (id, e, info) {
+		var callback = this.callbacks[id];
+		delete this.callbacks[id];
+
+		if (callback) {
+			callback(e || null, info);
+		}
+	};
+
+	/**
+	 * Reloads the pending jobs from the store (eg: after a process restart)
+	 * and schedules them.
+	 *
+	 * @function resume
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {function}	[callback]	- Callback called with the amount of resumed jobs
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailQueue.prototype.resume = function (callback) {
+		callback = callback || function () {};
+
+		this.store.list(function (e, jobs) {
+			if (e) {
+				return callback(e);
+			}
+
+			var pending = _.filter(jobs, function (job) {
+				return job.state === 'pending' && !this.timers[job.id];
+			}, this);
+
+			_.each(pending, this.schedule, this);
+
+			callback(null, pending.length);
+		}.bind(this));
+	};
+
+	/**
+	 * Lists the jobs of the dead-letter list.
+	 *
+	 * @function deadLetters
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailQueue.prototype.deadLetters = function (callback) {
+		this.store.list(function (e, jobs) {
+			if (e) {
+				return callback(e);
+			}
+
+			callback(null, _.where(jobs, {
+				state: 'dead'
+			}));
+		});
+	};
+
+	/**
+	 * Moves a job of the dead-letter list back to the queue.
+	 *
+	 * @function retry
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @param {string}		id			- Job id
+	 * @param {function}	[callback]	- Called once the email is delivered or dead-lettered again
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailQueue.prototype.retry = function (id, callback) {
+		callback = callback || function () {};
+
+		this.store.get(id, function (e, job) {
+			if (e || !job) {
+				return callback(e || new Error('EmailQueue: unknown job `' + id + '`'));
+			}
+
+			job.state = 'pending';
+			job.attempts = 0;
+			job.nextAttemptAt = Date.now();
+			this.callbacks[id] = callback;
+
+			this.store.set(id, job, function () {
+				this.process(job);
+			}.bind(this));
+		}.bind(this));
+	};
+
+	/**
+	 * Cancels the scheduled attempts. Pending jobs stay in the store and can be resumed later.
+	 *
+	 * @function stop
+	 * @memberof EmailQueue.prototype
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailQueue.prototype.stop = function () {
+		_.each(this.timers, clearTimeout);
+		this.timers = {};
+	};
+
+	Promises.wrapAll(EmailQueue, ['resume', 'deadLetters', 'retry']);
+
+	return EmailQueue;
+
+})();
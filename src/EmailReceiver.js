@@ -1,4 +1,10 @@
+var _ = require('underscore');
+var util = require('util');
+var events = require('events');
+var async = require('async');
 var simplesmtp = require('simplesmtp');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
 
 module.exports = (function () {
 	'use strict';
@@ -6,14 +12,34 @@ module.exports = (function () {
 	/**
 	 * @class EmailReceiver
 	 * @classdesc `EmailReceiver` class for receiving emails on the SMS protocol.
+	 * Emits `listening` `{port, timestamp}` once the server is ready (`failed` `{port, error, timestamp}` otherwise),
+	 * `rejected` `{type, address, remoteAddress, error, timestamp}` when a sender, a recipient
+	 * or an email exceeding the `maxSize` option is refused and `received` `{queueId, from, to, remoteAddress, size, duration, timestamp}`
+	 * for every received email, see {@link EmailReceiver#receive}.
+	 *
+	 * @augments EventEmitter
 	 *
 	 * @param {object}		[options]						- Options
-	 * @param {object}		[options.disableDNSValidation]	- Validate of the sender domain
-	 * @param {string}		[options.SMTPBanner]			- Banner sent to the client whe connecting
-	 * @param {boolean}		[options.debug]					- Run module in debug mode `true` / `false`
+	 * @param {boolean}		[options.disableDNSValidation=true]	- Skip the DNS validation of the sender and recipient domains
+	 * @param {string}		[options.banner]				- Banner sent to the client when connecting (`SMTPBanner` is supported as well)
+	 * @param {string}		[options.hostname]				- Name of the server in its responses, the host name by default
+	 * @param {boolean}		[options.debug]					- Log the SMTP sessions (connections, envelopes) at the `debug` level
 	 * @param {number}		[options.port=25]				- Port on which the SMTP server will run. By default port 25.
+	 * @param {object}		[options.tls]					- PEM encoded `key` and `cert` offered with STARTTLS, which is disabled without them
+	 * @param {boolean}		[options.secure]				- Use TLS from the start of the connections (eg: port 465) instead of STARTTLS
+	 * @param {object}		[options.auth]					- Authentication of the clients (eg: for submission), see {@link EmailReceiver#authorize}
+	 * @param {object}		[options.auth.users]			- Passwords indexed by user name
+	 * @param {function}	[options.auth.authorize]		- Checks the credentials `(username, password, callback)`, the callback being called with `(e, success)`
+	 * @param {boolean}		[options.auth.required]			- Refuse the emails of the unauthenticated clients
+	 * @param {array}		[options.auth.methods]			- Accepted methods, `['PLAIN', 'LOGIN']` by default
+	 * @param {boolean}		[options.auth.allowInsecure]	- Accept the authentication on unencrypted connections
+	 * @param {number}		[options.maxSize]				- Maximum size of an email in bytes, larger ones being refused
+	 * @param {number}		[options.maxRecipients]			- Maximum amount of recipients per email
+	 * @param {number}		[options.maxConnections]		- Maximum amount of simultaneous connections
+	 * @param {number}		[options.timeout=60000]			- Milliseconds after which the idle connections are closed
 	 * @param {function}	[options.senderValidator]		- {@link  EmailReceiver#validateSender}
 	 * @param {function}	[options.recipientValidator]	- {@link  EmailReceiver#validateRecipient}
+	 * @param {object}		[options.logger]				- {@link  Logger#create} Logger
 	 *
 	 * @param {function}	[callback]						- Optional callback which will be called when the server is ready.
 	 *
@@ -21,28 +47,97 @@ module.exports = (function () {
 	 */
 	function EmailReceiver (options, callback) {
 
-		this.smtp = simplesmtp.createServer({
-			disableDNSValidation: options.disableDNSValidation || true,
-			SMTPBanner: options.SMTPBanner || 'My Server',
-			debug: !!options.debug
+		events.EventEmitter.call(this);
+
+		options = options || {};
+
+		var port = options.port || 25;
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'EmailReceiver'
 		});
 
-		this.smtp.listen(options.port || 25, callback || function (error) {
-			if (error) {
-				console.log([
-					'[Error:EmailReceiver] - ',
-					(error.stack || error)
-				].join(''));
-			}
-			else {
-				console.log([
-					'[Success:EmailReceiver] - ',
-					'SMTP Email server listening on port ',
-					options.port || 25
-				].join(''));
-			}
+		var auth = this.auth = options.auth || null;
+
+		this.maxSize = options.maxSize || null;
+
+		this.maxRecipients = options.maxRecipients || null;
+
+		// simplesmtp writes its debug output to the console, the sessions
+		// are logged through the logger instead.
+		this.smtp = simplesmtp.createServer({
+			disableDNSValidation: options.disableDNSValidation !== false,
+			SMTPBanner: options.banner || options.SMTPBanner || 'My Server',
+			name: options.hostname,
+			credentials: options.tls && _.pick(options.tls, 'key', 'cert'),
+			secureConnection: !!options.secure,
+			disableSTARTTLS: !options.tls || !!options.secure,
+			enableAuthentication: !!auth,
+			requireAuthentication: !!(auth && auth.required),
+			authMethods: auth && auth.methods,
+			ignoreTLS: !!(auth && auth.allowInsecure),
+			maxSize: this.maxSize,
+			maxClients: options.maxConnections,
+			timeout: options.timeout,
+			debug: false
 		});
 
+		if (auth) {
+			this.smtp.on('authorizeUser', this.authorize.bind(this));
+		}
+
+		if (options.debug) {
+			this.smtp.on('startData', function (connection) {
+				this.logger.debug('Receiving an email', {
+					from: connection.from,
+					to: connection.to,
+					remoteAddress: connection.remoteAddress || null
+				});
+			}.bind(this)).on('close', function (connection) {
+				this.logger.debug('Connection closed', {
+					remoteAddress: connection.remoteAddress || null
+				});
+			}.bind(this));
+		}
+
+		this.listening = async.memoize(function (cb) {
+			this.smtp.listen(port, function (error) {
+				this.emit(error ? 'failed' : 'listening', {
+					port: port,
+					error: error || null,
+					timestamp: Date.now()
+				});
+
+				if (error) {
+					this.logger.error('SMTP Email server failed to start', {
+						port: port,
+						error: error
+					});
+				}
+				else {
+					this.logger.info('SMTP Email server listening', {
+						port: port
+					});
+				}
+
+				cb(error || null);
+			}.bind(this));
+		}.bind(this));
+
+		this.listening(callback || function () {});
+
+		this.validators = {
+			sender: [],
+			recipient: []
+		};
+
+		if (this.maxSize) {
+			this.validateSender(this.checkSize.bind(this));
+		}
+		if (this.maxRecipients) {
+			this.validateRecipient(this.checkRecipients.bind(this));
+		}
+
 		if (options.senderValidator) {
 			this.validateSender(options.senderValidator);
 		}
@@ -50,8 +145,212 @@ module.exports = (function () {
 			this.validateRecipient(options.recipientValidator);
 		}
 
+		this.smtp.on('senderValidationFailed', function (address) {
+			this.reject('sender', address, null, new Error('Domain not found'));
+		}.bind(this));
+		this.smtp.on('recipientValidationFailed', function (address) {
+			this.reject('recipient', address, null, new Error('Domain not found'));
+		}.bind(this));
+
 	}
 
+	util.inherits(EmailReceiver, events.EventEmitter);
+
+	/**
+	 * Emits the `rejected` event of a refused sender or recipient.
+	 *
+	 * @function reject
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {string}	type			- `sender`, `recipient` or `message`
+	 * @param {string}	address			- Refused email address, the sender of a refused message
+	 * @param {object}	[connection]	- SMTP envelope of the connection
+	 * @param {Error}	error			- Reason of the refusal
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.reject = function (type, address, connection, error) {
+		this.logger.warn('Address rejected', {
+			type: type,
+			address: address,
+			remoteAddress: connection ? connection.remoteAddress : null,
+			error: error
+		});
+
+		this.emit('rejected', {
+			type: type,
+			address: address,
+			remoteAddress: connection ? connection.remoteAddress : null,
+			error: error,
+			timestamp: Date.now()
+		});
+	};
+
+	/**
+	 * Checks the credentials of a client with the `authorize` function of the
+	 * `auth` option, or else its `users`.
+	 *
+	 * @function authorize
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {object}		envelope	- SMTP envelope of the connection
+	 * @param {string}		user		- User name
+	 * @param {string}		pass		- Password
+	 * @param {function}	callback	- Callback called with `(e, success)`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.authorize = function (envelope, user, pass, callback) {
+		var auth = this.auth;
+		var done = function (e, success) {
+			if (e || !success) {
+				this.logger.warn('Authentication failed', {
+					username: user,
+					remoteAddress: envelope.remoteAddress || null,
+					error: e || null
+				});
+			}
+			callback(e || null, !e && !!success);
+		}.bind(this);
+
+		if (auth.authorize) {
+			return auth.authorize(user, pass, done);
+		}
+
+		var users = auth.users || {};
+
+		done(null, _.has(users, user) && users[user] === pass);
+	};
+
+	/**
+	 * Refuses the senders announcing an email larger than the `maxSize` option
+	 * (the `SIZE` parameter of the `MAIL FROM` command).
+	 *
+	 * @function checkSize
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {object}		connection	- SMTP envelope of the connection
+	 * @param {string}		address		- Sender address
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.checkSize = function (connection, address, callback) {
+		var size = Number(connection.messageSize) || 0;
+
+		delete connection.messageSize;
+
+		callback(size > this.maxSize ? this.getSizeError() : null);
+	};
+
+	/**
+	 * Refuses the recipients exceeding the `maxRecipients` option.
+	 *
+	 * @function checkRecipients
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {object}		envelope	- SMTP envelope of the connection
+	 * @param {string}		to			- Recipient address
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.checkRecipients = function (envelope, to, callback) {
+		var e = null;
+
+		if (envelope.to.length >= this.maxRecipients) {
+			e = new Error('Too many recipients');
+			e.SMTPResponse = '452 4.5.3 Error: too many recipients';
+		}
+
+		callback(e);
+	};
+
+	/**
+	 * Returns the error of the emails exceeding the `maxSize` option.
+	 *
+	 * @function getSizeError
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @return {Error}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.getSizeError = function () {
+		var e = new Error('The email exceeds ' + this.maxSize + ' bytes');
+		e.SMTPResponse = '552 5.3.4 Error: ' +
+			'message exceeds fixed maximum message size';
+		return e;
+	};
+
+	/**
+	 * Wraps a validator so that the addresses it refuses are emitted as `rejected`.
+	 *
+	 * @function watch
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {string}		type		- `sender` or `recipient`
+	 * @param {function}	validator	- simplesmtp validator `(connection, address, callback)`
+	 *
+	 * @return {function}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.watch = function (type, validator) {
+		var me = this;
+		return function (connection, address, callback) {
+			validator.call(this, connection, address, function (error) {
+				if (error) {
+					me.reject(type, address, connection, error);
+				}
+				callback.apply(this, arguments);
+			});
+		};
+	};
+
+	/**
+	 * Adds a validator of the senders or the recipients. The validators of a type
+	 * are run one after the other by a single simplesmtp listener, the first error
+	 * refusing the address.
+	 *
+	 * @function validate
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {string}		type		- `sender` or `recipient`
+	 * @param {function}	validator	- Validator `(connection, address, callback)`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.validate = function (type, validator) {
+		var validators = this.validators[type];
+
+		validators.push(validator);
+		if (validators.length > 1) {
+			return;
+		}
+
+		var event = type === 'sender' ? 'validateSender' : 'validateRecipient';
+		var validateAll = function (connection, address, callback) {
+			async.eachSeries(validators, function (validator, cb) {
+				validator.call(this, connection, address, cb);
+			}.bind(this), function (error) {
+				callback(error || null);
+			});
+		};
+
+		this.smtp.on(event, this.watch(type, validateAll));
+	};
+
 	/**
 	 * Generates a pseudo-random number which will be used as an emails queue id.
 	 *
@@ -68,6 +367,7 @@ module.exports = (function () {
 
 	/**
 	 * Validates the sender's email address. By default, every email address will be accepted.
+	 * Several validators can be added, see {@link EmailReceiver#validate}.
 	 *
 	 * @function validateSender
 	 * @memberof EmailReceiver.prototype
@@ -79,11 +379,12 @@ module.exports = (function () {
 	 * @api private
 	 */
 	EmailReceiver.prototype.validateSender = function (senderValidator) {
-		this.smtp.on('validateSender', senderValidator);
+		this.validate('sender', senderValidator);
 	};
 
 	/**
 	 * Validates the recipient(s)'s email address(es). By default, every email address will be accepted.
+	 * Several validators can be added (eg: the routes of {@link EmailInterface#route}), see {@link EmailReceiver#validate}.
 	 *
 	 * @function validateRecipient
 	 * @memberof EmailReceiver.prototype
@@ -95,33 +396,143 @@ module.exports = (function () {
 	 * @api private
 	 */
 	EmailReceiver.prototype.validateRecipient = function (recipientValidator) {
-		this.smtp.on('validateRecipient', recipientValidator);
+		this.validate('recipient', recipientValidator);
 	};
 
 	/**
-	 * Validates the recipient(s)'s email address(es). By default, every email address will be accepted.
+	 * Tells the stream of a refused email that no more content follows, so that
+	 * it does not wait for its end: it is destroyed when it has a `destroy` method,
+	 * else emitted the size error when it listens to `error`, else ended.
 	 *
-	 * @function validateRecipient
+	 * @function abandon
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {Stream}	saveStream	- Stream of the refused email
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailReceiver.prototype.abandon = function (saveStream) {
+		if (_.isFunction(saveStream.destroy)) {
+			return saveStream.destroy();
+		}
+		if (_.isFunction(saveStream.listeners) &&
+			saveStream.listeners('error').length) {
+			return saveStream.emit('error', this.getSizeError());
+		}
+		if (_.isFunction(saveStream.end)) {
+			saveStream.end();
+		}
+	};
+
+	/**
+	 * Streams the received emails. Emails exceeding the `maxSize` option are refused,
+	 * their stream being destroyed rather than ended, see {@link EmailReceiver#abandon}.
+	 *
+	 * @function receive
 	 * @memberof EmailReceiver.prototype
 	 *
-	 * @param {function} [stream]	- Stream function that will accumulate the email chunks
+	 * @param {function} [stream]	- Stream function that will accumulate the email chunks, called with the envelope `{from, to, remoteAddress, user}`, `user` being the authenticated user name
 	 *
 	 * @return {undefined}
 	 *
 	 * @api public
 	 */
 	EmailReceiver.prototype.receive = function (stream) {
-		var emailQueueId = this.getEmailQueueId();
+		var user = function (connection) {
+			var auth = connection.authentication;
+			return auth && auth.authenticated ? auth.username : null;
+		};
+
 		this.smtp.on('startData', function (connection) {
-			connection.saveStream = stream();
+			connection.saveStream = stream({
+				from: connection.from,
+				to: connection.to.slice(),
+				remoteAddress: connection.remoteAddress || null,
+				user: user(connection)
+			});
+			connection.startedAt = Date.now();
+			connection.size = 0;
 		}).on('data', function (connection, chunk) {
-			connection.saveStream.write(chunk);
-		}).on('dataReady', function (connection, callback) {
+			var saveStream = connection.saveStream;
+
+			connection.size += chunk.length;
+
+			if (saveStream && this.maxSize && connection.size > this.maxSize) {
+				// The partial email is dropped rather than parsed.
+				connection.saveStream = null;
+				this.abandon(saveStream);
+			}
+			if (connection.saveStream) {
+				connection.saveStream.write(chunk);
+			}
+		}.bind(this)).on('dataReady', function (connection, callback) {
+			if (!connection.saveStream) {
+				var e = this.getSizeError();
+
+				this.reject('message', connection.from, connection, e);
+				return callback(e);
+			}
+
+			var emailQueueId = this.getEmailQueueId();
+
+			// The envelope is reset for the next email once the callback is called.
+			var received = {
+				queueId: emailQueueId,
+				from: connection.from,
+				to: connection.to.slice(),
+				remoteAddress: connection.remoteAddress || null,
+				size: connection.size,
+				duration: Date.now() - connection.startedAt,
+				timestamp: Date.now()
+			};
+
 			connection.saveStream.end();
 			callback(null, emailQueueId);
-		});
+
+			this.logger.info('Email received', _.omit(received, 'timestamp'));
+			this.emit('received', received);
+		}.bind(this));
 	};
 
+	/**
+	 * Waits until the SMTP server is listening.
+	 *
+	 * @function ready
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailReceiver.prototype.ready = function (callback) {
+		this.listening(callback);
+	};
+
+	/**
+	 * Stops accepting connections and waits for the current ones to end.
+	 *
+	 * @function close
+	 * @memberof EmailReceiver.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailReceiver.prototype.close = function (callback) {
+		this.smtp.end(function () {
+			this.logger.info('SMTP Email server closed');
+			callback(null);
+		}.bind(this));
+	};
+
+	Promises.wrapAll(EmailReceiver, ['ready', 'close']);
+
 	return EmailReceiver;
 
 })();
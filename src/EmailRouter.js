@@ -0,0 +1,193 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * Compiles a recipient pattern: `{name}` placeholders capture a parameter,
+	 * `*` matches anything (eg: `reply+{ticketId}@support.example.com`, `bounces@*`).
+	 *
+	 * @param {(string|RegExp)}	pattern	- Recipient pattern
+	 *
+	 * @return {object}	`{regexp, names}`, `names` being `null` for a regular expression
+	 *
+	 * @api private
+	 */
+	var compile = function (pattern) {
+		if (_.isRegExp(pattern)) {
+			return {
+				regexp: pattern,
+				names: null
+			};
+		}
+
+		var names = [];
+		var source = _.map(String(pattern).split(/(\{\w+\}|\*)/), function (part) {
+			if (part === '*') {
+				return '.*?';
+			}
+			if (/^\{\w+\}$/.test(part)) {
+				names.push(part.slice(1, -1));
+				return '([^@]+?)';
+			}
+			return part.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+		}).join('');
+
+		return {
+			regexp: new RegExp('^' + source + '$', 'i'),
+			names: names
+		};
+	};
+
+	/**
+	 * @class EmailRouter
+	 * @classdesc `EmailRouter` dispatches the inbound emails to handlers by recipient
+	 * address, see {@link EmailRouter#add}. The recipients matching no route are
+	 * given to the catch-all handler, see {@link EmailRouter#otherwise}.
+	 *
+	 * @return {EmailRouter}
+	 */
+	function EmailRouter () {
+
+		this.routes = [];
+
+		this.fallback = null;
+
+	}
+
+	/**
+	 * Adds a route, the routes being tried in the order they are added.
+	 * The handler is called with `(email, params, recipient)`, `params` being the values
+	 * of the placeholders by name (eg: `{ticketId: '42'}`), or the captured groups
+	 * of a regular expression.
+	 *
+	 * @function add
+	 * @memberof EmailRouter.prototype
+	 *
+	 * @param {(string|RegExp)}	pattern		- Recipient pattern (eg: `reply+{ticketId}@support.example.com`)
+	 * @param {function}		handler		- Handler
+	 *
+	 * @return {EmailRouter}
+	 *
+	 * @api public
+	 */
+	EmailRouter.prototype.add = function (pattern, handler) {
+		this.routes.push(_.extend(compile(pattern), {
+			pattern: pattern,
+			handler: handler
+		}));
+
+		return this;
+	};
+
+	/**
+	 * Sets the catch-all handler, called with `(email, {}, recipient)` for
+	 * the recipients matching no route.
+	 *
+	 * @function otherwise
+	 * @memberof EmailRouter.prototype
+	 *
+	 * @param {function}	handler		- Handler
+	 *
+	 * @return {EmailRouter}
+	 *
+	 * @api public
+	 */
+	EmailRouter.prototype.otherwise = function (handler) {
+		this.fallback = handler;
+
+		return this;
+	};
+
+	/**
+	 * Finds the route of a recipient, the catch-all handler if none matches.
+	 *
+	 * @function match
+	 * @memberof EmailRouter.prototype
+	 *
+	 * @param {string}	address		- Recipient address
+	 *
+	 * @return {(object|null)}	`{pattern, handler, params}`, `null` if there is no route nor catch-all
+	 *
+	 * @api public
+	 */
+	EmailRouter.prototype.match = function (address) {
+		address = String(address || '').trim();
+
+		var match = null;
+		var route = _.find(this.routes, function (route) {
+			return (match = route.regexp.exec(address));
+		});
+
+		if (route) {
+			return {
+				pattern: route.pattern,
+				handler: route.handler,
+				params: route.names ?
+					_.object(route.names, match.slice(1)) :
+					match.slice(1)
+			};
+		}
+
+		return this.fallback && {
+			pattern: null,
+			handler: this.fallback,
+			params: {}
+		};
+	};
+
+	/**
+	 * Tells whether some routes or a catch-all handler are set.
+	 *
+	 * @function active
+	 * @memberof EmailRouter.prototype
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	EmailRouter.prototype.active = function () {
+		return !!(this.routes.length || this.fallback);
+	};
+
+	/**
+	 * Gives an email to the handler of each of its recipients. A handler is
+	 * called once per distinct set of parameters.
+	 *
+	 * @function dispatch
+	 * @memberof EmailRouter.prototype
+	 *
+	 * @param {object}	email		- Parsed email
+	 * @param {array}	recipients	- Recipient addresses
+	 *
+	 * @return {array}	Recipients without route
+	 *
+	 * @api public
+	 */
+	EmailRouter.prototype.dispatch = function (email, recipients) {
+		var called = [];
+
+		return _.filter(recipients, function (recipient) {
+			var route = this.match(recipient);
+
+			if (!route) {
+				return true;
+			}
+
+			var duplicate = _.some(called, function (previous) {
+				return previous.handler === route.handler &&
+					_.isEqual(previous.params, route.params);
+			});
+
+			if (!duplicate) {
+				called.push(route);
+				route.handler(email, route.params, recipient);
+			}
+
+			return false;
+		}, this);
+	};
+
+	return EmailRouter;
+
+})();
@@ -0,0 +1,294 @@
+var _ = require('underscore');
+var crypto = require('crypto');
+var Promises = require('./Promises');
+var FileStore = require('./FileStore');
+var MemoryStore = require('./MemoryStore');
+
+module.exports = (function () {
+	'use strict';
+
+	// Longest delay accepted by `setTimeout`, later jobs are checked again once it elapses.
+	var MAX_TIMEOUT = 2147483647;
+
+	/**
+	 * @class EmailScheduler
+	 * @classdesc `EmailScheduler` local scheduler holding the emails which must
+	 * be sent later. Jobs are persisted in a store, so that they survive a process
+	 * restart when the store is persistent (see {@link FileStore}). The timers of
+	 * the jobs kept in memory hold the process alive until they are sent.
+	 *
+	 * @param {function}	deliver				- Called with each due job and a callback: `deliver(job, callback)`
+	 * @param {object}		[options]			- Options
+	 * @param {object}		[options.store]		- Storage adapter exposing `get`, `set`, `remove` and `list` (see {@link MemoryStore})
+	 * @param {string}		[options.path]		- Path of the {@link FileStore} JSON file, used when no `store` is given
+	 *
+	 * @return {EmailScheduler}
+	 */
+	function EmailScheduler (deliver, options) {
+
+		options = options || {};
+
+		this.deliver = deliver;
+
+		this.store = options.store;
+		if (!this.store) {
+			this.store = options.path ? new FileStore(options) : new MemoryStore();
+		}
+
+		this.persistent = this.store.constructor !== MemoryStore;
+
+		this.timers = {};
+
+	}
+
+	/**
+	 * Generates a unique job id.
+	 *
+	 * @function getJobId
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	EmailScheduler.prototype.getJobId = function () {
+		return [
+			Date.now().toString(36),
+			crypto.randomBytes(6).toString('hex')
+		].join('-');
+	};
+
+	/**
+	 * Computes the sending date requested by the `sendAt` or `delay` settings.
+	 *
+	 * @function getSendAt
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {object}					settings			- Parameters used to setup the envelope and email body
+	 * @param {(Date|number|string)}	[settings.sendAt]	- Date at which the email must be sent
+	 * @param {number}					[settings.delay]	- Milliseconds to wait before sending the email
+	 *
+	 * @return {number}	Timestamp in milliseconds (`NaN` when invalid), `null` when the email must be sent right away
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.getSendAt = function (settings) {
+		if (settings.sendAt !== undefined && settings.sendAt !== null) {
+			return new Date(settings.sendAt).getTime();
+		}
+
+		if (settings.delay) {
+			return Date.now() + settings.delay;
+		}
+
+		return null;
+	};
+
+	/**
+	 * Schedules an email.
+	 *
+	 * @function schedule
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {object}		job				- Job
+	 * @param {string}		[job.transport]	- Name of the transport method or route
+	 * @param {object}		job.settings	- Parameters used to setup the envelope and email body
+	 * @param {array}		job.data		- Data items to feed to the templating engine
+	 * @param {number}		job.sendAt		- Timestamp at which the email must be sent
+	 * @param {function}	[callback]		- Called with the stored job
+	 *
+	 * @return {string}	The job id
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.schedule = function (job, callback) {
+		callback = callback || function () {};
+
+		job = _.extend(_.pick(job, 'transport', 'settings', 'data', 'sendAt'), {
+			id: this.getJobId(),
+			state: 'scheduled',
+			createdAt: Date.now(),
+			lastError: null
+		});
+
+		this.store.set(job.id, job, function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			this.wait(job);
+			callback(null, job);
+		}.bind(this));
+
+		return job.id;
+	};
+
+	/**
+	 * Sets the timer of a scheduled job.
+	 *
+	 * @function wait
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {object}	job	- Job
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailScheduler.prototype.wait = function (job) {
+		var delay = Math.max(job.sendAt - Date.now(), 0);
+
+		var timer = setTimeout(function () {
+			delete this.timers[job.id];
+
+			if (delay > MAX_TIMEOUT) {
+				return this.wait(job);
+			}
+
+			this.run(job.id);
+		}.bind(this), Math.min(delay, MAX_TIMEOUT));
+
+		// Persisted jobs must not keep the process alive, they are resumed on restart.
+		if (this.persistent && timer.unref) {
+			timer.unref();
+		}
+
+		this.timers[job.id] = timer;
+	};
+
+	/**
+	 * Delivers a due job. Delivered jobs are removed from the store, the ones
+	 * failing to render or send are kept with the `failed` state.
+	 *
+	 * @function run
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {string}	id	- Job id
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailScheduler.prototype.run = function (id) {
+		this.store.get(id, function (e, job) {
+			// The job was cancelled in the meantime.
+			if (e || !job || job.state !== 'scheduled') {
+				return;
+			}
+
+			this.deliver(job, function (e) {
+				if (!e) {
+					return this.store.remove(job.id);
+				}
+
+				job.state = 'failed';
+				job.lastError = {
+					message: e.message,
+					code: e.code || null
+				};
+				this.store.set(job.id, job);
+			}.bind(this));
+		}.bind(this));
+	};
+
+	/**
+	 * Lists the scheduled and failed jobs, ordered by sending date.
+	 *
+	 * @function list
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.list = function (callback) {
+		this.store.list(function (e, jobs) {
+			if (e) {
+				return callback(e);
+			}
+
+			callback(null, _.sortBy(jobs, 'sendAt'));
+		});
+	};
+
+	/**
+	 * Cancels a scheduled job and removes it from the store.
+	 *
+	 * @function cancel
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {string}		id			- Job id
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.cancel = function (id, callback) {
+		callback = callback || function () {};
+
+		this.store.get(id, function (e, job) {
+			if (e || !job) {
+				return callback(e || new Error('EmailScheduler: unknown job `' + id + '`'));
+			}
+
+			clearTimeout(this.timers[id]);
+			delete this.timers[id];
+
+			this.store.remove(id, callback);
+		}.bind(this));
+	};
+
+	/**
+	 * Reloads the scheduled jobs from the store (eg: after a process restart)
+	 * and sets their timers. Overdue jobs are sent right away.
+	 *
+	 * @function resume
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @param {function}	[callback]	- Callback called with the amount of resumed jobs
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.resume = function (callback) {
+		callback = callback || function () {};
+
+		this.store.list(function (e, jobs) {
+			if (e) {
+				return callback(e);
+			}
+
+			var scheduled = _.filter(jobs, function (job) {
+				return job.state === 'scheduled' && !this.timers[job.id];
+			}, this);
+
+			_.each(scheduled, this.wait, this);
+
+			callback(null, scheduled.length);
+		}.bind(this));
+	};
+
+	/**
+	 * Cancels the timers. Scheduled jobs stay in the store and can be resumed later.
+	 *
+	 * @function stop
+	 * @memberof EmailScheduler.prototype
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailScheduler.prototype.stop = function () {
+		_.each(this.timers, clearTimeout);
+		this.timers = {};
+	};
+
+	Promises.wrapAll(EmailScheduler, ['list', 'cancel', 'resume']);
+
+	return EmailScheduler;
+
+})();
@@ -1,8 +1,16 @@
 // Nodemailer plugin is imported and will be used for
 //  sending emails through various transport methods.
 var _ = require('underscore');
+var util = require('util');
+var events = require('events');
 var nodemailer = require('nodemailer');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
+var RateLimiter = require('./RateLimiter');
+var EmailAddresses = require('./EmailAddresses');
+var smtpPool = require('nodemailer-smtp-pool');
 var sesTransport = require('nodemailer-ses-transport');
+var smtpTransport = require('nodemailer-smtp-transport');
 var stubTransport = require('nodemailer-stub-transport');
 var directTransport = require('nodemailer-direct-transport');
 var sendmailTransport = require('nodemailer-sendmail-transport');
@@ -17,22 +25,63 @@ if (+process.versions.node.match(/^(\d+\.\d+)\.\d+$/)[1] < 0.10) {
 module.exports = (function () {
 	'use strict';
 
+	/**
+	 * Tells whether a sending error is a permanent rejection (SMTP 5xx, eg:
+	 * an unknown recipient or a refused message), which no other transport
+	 * would deliver either.
+	 *
+	 * @param {Error}	e	- Error returned by the transport
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var isPermanent = function (e) {
+		if (_.isArray(e.errors) && e.errors.length) {
+			return _.every(e.errors, isPermanent);
+		}
+		return e.responseCode >= 500;
+	};
+
 	/**
 	 * @class EmailSender
 	 * @classdesc `EmailSender` class for sending and receiving emails.
+	 * Emits the `sending`, `sent`, `retrying` (failover to the next transport)
+	 * and `failed` events, see {@link EmailSender#send}.
+	 *
+	 * @augments EventEmitter
 	 *
 	 * @param {object}						[options]					- Options
 	 * @param {string}						[options.defaultTransport]	- Name of the default transport method
 	 * @param {object}						[options.ses]				- {@link EmailSender#addSESTransport} Options for the SES transport
+	 * @param {object}						[options.smtp]				- {@link EmailSender#addSMTPTransport} Options for the SMTP relay transport
 	 * @param {string}						[options.stub]				- {@link  EmailSender#addStubMailTransport} Options for the stub transport
 	 * @param {string}						[options.direct]			- {@link  EmailSender#addDirectTransport} Options for the direct transport
 	 * @param {object}						[options.sendmail]			- {@link  EmailSender#addSendMailTransport} Options for the sendmail transport (linux only)
+	 * @param {object}						[options.routes]			- {@link  EmailSender#resolve} Routes indexed by name, usable wherever a transport name is expected
+	 * @param {array}						[options.rules]				- {@link  EmailSender#matchRule} Rules picking a transport or route when none is requested
+	 * @param {object}						[options.limits]			- {@link  EmailSender#setLimits} Rate limits indexed by transport name
+	 * @param {object}						[options.logger]			- {@link  Logger#create} Logger, the `debug` output of the transports is logged at the `debug` level
 	 *
 	 * @return {EmailSender}
 	 */
 	function EmailSender (options) {
 
+		events.EventEmitter.call(this);
+
+		options = options || {};
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'EmailSender'
+		});
+
 		this.transports = {};
+		this.limiters = {};
+
+		this.compiler = true;
+		if (_.isBoolean(options.compiler)) {
+			this.compiler = options.compiler;
+		}
 
 		if (options.direct) {
 			this.addDirectTransport(options.direct);
@@ -46,11 +95,15 @@ module.exports = (function () {
 			this.addSESTransport(options.ses);
 		}
 
+		if (options.smtp) {
+			this.addSMTPTransport(options.smtp);
+		}
+
 		var defaultTransport = options.defaultTransport;
 		if (!defaultTransport) {
 			var platform = process.platform;
 			defaultTransport = 'direct';
-			if (platform.match(/linux/gi)) {
+			if (platform.match(/linux/gi)) {
 				defaultTransport = 'sendmail';
 			}
 		}
@@ -58,17 +111,149 @@ module.exports = (function () {
 		if (defaultTransport === 'sendmail') {
 			this.addSendMailTransport(options.sendmail);
 		}
-		else {
+		else if (!this.transports.direct) {
 			this.addDirectTransport(options.direct);
 		}
 
-		this.compiler = true;
-		if (_.isBoolean(options.compiler)) {
-			this.compiler = options.compiler;
-		}
+		this.defaultTransport = defaultTransport.toLowerCase();
+
+		this.routes = {};
+		_.each(options.routes, function (route, name) {
+			this.routes[name.toLowerCase()] = route;
+		}, this);
+
+		this.rules = options.rules || [];
+
+		_.each(options.limits, function (limits, name) {
+			this.setLimits(name, limits);
+		}, this);
 
 	}
 
+	util.inherits(EmailSender, events.EventEmitter);
+
+	/**
+	 * Registers a transport under a given name. Nodemailer transport plugins
+	 * (objects exposing a `send(mail, callback)` method) are wrapped automatically.
+	 *
+	 * @function addTransport
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}	name		- Name of the transport
+	 * @param {object}	transport	- Nodemailer transport or transport plugin
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailSender.prototype.addTransport = function (name, transport) {
+		if (!_.isFunction(transport.sendMail)) {
+			transport = nodemailer.createTransport(transport);
+		}
+
+		if (this.compiler) {
+			transport.use('compile', NodemailerHtmlToText());
+		}
+
+		name = name.toLowerCase();
+
+		transport.on('log', function (log) {
+			this.logger.debug(log.message, {
+				transport: name,
+				type: log.type
+			});
+		}.bind(this));
+		transport.on('error', function (e) {
+			this.logger.error('Transport error', {
+				transport: name,
+				error: e
+			});
+		}.bind(this));
+
+		this.logger.debug('Transport added', {
+			transport: name
+		});
+
+		this.transports[name] = transport;
+	};
+
+	/**
+	 * Limits the throughput of a transport. Emails exceeding a limit are
+	 * queued until they fit instead of failing.
+	 *
+	 * @function setLimits
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}	name					- Name of the transport
+	 * @param {object}	limits					- Limits, see {@link RateLimiter}
+	 * @param {number}	[limits.rate]			- Maximum amount of emails sent per second
+	 * @param {number}	[limits.daily]			- Maximum amount of emails sent per day
+	 * @param {number}	[limits.concurrency]	- Maximum amount of simultaneous sends
+	 * @param {object}	[limits.domains]		- Limits indexed by recipient domain (eg: `{ 'gmail.com': { rate: 5 } }`)
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailSender.prototype.setLimits = function (name, limits) {
+		name = name.toLowerCase();
+
+		if (this.limiters[name]) {
+			this.limiters[name].stop();
+		}
+
+		this.limiters[name] = new RateLimiter(limits);
+	};
+
+	/**
+	 * Describes the current usage of the rate limited transports, so that
+	 * batch jobs can pace themselves.
+	 *
+	 * @function getUsage
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}	[name]	- Name of the transport, every limited transport when omitted
+	 *
+	 * @return {object}	See {@link RateLimiter#usage}, `null` for a transport without limits
+	 *
+	 * @api public
+	 */
+	EmailSender.prototype.getUsage = function (name) {
+		if (name) {
+			var limiter = this.limiters[name.toLowerCase()];
+			return limiter ? limiter.usage() : null;
+		}
+
+		return _.object(_.map(this.limiters, function (limiter, name) {
+			return [name, limiter.usage()];
+		}));
+	};
+
+	/**
+	 * Waits for the rate limiter of a transport, if any, before sending an email.
+	 *
+	 * @function throttle
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}		name		- Name of the transport
+	 * @param {object}		settings	- Parameters used to setup the envelope and email body
+	 * @param {function}	callback	- Called with a `release` function once the email can be sent
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.throttle = function (name, settings, callback) {
+		var limiter = this.limiters[name];
+
+		if (!limiter) {
+			return callback(function () {});
+		}
+
+		var recipients = EmailAddresses.parse(settings.to, settings.cc, settings.bcc);
+		limiter.acquire(_.map(recipients, EmailAddresses.getDomain), callback);
+	};
+
 	/**
 	 * Configures and adds SES transport capabilities.
 	 *
@@ -80,7 +265,7 @@ module.exports = (function () {
 	 * @param {string} options.accessKeyId		- AWS SES secret key
 	 * @param {string} [options.sessionToken]	- Session token
 	 * @param {object} [options.httpOptions]	- AWS low-level HTTP request options (see: `http://docs.aws.amazon.com/AWSJavaScriptSDK/latest/AWS/SES.html`)
-	 * @param {number} [options.rateLimit]		- Limit amount of emails that can be sent each second
+	 * @param {number} [options.rateLimit]		- Limit amount of emails that can be sent each second, see {@link EmailSender#setLimits}
 	 * @param {string} [options.region]			- AWS region (eg: `us-east-1`)
 	 *
 	 * @return {undefined}
@@ -88,14 +273,83 @@ module.exports = (function () {
 	 * @api private
 	 */
 	EmailSender.prototype.addSESTransport = function (options) {
-		this.transports.ses = nodemailer.createTransport(sesTransport({
+		this.logger.debug('Configuring the SES transport', {
+			options: options
+		});
+
+		this.addTransport('ses', sesTransport({
 			secretAccessKey: options.secretAccessKey,
 			accessKeyId: options.accessKeyId,
 			sessionToken: options.sessionToken,
 			httpOptions: options.httpOptions,
-			rateLimit: options.rateLimit,
 			region: options.region
 		}));
+
+		if (options.rateLimit) {
+			this.setLimits('ses', {
+				rate: options.rateLimit
+			});
+		}
+	};
+
+	/**
+	 * Configures and adds an SMTP relay transport (eg: a corporate mail server).
+	 * In pooled mode, connections are kept open and reused for the following emails.
+	 *
+	 * @function addSMTPTransport
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {object}	options							- Options for the SMTP transport
+	 * @param {string}	[options.host=localhost]		- Hostname or IP address of the SMTP server
+	 * @param {number}	[options.port]					- Port of the SMTP server (465 when `secure`, 25 otherwise)
+	 * @param {boolean}	[options.secure=false]			- Use TLS from the start of the connection (SMTPS)
+	 * @param {boolean}	[options.requireTLS=false]		- Fail unless the connection can be upgraded with STARTTLS
+	 * @param {boolean}	[options.ignoreTLS=false]		- Never upgrade the connection with STARTTLS
+	 * @param {object}	[options.tls]					- Node.js TLS options (eg: `{ rejectUnauthorized: false }`)
+	 * @param {object}	[options.auth]					- Credentials `{ user, pass }`
+	 * @param {string}	[options.authMethod]			- Preferred authentication method (eg: `PLAIN`, `LOGIN`)
+	 * @param {string}	[options.name]					- Hostname announced to the server with EHLO
+	 * @param {number}	[options.connectionTimeout]		- Milliseconds to wait for the connection to be established
+	 * @param {number}	[options.greetingTimeout]		- Milliseconds to wait for the greeting once connected
+	 * @param {number}	[options.socketTimeout]			- Milliseconds of inactivity before closing the connection
+	 * @param {boolean}	[options.pool=false]			- Reuse the connections for several emails
+	 * @param {number}	[options.maxConnections=5]		- Maximum amount of simultaneous connections (pooled mode)
+	 * @param {number}	[options.maxMessages=100]		- Maximum amount of emails sent per connection (pooled mode)
+	 * @param {boolean}	[options.debug]					- Sets the debug mode to `true` / `false`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.addSMTPTransport = function (options) {
+		this.logger.debug('Configuring the SMTP transport', {
+			options: options
+		});
+
+		var settings = _.pick(options,
+			'host',
+			'port',
+			'secure',
+			'requireTLS',
+			'ignoreTLS',
+			'tls',
+			'auth',
+			'authMethod',
+			'name',
+			'connectionTimeout',
+			'greetingTimeout',
+			'socketTimeout',
+			'debug'
+		);
+
+		if (options.pool) {
+			return this.addTransport('smtp', smtpPool(_.extend(settings, {
+				maxConnections: options.maxConnections || 5,
+				maxMessages: options.maxMessages || 100
+			})));
+		}
+
+		this.addTransport('smtp', smtpTransport(settings));
 	};
 
 	/**
@@ -109,7 +363,7 @@ module.exports = (function () {
 	 * @api private
 	 */
 	EmailSender.prototype.addStubMailTransport = function () {
-		this.transports.stub = nodemailer.createTransport(stubTransport());
+		this.addTransport('stub', stubTransport());
 	};
 
 	/**
@@ -129,7 +383,7 @@ module.exports = (function () {
 	 */
 	EmailSender.prototype.addDirectTransport = function (options) {
 		options = options || {};
-		this.transports.direct = nodemailer.createTransport(directTransport({
+		this.addTransport('direct', directTransport({
 			hostname: options.hostname,
 			debug: options.debug
 		}));
@@ -151,21 +405,181 @@ module.exports = (function () {
 	 */
 	EmailSender.prototype.addSendMailTransport = function (options) {
 		options = options || {};
-		this.transports.sendmail = nodemailer.createTransport(sendmailTransport({
+		this.addTransport('sendmail', sendmailTransport({
 			path: options.path,
 			args: options.args
 		}));
 	};
 
+	/**
+	 * Checks whether a rule applies to an email. A rule matches when its `type`
+	 * matches the email's template type and when the domain of every recipient
+	 * matches its `domain`. Omitted criteria always match.
+	 *
+	 * @function matchRule
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {object}					rule				- Rule
+	 * @param {(string|array)}			[rule.type]			- Template type(s)
+	 * @param {(string|RegExp|array)}	[rule.domain]		- Recipient domain(s) or pattern(s)
+	 * @param {string}					rule.transport		- Name of the transport or route to use
+	 * @param {object}					settings			- Parameters used to setup the envelope and email body
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.matchRule = function (rule, settings) {
+		if (rule.type && !_.contains([].concat(rule.type), settings.type)) {
+			return false;
+		}
+
+		if (!rule.domain) {
+			return true;
+		}
+
+		var patterns = [].concat(rule.domain);
+		var recipients = EmailAddresses.parse(settings.to, settings.cc, settings.bcc);
+
+		return recipients.length > 0 && _.every(recipients, function (recipient) {
+			var domain = EmailAddresses.getDomain(recipient);
+
+			return _.some(patterns, function (pattern) {
+				if (_.isRegExp(pattern)) {
+					return pattern.test(domain);
+				}
+				return String(pattern).toLowerCase() === domain;
+			});
+		});
+	};
+
+	/**
+	 * Returns the name of the transport or route to use. A requested name wins,
+	 * otherwise the first matching rule is used, falling back to the default transport.
+	 *
+	 * @function getTransportName
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}	[transportMethod]	- Name of the transport or route, `*` for the default one
+	 * @param {object}	[settings]			- Parameters used to setup the envelope and email body
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	EmailSender.prototype.getTransportName = function (transportMethod, settings) {
+		if (_.isString(transportMethod) && transportMethod !== '*') {
+			transportMethod = transportMethod.toLowerCase();
+			if (transportMethod in this.transports || transportMethod in this.routes) {
+				return transportMethod;
+			}
+		}
+
+		var rule = _.find(this.rules, function (rule) {
+			return this.matchRule(rule, settings || {});
+		}, this);
+
+		return rule ? rule.transport.toLowerCase() : this.defaultTransport;
+	};
+
+	/**
+	 * Picks a transport name at random, proportionally to its weight.
+	 *
+	 * @function pickWeighted
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {object}	weights	- Weights indexed by transport name (eg: `{ ses: 90, direct: 10 }`)
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.pickWeighted = function (weights) {
+		var names = _.keys(weights);
+		var total = _.reduce(names, function (sum, name) {
+			return sum + Math.max(weights[name], 0);
+		}, 0);
+		var threshold = this.random() * total;
+
+		return _.find(names, function (name) {
+			threshold -= Math.max(weights[name], 0);
+			return threshold < 0;
+		}) || _.last(names);
+	};
+
+	/**
+	 * Random number generator used by the weighted routes.
+	 *
+	 * @function random
+	 * @memberof EmailSender.prototype
+	 *
+	 * @return {number}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.random = function () {
+		return Math.random();
+	};
+
+	/**
+	 * Resolves a transport or route name into the ordered list of transports
+	 * to try. A route can split its traffic with `weights` and / or declare
+	 * a `failover` chain tried in order when the previous transport fails:
+	 * `{ weights: { ses: 90, direct: 10 }, failover: ['sendmail'] }`.
+	 *
+	 * @function resolve
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {string}	name	- Name of the transport or route
+	 *
+	 * @return {array}
+	 *
+	 * @api private
+	 */
+	EmailSender.prototype.resolve = function (name) {
+		if (name in this.transports) {
+			return [name];
+		}
+
+		var route = this.routes[name];
+		if (!route) {
+			return [];
+		}
+
+		var chain = [];
+		if (route.weights) {
+			chain.push(this.pickWeighted(route.weights));
+		}
+
+		return _.chain(chain.concat(route.failover || []))
+			.map(function (transport) {
+				return transport.toLowerCase();
+			})
+			.filter(function (transport) {
+				return transport in this.transports;
+			}, this)
+			.uniq()
+			.value();
+	};
+
 	/**
 	 * The only public method exposed excluding the class constructor.
 	 * Like it's name indicates, it's used to send emails and handle the
 	 *  corresponding events.
+	 * The name of the transport which delivered the email is recorded as
+	 * `info.transport` (`e.transport` for the last one which failed).
+	 * Rate limited transports delay the email until it fits within their limits.
+	 *
+	 * Every attempt emits `sending` `{transport, messageId, recipients, attempt, timestamp}`,
+	 * followed by `sent` `{transport, messageId, recipients, attempted, duration, timestamp}`
+	 * or, when another transport remains, `retrying` `{transport, next, error, recipients, duration, timestamp}`.
+	 * `failed` `{transport, error, recipients, attempted, timestamp}` is emitted once every transport failed,
+	 * or right away on a permanent rejection (SMTP 5xx) which is not failed over.
 	 *
 	 * @function send
 	 * @memberof EmailSender.prototype
 	 *
-	 * @param {string}							transportMethod			- Options for the Direct transport
+	 * @param {string}							transportMethod			- Name of the transport method or route, see {@link  EmailSender#getTransportName}
 	 * @param {object}							settings				- Parameters used to setup the envelope and email body
 	 * @param {function}						callback				- Callback
 	 *
@@ -174,20 +588,151 @@ module.exports = (function () {
 	 * @api public
 	 */
 	EmailSender.prototype.send = function (transportMethod, settings, callback) {
-		var transport = this.transports[transportMethod.toLowerCase()];
+		var chain = this.resolve(this.getTransportName(transportMethod, settings));
+		var recipients = EmailAddresses.parse(settings.to, settings.cc, settings.bcc);
+		var attempted = [];
 
-		if (this.compiler) {
-			transport.use('compile', NodemailerHtmlToText());
-		}
+		var fail = function (e) {
+			e.transport = _.last(attempted) || null;
+			e.attempted = attempted;
+
+			this.logger.error('Email sending failed', {
+				transport: e.transport,
+				recipients: recipients,
+				attempted: attempted,
+				error: e
+			});
+
+			this.emit('failed', {
+				transport: e.transport,
+				error: e,
+				recipients: recipients,
+				attempted: attempted,
+				timestamp: Date.now()
+			});
 
-		if (!transport || transportMethod === '*') {
-			transportMethod = this.defaultTransport;
-			transport = this.transports[transportMethod];
+			callback(e);
+		}.bind(this);
+
+		if (!chain.length) {
+			return fail(new Error('EmailSender: no transport available'));
 		}
 
-		transport.sendMail(settings, callback);
+		var attempt = function (index, lastError) {
+			if (index >= chain.length) {
+				return fail(lastError);
+			}
+
+			var name = chain[index];
+			attempted.push(name);
+
+			this.throttle(name, settings, function (release) {
+				var startedAt = Date.now();
+
+				this.emit('sending', {
+					transport: name,
+					messageId: settings.messageId || null,
+					recipients: recipients,
+					attempt: attempted.length,
+					timestamp: startedAt
+				});
+
+				var sent = _.once(function (e, info) {
+					var duration = Date.now() - startedAt;
+
+					release();
+
+					if (e && isPermanent(e)) {
+						return fail(e);
+					}
+					if (e) {
+						if (index + 1 < chain.length) {
+							this.logger.warn('Transport failed, trying the next one', {
+								transport: name,
+								next: chain[index + 1],
+								error: e
+							});
+
+							this.emit('retrying', {
+								transport: name,
+								next: chain[index + 1],
+								error: e,
+								recipients: recipients,
+								duration: duration,
+								timestamp: Date.now()
+							});
+						}
+						return attempt(index + 1, e);
+					}
+
+					info = info || {};
+					info.transport = name;
+					info.attempted = attempted;
+
+					this.logger.info('Email sent', {
+						transport: name,
+						messageId: info.messageId || null,
+						recipients: recipients,
+						duration: duration
+					});
+
+					this.emit('sent', {
+						transport: name,
+						messageId: info.messageId || null,
+						recipients: recipients,
+						attempted: attempted,
+						duration: duration,
+						timestamp: Date.now()
+					});
+
+					callback(null, info);
+				}.bind(this));
+
+				// A transport throwing (eg: on invalid settings) releases its slot too.
+				try {
+					this.transports[name].sendMail(settings, sent);
+				}
+				catch (e) {
+					sent(e);
+				}
+			}.bind(this));
+		}.bind(this);
+
+		attempt(0);
+	};
+
+	/**
+	 * Closes the pooled connections of the transports and cancels the
+	 * pending rate limiter checks.
+	 *
+	 * @function close
+	 * @memberof EmailSender.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	EmailSender.prototype.close = function (callback) {
+		_.each(this.transports, function (transport, name) {
+			if (_.isFunction(transport.close)) {
+				transport.close();
+				this.logger.debug('Transport closed', {
+					transport: name
+				});
+			}
+		}, this);
+
+		_.invoke(this.limiters, 'stop');
+
+		process.nextTick(function () {
+			callback(null);
+		});
 	};
 
+	Promises.wrapAll(EmailSender, ['send', 'close']);
+
 	return EmailSender;
 
 })();
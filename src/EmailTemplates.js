@@ -1,6 +1,12 @@
 var _ = require('underscore');
-var i18n = require('i18n');
+var fs = require('fs');
+var path = require('path');
+var async = require('async');
+var I18n = require('i18n').I18n;
+var Handlebars = require('handlebars');
 var emailTemplates = require('email-templates');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
 
 module.exports = (function () {
 	'use strict';
@@ -18,7 +24,9 @@ module.exports = (function () {
 			engine = options.engine;
 		}
 
-		i18n.configure(_.extend({
+		// Every instance holds its own catalog, its locales and settings are not
+		// shared with the others.
+		this.i18n = new I18n(_.extend({
 			locales: ['en'],
 			defaultLocale: 'en',
 			directory: './languages',
@@ -26,20 +34,63 @@ module.exports = (function () {
 			objectNotation: true
 		}, options.i18n));
 
+		var catalog = this.i18n;
 		this.helpers = _.extend({
 			__: function () {
-				return i18n.__.apply(this, arguments);
+				return catalog.__.apply(this, arguments);
 			},
 			__n: function () {
-				return i18n.__n.apply(this, arguments);
+				return catalog.__n.apply(this, arguments);
 			}
 		}, options.helpers);
 
 		this.partials = _.extend({}, options.partials);
 
+		this.logger = Logger.create(options.logger).child({
+			module: 'EmailTemplates'
+		});
+
 	}
 
+	/**
+	 * Wraps a rendering callback so that the outcome of the rendering is logged.
+	 *
+	 * @function track
+	 * @memberof EmailTemplates.prototype
+	 *
+	 * @param {string}		type		- Template type
+	 * @param {array}		items		- Data items being rendered
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {function}
+	 *
+	 * @api private
+	 */
+	EmailTemplates.prototype.track = function (type, items, callback) {
+		var startedAt = Date.now();
+
+		return function (e, results) {
+			if (e) {
+				this.logger.error('Template rendering failed', {
+					type: type,
+					error: e
+				});
+			}
+			else {
+				this.logger.debug('Templates rendered', {
+					type: type,
+					count: _.size(items),
+					duration: Date.now() - startedAt
+				});
+			}
+
+			callback(e, results);
+		}.bind(this);
+	};
+
 	EmailTemplates.prototype.render = function (options, callback) {
+		callback = this.track(options.type, options.items, callback);
+
 		var helpers = _.extend(this.helpers, options.helpers);
 		var partials = _.extend(this.partials, options.partials);
 
@@ -56,38 +107,110 @@ module.exports = (function () {
 	};
 
 	EmailTemplates.prototype.localize = function (template, templatesDir, type, items, callback) {
-		var Render = function (locals) {
-			var uid = locals._uid;
-			locals._uid = null;
-			delete locals._uid;
-
-			this.locals = locals;
-
-			this.send = function (e, html, text) {
-				callback(null, {
-					uid: uid,
-					html: html,
-					text: text
-				});
-			};
-
-			this.batch = function (batch) {
-				batch(this.locals, templatesDir, this.send);
-			};
-		};
-
 		template(type, true, function (e, batch) {
-			if(e) {
+			if (e) {
 				return callback(e);
 			}
 
-			_.each(items, function (item, index) {
-				item._uid = index;
-				return (new Render(item)).batch(batch);
-			});
+			async.map(items, function (item, cb) {
+				batch(_.extend({}, item), templatesDir, function (e, html, text) {
+					if (e) {
+						return cb(e);
+					}
+
+					cb(null, {
+						html: html,
+						text: text
+					});
+				});
+			}, callback);
 		});
 	};
 
+	/**
+	 * Renders a single plain-text template (eg: an SMS body) for each item, using
+	 * the same helpers, partials and i18n catalog as the email templates.
+	 * The template is the `<name>.hbs` file of the `<templatesDir>/<type>` directory.
+	 * Each item can carry a `locale` which is used by the `__` / `__n` helpers.
+	 *
+	 * @function renderText
+	 * @memberof EmailTemplates.prototype
+	 *
+	 * @param {object}		options					- Options
+	 * @param {string}		options.templatesDir	- Directory containing one sub-directory per template type
+	 * @param {string}		options.type			- Template type
+	 * @param {string}		[options.name=text]		- Name of the template file without extension
+	 * @param {array}		options.items			- Data items to render the template with
+	 * @param {object}		[options.helpers]		- Additional Handlebars helpers
+	 * @param {object}		[options.partials]		- Additional Handlebars partials
+	 * @param {function}	[options.validate]		- Called with `(text, item)`, returns an error to abort the rendering
+	 * @param {function}	callback				- Callback called with the list of rendered texts
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	EmailTemplates.prototype.renderText = function (options, callback) {
+		callback = this.track(options.type, options.items, callback);
+
+		var name = options.name || 'text';
+		var typeDir = path.resolve(options.templatesDir, options.type);
+
+		var handlebars = Handlebars.create();
+		handlebars.registerHelper(_.extend({}, this.helpers, options.helpers));
+		handlebars.registerPartial(_.extend({}, this.partials, options.partials));
+
+		async.waterfall([
+			function (cb) {
+				fs.readdir(typeDir, cb);
+			},
+			function (files, cb) {
+				var file = _.find(files, function (file) {
+					return path.basename(file, path.extname(file)) === name;
+				});
+
+				if (!file) {
+					return cb(new Error([
+						'EmailTemplates: no `',
+						name,
+						'` template found in ',
+						typeDir
+					].join('')));
+				}
+
+				fs.readFile(path.join(typeDir, file), 'utf8', cb);
+			},
+			function (source, cb) {
+				var template;
+				var texts = [];
+
+				try {
+					template = handlebars.compile(source, {
+						noEscape: true
+					});
+
+					_.each(options.items, function (item) {
+						var text = template(item).trim();
+						var e = options.validate && options.validate(text, item);
+
+						if (e) {
+							throw e;
+						}
+
+						texts.push(text);
+					});
+				}
+				catch (e) {
+					return cb(e);
+				}
+
+				cb(null, texts);
+			}
+		], callback);
+	};
+
+	Promises.wrapAll(EmailTemplates, ['render', 'renderText']);
+
 	return EmailTemplates;
 
 })();
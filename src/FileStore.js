@@ -0,0 +1,145 @@
+var _ = require('underscore');
+var fs = require('fs');
+var util = require('util');
+var MemoryStore = require('./MemoryStore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * Revives the buffers serialized by `JSON.stringify` (eg: attachments contents).
+	 *
+	 * @param {string}	key		- Key
+	 * @param {*}		value	- Value
+	 *
+	 * @return {*}
+	 *
+	 * @api private
+	 */
+	var reviver = function (key, value) {
+		if (value && value.type === 'Buffer' && _.isArray(value.data)) {
+			return new Buffer(value.data);
+		}
+		return value;
+	};
+
+	/**
+	 * @class FileStore
+	 * @classdesc `FileStore` key / value storage adapter persisted in a JSON file,
+	 * so that its entries survive a process restart. Entries are kept in memory
+	 * and the whole file is rewritten (atomically) after each change.
+	 *
+	 * @augments MemoryStore
+	 *
+	 * @param {object}	options			- Options
+	 * @param {string}	options.path	- Path of the JSON file
+	 *
+	 * @return {FileStore}
+	 */
+	function FileStore (options) {
+
+		MemoryStore.call(this);
+
+		if (!options || !options.path) {
+			throw new Error('FileStore: `path` option is required');
+		}
+
+		this.path = options.path;
+		this.writing = false;
+		this.waiting = [];
+
+		if (fs.existsSync(this.path)) {
+			this.entries = JSON.parse(fs.readFileSync(this.path, 'utf8'), reviver);
+		}
+
+	}
+
+	util.inherits(FileStore, MemoryStore);
+
+	/**
+	 * Writes the entries to disk. Writes are serialized: changes made while
+	 * a write is in progress are flushed together by the next one.
+	 *
+	 * @function flush
+	 * @memberof FileStore.prototype
+	 *
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	FileStore.prototype.flush = function (callback) {
+		this.waiting.push(callback || function () {});
+
+		if (this.writing) {
+			return;
+		}
+
+		var callbacks = this.waiting;
+		var tmp = this.path + '.tmp';
+
+		this.writing = true;
+		this.waiting = [];
+
+		fs.writeFile(tmp, JSON.stringify(this.entries), function (e) {
+			var done = function (e) {
+				this.writing = false;
+
+				_.each(callbacks, function (cb) {
+					cb(e || null);
+				});
+
+				if (this.waiting.length) {
+					this.flush(this.waiting.pop());
+				}
+			}.bind(this);
+
+			if (e) {
+				return done(e);
+			}
+
+			fs.rename(tmp, this.path, done);
+		}.bind(this));
+	};
+
+	/**
+	 * Stores a value under a key and persists it.
+	 *
+	 * @function set
+	 * @memberof FileStore.prototype
+	 *
+	 * @param {string}		key			- Key
+	 * @param {*}			value		- Value
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	FileStore.prototype.set = function (key, value, callback) {
+		this.entries[key] = this.copy(value);
+		this.flush(callback);
+	};
+
+	/**
+	 * Removes the value stored under a key and persists the change.
+	 *
+	 * @function remove
+	 * @memberof FileStore.prototype
+	 *
+	 * @param {string}		key			- Key
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	FileStore.prototype.remove = function (key, callback) {
+		delete this.entries[key];
+		this.flush(callback);
+	};
+
+	return FileStore;
+
+})();
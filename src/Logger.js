@@ -0,0 +1,194 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	var LEVELS = {
+		debug: 10,
+		info: 20,
+		warn: 30,
+		error: 40,
+		silent: 100
+	};
+
+	// Fields whose values are never written to the logs.
+	var SECRETS = new RegExp([
+		'pass(word)?$',
+		'secret',
+		'token',
+		'authorization',
+		'access_?key',
+		'api_?key',
+		'credentials?'
+	].join('|'), 'i');
+
+	/**
+	 * Writes an entry as a JSON line, on `stderr` for warnings and errors.
+	 *
+	 * @param {object}	entry	- Log entry
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	var write = function (entry) {
+		var error = LEVELS[entry.level] >= LEVELS.warn;
+		var output = error ? process.stderr : process.stdout;
+
+		output.write(JSON.stringify(entry) + '\n');
+	};
+
+	/**
+	 * @class Logger
+	 * @classdesc `Logger` structured logger every module routes its logs
+	 * through. Entries are objects `{level, time, msg, ...fields}` whose secret
+	 * fields (passwords, tokens, SES keys, ...etc.) are redacted.
+	 *
+	 * @param {object}		[options]				- Options
+	 * @param {string}		[options.level=info]	- Minimum level written: `debug`, `info`, `warn`, `error` or `silent`
+	 * @param {function}	[options.write]			- Called with every entry, JSON lines are written to `stdout` / `stderr` by default
+	 * @param {object}		[options.fields]		- Fields added to every entry (eg: `{ service: 'api' }`)
+	 * @param {RegExp}		[options.redact]		- Pattern of the field names to redact, in addition to the default ones
+	 *
+	 * @return {Logger}
+	 */
+	function Logger (options) {
+
+		options = options || {};
+
+		this.level = options.level || 'info';
+		if (!_.has(LEVELS, this.level)) {
+			throw new Error('Logger: unknown level `' + this.level + '`');
+		}
+
+		this.write = options.write || write;
+		this.fields = options.fields || {};
+		this.redactions = _.compact([SECRETS, options.redact]);
+
+	}
+
+	/**
+	 * Returns a logger from the `logger` option of a module: a {@link Logger},
+	 * the options of a new one, or an external logger exposing `debug`, `info`,
+	 * `warn` and `error` methods called with `(fields, message)` (eg: bunyan or pino).
+	 *
+	 * @function create
+	 * @memberof Logger
+	 *
+	 * @param {(Logger|object)}	[logger]	- Logger option
+	 *
+	 * @return {Logger}
+	 *
+	 * @api public
+	 */
+	Logger.create = function (logger) {
+		if (logger instanceof Logger) {
+			return logger;
+		}
+
+		if (logger && _.isFunction(logger.info)) {
+			return new Logger({
+				level: 'debug',
+				write: function (entry) {
+					logger[entry.level](_.omit(entry, 'level', 'time', 'msg'), entry.msg);
+				}
+			});
+		}
+
+		return new Logger(logger);
+	};
+
+	/**
+	 * Returns a logger sharing the configuration of this one, with additional fields
+	 * (eg: `{ module: 'EmailSender' }`).
+	 *
+	 * @function child
+	 * @memberof Logger.prototype
+	 *
+	 * @param {object}	fields	- Fields added to every entry
+	 *
+	 * @return {Logger}
+	 *
+	 * @api public
+	 */
+	Logger.prototype.child = function (fields) {
+		var child = Object.create(this);
+		child.fields = _.extend({}, this.fields, fields);
+		return child;
+	};
+
+	/**
+	 * Copies a value, replacing the secret fields by `[REDACTED]`.
+	 *
+	 * @function redact
+	 * @memberof Logger.prototype
+	 *
+	 * @param {*}	value	- Value to redact
+	 *
+	 * @return {*}
+	 *
+	 * @api public
+	 */
+	Logger.prototype.redact = function (value) {
+		if (value instanceof Error) {
+			return _.extend(this.redact(_.extend({}, value)), {
+				message: value.message,
+				stack: value.stack
+			});
+		}
+
+		if (_.isArray(value)) {
+			return _.map(value, this.redact, this);
+		}
+
+		if (!_.isObject(value) || _.isFunction(value) ||
+			_.isDate(value) || _.isRegExp(value) || Buffer.isBuffer(value)) {
+			return value;
+		}
+
+		return _.object(_.map(value, function (field, name) {
+			var secret = _.some(this.redactions, function (pattern) {
+				return pattern.test(name);
+			});
+			return [name, secret ? '[REDACTED]' : this.redact(field)];
+		}, this));
+	};
+
+	/**
+	 * Writes an entry if its level is enabled.
+	 *
+	 * @function log
+	 * @memberof Logger.prototype
+	 *
+	 * @param {string}	level		- `debug`, `info`, `warn` or `error`
+	 * @param {string}	message		- Message
+	 * @param {object}	[fields]	- Fields of the entry
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	Logger.prototype.log = function (level, message, fields) {
+		if (LEVELS[level] < LEVELS[this.level]) {
+			return;
+		}
+
+		this.write(_.extend(
+			{
+				level: level,
+				time: new Date().toISOString(),
+				msg: message
+			},
+			this.redact(_.extend({}, this.fields, fields))
+		));
+	};
+
+	_.each(['debug', 'info', 'warn', 'error'], function (level) {
+		Logger.prototype[level] = function (message, fields) {
+			this.log(level, message, fields);
+		};
+	});
+
+	return Logger;
+
+})();
@@ -0,0 +1,116 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class MemoryStore
+	 * @classdesc `MemoryStore` in-memory key / value storage adapter. Every
+	 * pluggable store (queue, scheduler, ...etc.) follows the same interface:
+	 * `get`, `set`, `remove` and `list`, all of them asynchronous.
+	 *
+	 * @return {MemoryStore}
+	 */
+	function MemoryStore () {
+
+		this.entries = {};
+
+	}
+
+	/**
+	 * Copies a value so that stored entries can't be mutated from the outside.
+	 *
+	 * @function copy
+	 * @memberof MemoryStore.prototype
+	 *
+	 * @param {*}	value	- Value to copy
+	 *
+	 * @return {*}
+	 *
+	 * @api private
+	 */
+	MemoryStore.prototype.copy = function (value) {
+		return _.isObject(value) ? _.clone(value) : value;
+	};
+
+	/**
+	 * Retrieves the value stored under a key, `null` if there is none.
+	 *
+	 * @function get
+	 * @memberof MemoryStore.prototype
+	 *
+	 * @param {string}		key			- Key
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	MemoryStore.prototype.get = function (key, callback) {
+		var value = _.has(this.entries, key) ? this.copy(this.entries[key]) : null;
+
+		process.nextTick(function () {
+			callback(null, value);
+		});
+	};
+
+	/**
+	 * Stores a value under a key.
+	 *
+	 * @function set
+	 * @memberof MemoryStore.prototype
+	 *
+	 * @param {string}		key			- Key
+	 * @param {*}			value		- Value
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	MemoryStore.prototype.set = function (key, value, callback) {
+		this.entries[key] = this.copy(value);
+		process.nextTick(callback || function () {});
+	};
+
+	/**
+	 * Removes the value stored under a key.
+	 *
+	 * @function remove
+	 * @memberof MemoryStore.prototype
+	 *
+	 * @param {string}		key			- Key
+	 * @param {function}	[callback]	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	MemoryStore.prototype.remove = function (key, callback) {
+		delete this.entries[key];
+		process.nextTick(callback || function () {});
+	};
+
+	/**
+	 * Lists all the stored values.
+	 *
+	 * @function list
+	 * @memberof MemoryStore.prototype
+	 *
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	MemoryStore.prototype.list = function (callback) {
+		var values = _.map(_.values(this.entries), this.copy);
+
+		process.nextTick(function () {
+			callback(null, values);
+		});
+	};
+
+	return MemoryStore;
+
+})();
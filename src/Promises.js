@@ -0,0 +1,84 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class Promises
+	 * @classdesc `Promises` helpers giving the callback based public methods
+	 * a promise returning variant: a method called without its callback
+	 * returns a promise instead.
+	 */
+	var Promises = {};
+
+	/**
+	 * Wraps a method whose last declared parameter is a node-style callback.
+	 * The callback may also be given in place of omitted optional arguments
+	 * (eg: `send(settings, callback)`), in which case it is left as is.
+	 *
+	 * @function wrap
+	 * @memberof Promises
+	 *
+	 * @param {function}	method	- Method to wrap
+	 *
+	 * @return {function}
+	 *
+	 * @api public
+	 */
+	Promises.wrap = function (method) {
+		var position = method.length - 1;
+
+		return function () {
+			var args = _.toArray(arguments).slice(0, position);
+			var callback = arguments.length > position ?
+				arguments[position] : _.last(arguments);
+			var self = this;
+
+			if (_.isFunction(callback)) {
+				return method.apply(this, arguments);
+			}
+
+			if (typeof Promise === 'undefined') {
+				throw new Error([
+					'SGSCommunication: a callback is required ',
+					'when promises are not supported'
+				].join(''));
+			}
+
+			while (args.length < position) {
+				args.push(undefined);
+			}
+
+			return new Promise(function (resolve, reject) {
+				method.apply(self, args.concat(function (e, result) {
+					if (e) {
+						return reject(e);
+					}
+					resolve(result);
+				}));
+			});
+		};
+	};
+
+	/**
+	 * Wraps some methods of a class prototype in place, see {@link Promises#wrap}.
+	 *
+	 * @function wrapAll
+	 * @memberof Promises
+	 *
+	 * @param {function}	Class	- Constructor
+	 * @param {array}		names	- Names of the methods
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	Promises.wrapAll = function (Class, names) {
+		_.each(names, function (name) {
+			Class.prototype[name] = Promises.wrap(Class.prototype[name]);
+		});
+	};
+
+	return Promises;
+
+})();
@@ -0,0 +1,313 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	var SECOND = 1000;
+	var DAY = 24 * 60 * 60 * 1000;
+
+	/**
+	 * Picks the limits of a set of options, which must be positive integers.
+	 *
+	 * @param {object}	options	- Options
+	 * @param {string}	[domain]	- Recipient domain the limits apply to
+	 *
+	 * @return {object}	`{rate, daily, concurrency}`
+	 *
+	 * @api private
+	 */
+	var pick = function (options, domain) {
+		var limits = _.pick(options, 'rate', 'daily', 'concurrency');
+
+		_.each(limits, function (limit, name) {
+			if (limit !== (limit | 0) || limit < 0) {
+				throw new Error([
+					'RateLimiter: `', name, '` must be a positive integer',
+					domain ? ' (' + domain + ')' : ''
+				].join(''));
+			}
+		});
+
+		return limits;
+	};
+
+	/**
+	 * @class RateLimiter
+	 * @classdesc `RateLimiter` throughput control applied to a transport. Sends
+	 * exceeding a limit are queued until they fit instead of failing. Daily
+	 * quotas are reset at midnight UTC. The limits must be positive integers.
+	 *
+	 * @param {object}	[options]				- Options
+	 * @param {number}	[options.rate]			- Maximum amount of emails sent per second
+	 * @param {number}	[options.daily]			- Maximum amount of emails sent per day
+	 * @param {number}	[options.concurrency]	- Maximum amount of simultaneous sends
+	 * @param {object}	[options.domains]		- Limits (`rate`, `daily`, `concurrency`) indexed by recipient domain
+	 *
+	 * @return {RateLimiter}
+	 */
+	function RateLimiter (options) {
+
+		options = options || {};
+
+		this.limits = pick(options);
+
+		this.domains = {};
+		_.each(options.domains, function (limits, domain) {
+			this.domains[domain.toLowerCase()] = pick(limits, domain);
+		}, this);
+
+		this.buckets = {};
+		this.waiting = [];
+		this.timer = null;
+
+	}
+
+	/**
+	 * Current time in milliseconds.
+	 *
+	 * @function now
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @return {number}
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.now = function () {
+		return Date.now();
+	};
+
+	/**
+	 * Returns the limits of a bucket, `*` being the transport wide one.
+	 *
+	 * @function getLimits
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @param {string}	key	- `*` or a recipient domain
+	 *
+	 * @return {object}
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.getLimits = function (key) {
+		return key === '*' ? this.limits : this.domains[key];
+	};
+
+	/**
+	 * Returns the usage counters of a bucket, dropping the expired ones.
+	 *
+	 * @function getBucket
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @param {string}	key	- `*` or a recipient domain
+	 *
+	 * @return {object}	`{sent, day, count, active}`
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.getBucket = function (key) {
+		var now = this.now();
+		var day = Math.floor(now / DAY);
+		var bucket = this.buckets[key];
+
+		if (!bucket) {
+			bucket = this.buckets[key] = {
+				sent: [],
+				day: day,
+				count: 0,
+				active: 0
+			};
+		}
+
+		if (bucket.day !== day) {
+			bucket.day = day;
+			bucket.count = 0;
+		}
+
+		bucket.sent = _.filter(bucket.sent, function (timestamp) {
+			return now - timestamp < SECOND;
+		});
+
+		return bucket;
+	};
+
+	/**
+	 * Computes how long a bucket must wait before taking one more email:
+	 * `0` when it can right away, `Infinity` when it waits for a send to end.
+	 *
+	 * @function getWait
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @param {string}	key	- `*` or a recipient domain
+	 *
+	 * @return {number}	Milliseconds
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.getWait = function (key) {
+		var limits = this.getLimits(key);
+		var bucket = this.getBucket(key);
+		var now = this.now();
+		var wait = 0;
+
+		if (limits.concurrency && bucket.active >= limits.concurrency) {
+			wait = Infinity;
+		}
+		if (limits.daily && bucket.count >= limits.daily) {
+			wait = Math.max(wait, (bucket.day + 1) * DAY - now);
+		}
+		if (limits.rate && bucket.sent.length >= limits.rate) {
+			var oldest = bucket.sent[bucket.sent.length - limits.rate];
+			wait = Math.max(wait, oldest + SECOND - now);
+		}
+
+		return wait;
+	};
+
+	/**
+	 * Waits until an email to the given recipient domains fits within the
+	 * limits. The callback receives a `release` function which must be called
+	 * once the email is sent.
+	 *
+	 * @function acquire
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @param {array}		domains		- Recipient domains of the email
+	 * @param {function}	callback	- Called with `release` when the email can be sent
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	RateLimiter.prototype.acquire = function (domains, callback) {
+		var keys = _.chain(domains)
+			.map(function (domain) {
+				return String(domain).toLowerCase();
+			})
+			.filter(function (domain) {
+				return domain in this.domains;
+			}, this)
+			.uniq()
+			.value();
+
+		this.waiting.push({
+			keys: ['*'].concat(keys),
+			callback: callback
+		});
+
+		this.process();
+	};
+
+	/**
+	 * Starts the waiting sends which fit within the limits, in order, and
+	 * schedules the next check.
+	 *
+	 * @function process
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.process = function () {
+		var ready = [];
+		var next = Infinity;
+
+		this.stop();
+
+		this.waiting = _.filter(this.waiting, function (request) {
+			var wait = _.max(_.map(request.keys, this.getWait, this));
+
+			if (wait > 0) {
+				next = Math.min(next, wait);
+				return true;
+			}
+
+			_.each(request.keys, function (key) {
+				var bucket = this.getBucket(key);
+				bucket.active += 1;
+				bucket.count += 1;
+				bucket.sent.push(this.now());
+			}, this);
+
+			ready.push(request);
+			return false;
+		}, this);
+
+		if (next < Infinity) {
+			this.timer = setTimeout(this.process.bind(this), next);
+		}
+
+		_.each(ready, function (request) {
+			request.callback(_.once(this.release.bind(this, request.keys)));
+		}, this);
+	};
+
+	/**
+	 * Marks a send as finished and starts the waiting ones.
+	 *
+	 * @function release
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @param {array}	keys	- Buckets taken by the send
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	RateLimiter.prototype.release = function (keys) {
+		_.each(keys, function (key) {
+			this.getBucket(key).active -= 1;
+		}, this);
+
+		this.process();
+	};
+
+	/**
+	 * Describes the current usage, so that callers can pace themselves.
+	 *
+	 * @function usage
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @return {object}	`{second, day, active, queued, limits, domains}`
+	 *
+	 * @api public
+	 */
+	RateLimiter.prototype.usage = function () {
+		var describe = function (key) {
+			var bucket = this.getBucket(key);
+
+			return {
+				second: bucket.sent.length,
+				day: bucket.count,
+				active: bucket.active,
+				limits: _.clone(this.getLimits(key))
+			};
+		}.bind(this);
+
+		return _.extend(describe('*'), {
+			queued: this.waiting.length,
+			domains: _.object(_.map(_.keys(this.domains), function (domain) {
+				return [domain, describe(domain)];
+			}))
+		});
+	};
+
+	/**
+	 * Cancels the scheduled check. Waiting sends are started again by the
+	 * next `acquire` or `release`.
+	 *
+	 * @function stop
+	 * @memberof RateLimiter.prototype
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	RateLimiter.prototype.stop = function () {
+		clearTimeout(this.timer);
+		this.timer = null;
+	};
+
+	return RateLimiter;
+
+})();
@@ -0,0 +1,672 @@
+var _ = require('underscore');
+var cheerio = require('cheerio');
+
+module.exports = (function () {
+	'use strict';
+
+	// Elements holding the quoted message, removed with their content.
+	var QUOTES = [
+		// Gmail
+		'.gmail_quote',
+		'.gmail_extra',
+		// Apple Mail, iOS Mail and Thunderbird
+		'blockquote[type=cite]',
+		'.moz-cite-prefix',
+		// Yahoo, whose class names are prefixed (eg: `ydp1234yahoo_quoted`)
+		'[class*=yahoo_quoted]'
+	];
+
+	// Elements starting the quoted message, removed with everything following them.
+	var SEPARATORS = [
+		// Outlook on the web and Outlook 2016+
+		'#appendonsend',
+		'#divRplyFwdMsg',
+		// Outlook desktop (Word HTML)
+		'.OutlookMessageHeader',
+		'div[style*="border-top:solid #E1E1E1"]',
+		'div[style*="border-top:solid #B5C4DF"]'
+	];
+
+	var SIGNATURES = [
+		'.gmail_signature',
+		'.gmail_signature_prefix',
+		'#Signature',
+		'.moz-signature',
+		'#AppleMailSignature'
+	];
+
+	// Lines starting the parts which follow the reply, indexed by locale (`*` for
+	// every locale): `quotes` introduce a quoted message, `signatures` the
+	// signature of the sender and `forwards` a forwarded message. Each pattern
+	// is matched against the lines of the text, case insensitively.
+	// The header of a quoted message is parsed with the `attributions` (the
+	// date and the sender captured from eg: `On <date>, <from> wrote:`) and the
+	// `fields` naming the `from`, `date` and `subject` header lines.
+	var RULES = {
+		'*': {
+			quotes: [
+				/^>/,
+				/^_{30,}$/,
+				/^-{30,}$/
+			],
+			signatures: [
+				/^-- ?$/
+			],
+			forwards: [
+				/^-{5,} ?Forwarded by .+-{5,}$/
+			]
+		},
+		en: {
+			quotes: [
+				/^On\b.+(\n.*)?\bwrote:$/,
+				/^-+ ?Original Message ?-+$/,
+				/^\*?From\*?: .+/,
+				/^Date: .+/,
+				/^Sent by:/
+			],
+			signatures: [
+				/^Sent from my .+/,
+				/^Get Outlook for .+/
+			],
+			forwards: [
+				/^-+ ?Forwarded message ?-+$/,
+				/^Begin forwarded message:$/
+			],
+			attributions: [
+				/^On (.+?\d{1,2}:\d{2}(?: ?[AP]M)?),? (.+?) wrote:$/,
+				/^On (.+), (.+?) wrote:$/
+			],
+			fields: {
+				from: ['From'],
+				date: ['Date', 'Sent'],
+				subject: ['Subject']
+			}
+		},
+		fr: {
+			quotes: [
+				/^Le\b.+(\n.*)?\ba écrit ?:$/,
+				/^-+ ?Message d'origine ?-+$/,
+				/^\*?De\*? ?: .+/
+			],
+			signatures: [
+				/^Envoyé (de|depuis|à partir de) (mon|ma) .+/
+			],
+			forwards: [
+				/^-+ ?Message transféré ?-+$/,
+				/^Début du message (réexpédié|transféré) ?:$/
+			],
+			attributions: [
+				/^Le (.+), (.+?) a écrit ?:$/
+			],
+			fields: {
+				from: ['De'],
+				date: ['Date', 'Envoyé'],
+				subject: ['Objet', 'Sujet']
+			}
+		},
+		nl: {
+			quotes: [
+				/^Op\b.+(\n.*)?\b(schreef .+|het volgende geschreven) ?:$/,
+				/^-+ ?Oorspronkelijk bericht ?-+$/,
+				/^\*?Van\*?: .+/
+			],
+			signatures: [
+				/^(Verzonden|Verstuurd) (vanaf|met) mijn .+/
+			],
+			forwards: [
+				/^-+ ?Doorgestuurd bericht ?-+$/,
+				/^Begin doorgestuurd bericht:$/
+			],
+			attributions: [
+				/^Op (.+?) (?:heeft|schreef) (.+?)(?: het volgende geschreven)? ?:$/
+			],
+			fields: {
+				from: ['Van'],
+				date: ['Datum', 'Verzonden'],
+				subject: ['Onderwerp']
+			}
+		},
+		de: {
+			quotes: [
+				/^Am\b.+(\n.*)?\bschrieb\b.*:$/,
+				/^-+ ?Ursprüngliche Nachricht ?-+$/,
+				/^\*?Von\*?: .+/
+			],
+			signatures: [
+				/^Von meinem .+ gesendet/,
+				/^Gesendet (von|mit) meinem .+/
+			],
+			forwards: [
+				/^-+ ?Weitergeleitete Nachricht ?-+$/,
+				/^Anfang der weitergeleiteten Nachricht:$/
+			],
+			attributions: [
+				/^Am (.+?),? schrieb (.+?) ?:$/
+			],
+			fields: {
+				from: ['Von'],
+				date: ['Datum', 'Gesendet'],
+				subject: ['Betreff']
+			}
+		},
+		es: {
+			quotes: [
+				/^El\b.+(\n.*)?\bescribió ?:$/,
+				/^-+ ?Mensaje original ?-+$/,
+				/^\*?De\*?: .+/
+			],
+			signatures: [
+				/^Enviado desde mi .+/
+			],
+			forwards: [
+				/^-+ ?Mensaje reenviado ?-+$/,
+				/^Inicio del mensaje reenviado:$/
+			],
+			attributions: [
+				/^El (.+), (.+?) escribió ?:$/
+			],
+			fields: {
+				from: ['De'],
+				date: ['Fecha', 'Enviado'],
+				subject: ['Asunto']
+			}
+		}
+	};
+
+	var CATEGORIES = ['quotes', 'signatures', 'forwards'];
+
+	/**
+	 * Returns the rules of every locale, the default ones and additional ones.
+	 *
+	 * @param {object}	[rules]		- Additional rules indexed by locale
+	 *
+	 * @return {array}
+	 *
+	 * @api private
+	 */
+	var locales = function (rules) {
+		return _.values(RULES).concat(_.values(rules || {}));
+	};
+
+	/**
+	 * Returns the patterns of some categories, from the default rules and
+	 * additional ones, as multiline case insensitive regular expressions.
+	 *
+	 * @param {object}	[rules]		- Additional rules indexed by locale
+	 * @param {array}	categories	- Categories (eg: `['quotes']`)
+	 *
+	 * @return {array}
+	 *
+	 * @api private
+	 */
+	var patterns = function (rules, categories) {
+		return _.chain(locales(rules))
+			.map(function (locale) {
+				return _.map(categories, function (category) {
+					return locale[category] || [];
+				});
+			})
+			.flatten()
+			.map(function (pattern) {
+				return new RegExp(pattern.source || pattern, 'gim');
+			})
+			.value();
+	};
+
+	/**
+	 * Returns the index of the first line matching a pattern, ignoring the first
+	 * line of the text, or the length of the text.
+	 *
+	 * @param {RegExp}	pattern	- Global pattern
+	 * @param {string}	text	- Text
+	 *
+	 * @return {number}
+	 *
+	 * @api private
+	 */
+	var search = function (pattern, text) {
+		var match = pattern.exec(text);
+
+		while (match && match.index === 0) {
+			pattern.lastIndex = 1;
+			match = pattern.exec(text);
+		}
+
+		return match ? match.index : text.length;
+	};
+
+	/**
+	 * Parses an address header value (eg: `Jane <jane@example.com>`,
+	 * `Jane [mailto:jane@example.com]`, `jane@example.com`).
+	 *
+	 * @param {string}	value	- Header value
+	 *
+	 * @return {object}	`{name, address}`
+	 *
+	 * @api private
+	 */
+	var parseAddress = function (value) {
+		var address = (value.match(/[^\s<>()\[\]:"]+@[^\s<>()\[\]"]+/) || [])[0];
+		var name = value
+			.replace(/\[mailto:[^\]]*\]|<[^>]*>|\(<[^>]*>\)/g, '')
+			.replace(address || /$^/, '')
+			.replace(/^[\s"']+|[\s"']+$/g, '');
+
+		return {
+			name: name || null,
+			address: address || null
+		};
+	};
+
+	/**
+	 * Parses a quoted or forwarded message: its header, given by an attribution
+	 * line or by header fields following a banner, and its text unquoted.
+	 *
+	 * @param {string}	text		- Text of the message, starting with its header
+	 * @param {object}	[rules]		- Additional rules indexed by locale
+	 *
+	 * @return {object}	`{from, date, subject, text}`
+	 *
+	 * @api private
+	 */
+	var parseHistory = function (text, rules) {
+		var lines = text.split('\n');
+		var part = {
+			from: null,
+			date: null,
+			subject: null
+		};
+		var attributions = _.chain(locales(rules))
+			.pluck('attributions')
+			.flatten()
+			.compact()
+			.map(function (pattern) {
+				return new RegExp(pattern.source || pattern, 'i');
+			})
+			.value();
+		var fields = {};
+
+		_.each(locales(rules), function (locale) {
+			_.each(locale.fields, function (names, field) {
+				_.each(names, function (name) {
+					fields[name.toLowerCase()] = field;
+				});
+			});
+		});
+
+		// The attribution may be wrapped on two lines
+		var attribution = _.chain([lines[0], lines.slice(0, 2).join(' ')])
+			.map(function (line, index) {
+				var match = _.reduce(attributions, function (found, pattern) {
+					return found || pattern.exec(line.trim());
+				}, null);
+				return match && {
+					date: match[1],
+					from: match[2],
+					length: index + 1
+				};
+			})
+			.compact()
+			.first()
+			.value();
+
+		if (attribution) {
+			part.date = attribution.date;
+			part.from = attribution.from;
+			lines = lines.slice(attribution.length);
+		}
+		else {
+			// Skips the banner (eg: `-----Original Message-----`)
+			if (!/^(\*?[^:>]+\*? ?:|>)/.test(lines[0])) {
+				lines = lines.slice(1);
+			}
+
+			var header;
+			while (lines.length &&
+				(header = /^\*?([^:>*]+?)\*? ?: ?(.*)$/.exec(lines[0]))) {
+				var field = fields[header[1].trim().toLowerCase()];
+				if (field) {
+					part[field] = header[2].trim();
+				}
+				lines = lines.slice(1);
+			}
+		}
+
+		if (part.from) {
+			part.from = parseAddress(part.from);
+		}
+		part.text = _.map(lines, function (line) {
+			return line.replace(/^> ?/, '');
+		}).join('\n').trim();
+
+		return part;
+	};
+
+	/**
+	 * Tells whether an image is a tracking pixel: hidden or not larger than 1px.
+	 *
+	 * @param {object}	image	- Cheerio element
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var isTracker = function (image) {
+		var style = (image.attr('style') || '').replace(/\s+/g, '').toLowerCase();
+		var tiny = _.every(['width', 'height'], function (dimension) {
+			var size = image.attr(dimension) || (style.match(
+				new RegExp('(^|;)' + dimension + ':(\\d+)px')
+			) || [])[2];
+			return !_.isUndefined(size) && +size <= 1;
+		});
+
+		return tiny || /display:none|visibility:hidden/.test(style);
+	};
+
+	/**
+	 * Tells whether an element carries no content (eg: `<br>`, `<div><br></div>`).
+	 *
+	 * @param {object}	$		- Cheerio document
+	 * @param {object}	node	- DOM node
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var isBlank = function ($, node) {
+		if (node.type === 'text') {
+			return !node.data.trim();
+		}
+		if (node.type !== 'tag') {
+			return node.type === 'comment';
+		}
+
+		var element = $(node);
+		return !element.text().trim() &&
+			!element.find('img').length && node.name !== 'img';
+	};
+
+	/**
+	 * Removes the blank nodes ending an element, and those of its last child.
+	 *
+	 * @param {object}	$		- Cheerio document
+	 * @param {object}	node	- DOM node
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	var trimEnd = function ($, node) {
+		var last = _.last(node.children);
+
+		while (last && isBlank($, last)) {
+			$(last).remove();
+			last = _.last(node.children);
+		}
+
+		if (last && last.type === 'tag') {
+			trimEnd($, last);
+		}
+	};
+
+	// Elements rendered on their own lines in the plain-text version.
+	var BLOCKS = [
+		'address', 'article', 'blockquote', 'div', 'dl', 'dt', 'dd', 'footer',
+		'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'ol', 'p',
+		'pre', 'section', 'table', 'tr', 'ul'
+	];
+
+	// Boundary of a block element, consecutive ones make a single line break.
+	var BOUNDARY = '\u0001';
+
+	/**
+	 * Converts DOM nodes to plain text: one line per block element or `<br>`,
+	 * the other whitespaces being collapsed (except in `<pre>`).
+	 *
+	 * @param {array}	nodes		- DOM nodes
+	 * @param {boolean}	[preformatted]	- Nodes are part of a `<pre>` element
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	var toText = function (nodes, preformatted) {
+		return _.map(nodes, function (node) {
+			if (node.type === 'text') {
+				return preformatted ? node.data : node.data.replace(/\s+/g, ' ');
+			}
+			if (node.type !== 'tag') {
+				return '';
+			}
+			if (node.name === 'br') {
+				return '\n';
+			}
+
+			var text = toText(node.children, preformatted || node.name === 'pre');
+			return _.contains(BLOCKS, node.name) ? BOUNDARY + text + BOUNDARY : text;
+		}).join('');
+	};
+
+	/**
+	 * Converts an element to plain text, see `toText`, with trimmed lines and
+	 * at most one blank line in a row.
+	 *
+	 * @param {object}	root	- DOM node
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	var plainText = function (root) {
+		var text = toText(root.children)
+			.replace(new RegExp(' *' + BOUNDARY + '[ ' + BOUNDARY + ']*', 'g'), '\n');
+		var lines = _.map(text.split('\n'), function (line) {
+			return line.trim();
+		});
+
+		return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+	};
+
+	/**
+	 * @class ReplyParser
+	 * @classdesc `ReplyParser` helpers extracting the reply written by the sender
+	 * of an inbound email from the quoted messages, signatures and trackers.
+	 */
+	var ReplyParser = {};
+
+	/**
+	 * Removes the quoted messages (Gmail, Outlook, Apple Mail, Thunderbird, Yahoo),
+	 * the signatures and the tracking pixels of an HTML body. The plain-text
+	 * version is cleaned by {@link ReplyParser.cleanText} as well.
+	 *
+	 * @function cleanHtml
+	 * @memberof ReplyParser
+	 *
+	 * @param {string}	html		- HTML body
+	 * @param {object}	[rules]		- Additional rules indexed by locale, see {@link ReplyParser.extendRules}
+	 *
+	 * @return {object}	`{html, text}` cleaned HTML and its plain-text version
+	 *
+	 * @api public
+	 */
+	ReplyParser.cleanHtml = function (html, rules) {
+		var $ = cheerio.load(html || '');
+		var headers = patterns(rules, ['quotes', 'forwards']);
+
+		$(SEPARATORS.join(', ')).first().each(function () {
+			var separator = $(this);
+			var previous = separator.prev();
+
+			// The quoted message follows the separator, or one of its parents
+			separator.nextAll().remove();
+			separator.parentsUntil('body').each(function () {
+				$(this).nextAll().remove();
+			});
+			if (previous.is('hr')) {
+				previous.remove();
+			}
+			separator.remove();
+		});
+
+		$(QUOTES.join(', ')).each(function () {
+			var header = $(this).prev();
+
+			while (header.is('br')) {
+				header = header.prev();
+			}
+
+			var text = header.text().trim();
+			if (header.length && _.some(headers, function (pattern) {
+				pattern.lastIndex = 0;
+				return pattern.test(text);
+			})) {
+				header.remove();
+			}
+		}).remove();
+
+		$(SIGNATURES.join(', ')).remove();
+
+		$('img').each(function () {
+			if (isTracker($(this))) {
+				$(this).remove();
+			}
+		});
+
+		var root = $('body')[0] || $.root()[0];
+		trimEnd($, root);
+
+		return {
+			html: $.html().trim(),
+			text: ReplyParser.cleanText(plainText(root), rules)
+		};
+	};
+
+	/**
+	 * Converts an HTML body to plain text, keeping its quoted messages.
+	 *
+	 * @function toText
+	 * @memberof ReplyParser
+	 *
+	 * @param {string}	html	- HTML body
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	ReplyParser.toText = function (html) {
+		var $ = cheerio.load(html || '');
+
+		return plainText($('body')[0] || $.root()[0]);
+	};
+
+	/**
+	 * Removes the quoted messages, the signature and the forwarded messages of
+	 * a plain-text body: the text is cut at the first line matching one of the
+	 * rules, see {@link ReplyParser.extendRules}.
+	 *
+	 * @function cleanText
+	 * @memberof ReplyParser
+	 *
+	 * @param {string}	text		- Plain-text body
+	 * @param {object}	[rules]		- Additional rules indexed by locale, see {@link ReplyParser.extendRules}
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	ReplyParser.cleanText = function (text, rules) {
+		return ReplyParser.parseText(text, rules).reply;
+	};
+
+	/**
+	 * Splits a plain-text body into the reply written by the sender, the
+	 * signature and the quoted or forwarded message following them. The header
+	 * of the quoted or forwarded message (eg: `On <date>, <from> wrote:`,
+	 * `From:`, `Date:`) is parsed, see {@link ReplyParser.extendRules}.
+	 *
+	 * @function parseText
+	 * @memberof ReplyParser
+	 *
+	 * @param {string}	text		- Plain-text body
+	 * @param {object}	[rules]		- Additional rules indexed by locale, see {@link ReplyParser.extendRules}
+	 *
+	 * @return {object}	`{reply, signature, quoted, forwarded}`, the quoted and forwarded messages being
+	 *					`{from: {name, address}, date, subject, text}`, the missing parts `null`
+	 *
+	 * @api public
+	 */
+	ReplyParser.parseText = function (text, rules) {
+		text = String(text || '').replace(/\r\n?/g, '\n');
+
+		var first = function (categories) {
+			return _.min(_.map(patterns(rules, categories), function (pattern) {
+				return search(pattern, text);
+			}).concat(text.length));
+		};
+		var history = first(['quotes', 'forwards']);
+		var signature = first(['signatures']);
+		var parts = {
+			reply: text.slice(0, Math.min(history, signature)).trim(),
+			signature: null,
+			quoted: null,
+			forwarded: null
+		};
+
+		if (signature < history) {
+			parts.signature = text.slice(signature, history)
+				.replace(/^-- ?\n/, '')
+				.trim() || null;
+		}
+
+		if (history < text.length) {
+			var part = first(['forwards']) === history ? 'forwarded' : 'quoted';
+			parts[part] = parseHistory(text.slice(history), rules);
+		}
+
+		return parts;
+	};
+
+	/**
+	 * Returns a copy of additional rules extended with the rules of a locale
+	 * (eg: `it`, `{ quotes: [/^Il .+ ha scritto:$/] }`), the default rules
+	 * being left untouched. See {@link EmailInterface#addReplyRules}.
+	 *
+	 * @function extendRules
+	 * @memberof ReplyParser
+	 *
+	 * @param {object}	[current]				- Additional rules indexed by locale
+	 * @param {string}	locale					- Locale (eg: `it`), `*` for the rules of every locale
+	 * @param {object}	rules					- Rules
+	 * @param {array}	[rules.quotes]			- Patterns of the lines introducing a quoted message
+	 * @param {array}	[rules.signatures]		- Patterns of the lines starting a signature
+	 * @param {array}	[rules.forwards]		- Patterns of the lines introducing a forwarded message
+	 * @param {array}	[rules.attributions]	- Patterns of the attribution lines, capturing the date then the sender
+	 * @param {object}	[rules.fields]			- Names of the `from`, `date` and `subject` header lines (eg: `{ from: ['Da'] }`)
+	 *
+	 * @return {object}
+	 *
+	 * @api public
+	 */
+	ReplyParser.extendRules = function (current, locale, rules) {
+		var previous = (current || {})[locale] || {};
+		var extended = {
+			fields: _.clone(previous.fields) || {}
+		};
+
+		_.each(CATEGORIES.concat('attributions'), function (category) {
+			extended[category] = (previous[category] || [])
+				.concat(rules[category] || []);
+		});
+
+		_.each(rules.fields, function (names, field) {
+			extended.fields[field] = (extended.fields[field] || []).concat(names);
+		});
+
+		var result = _.clone(current) || {};
+		result[locale] = extended;
+		return result;
+	};
+
+	return ReplyParser;
+
+})();
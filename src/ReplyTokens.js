@@ -0,0 +1,295 @@
+var _ = require('underscore');
+var async = require('async');
+var crypto = require('crypto');
+var Promises = require('./Promises');
+var FileStore = require('./FileStore');
+var MemoryStore = require('./MemoryStore');
+var EmailAddresses = require('./EmailAddresses');
+
+module.exports = (function () {
+	'use strict';
+
+	// `<id>-<signature>`, followed by `-<local>=<domain>` in the VERP format.
+	var TOKEN = /^([0-9a-f]{12})-([0-9a-f]{16})(?:-(.+=.+))?$/i;
+
+	// Message-ID `<id>.<signature>@<domain>`.
+	var MESSAGE_ID = /^<?([0-9a-f]{12})\.([0-9a-f]{16})@([^>\s]+)>?$/i;
+
+	/**
+	 * Compares two strings in a constant time, so that the signatures
+	 * can't be guessed from the duration of the checks.
+	 *
+	 * @param {string}	a	- String
+	 * @param {string}	b	- String
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var same = function (a, b) {
+		var difference = a.length ^ b.length;
+
+		for (var i = 0; i < a.length; i++) {
+			difference |= a.charCodeAt(i) ^ b.charCodeAt(i % b.length);
+		}
+
+		return difference === 0;
+	};
+
+	/**
+	 * @class ReplyTokens
+	 * @classdesc `ReplyTokens` ties the inbound replies to the outbound emails which
+	 * triggered them: each sent email gets a signed token, in its reply address
+	 * (eg: `reply+{token}@support.example.com`) and its Message-ID, and its context
+	 * is stored under the token, see {@link ReplyTokens#issue} and {@link ReplyTokens#resolve}.
+	 *
+	 * @param {object}	options					- Options
+	 * @param {string}	options.secret			- Secret signing the tokens
+	 * @param {string}	options.address			- Reply address, `{token}` being replaced by the token (eg: `reply+{token}@support.example.com`)
+	 * @param {string}	[options.format=plus]	- `plus` or `verp`: the token then carries the recipient (eg: `jane=example.com`), and the reply address is used as the envelope sender
+	 * @param {object}	[options.store]			- Storage adapter exposing `get`, `set`, `remove` and `list` (see {@link MemoryStore})
+	 * @param {string}	[options.path]			- Path of the {@link FileStore} JSON file, used when no `store` is given
+	 *
+	 * @return {ReplyTokens}
+	 */
+	function ReplyTokens (options) {
+
+		options = options || {};
+
+		if (!options.secret) {
+			throw new Error('ReplyTokens: `secret` option is required');
+		}
+		if (!/^[^@]*\{token\}[^@]*@[^@]+$/.test(options.address || '')) {
+			throw new Error([
+				'ReplyTokens: `address` option must contain `{token}` ',
+				'in its local part'
+			].join(''));
+		}
+
+		this.secret = options.secret;
+		this.address = options.address;
+		this.domain = options.address.split('@')[1];
+		this.format = options.format || 'plus';
+
+		var parts = _.map(options.address.split('{token}'), function (part) {
+			return part.replace(/[.*+?^${}()|[\]\\\/]/g, '\\$&');
+		});
+		this.matcher = new RegExp('^' + parts.join('(.+)') + '$', 'i');
+
+		this.store = options.store;
+		if (!this.store) {
+			this.store = options.path ? new FileStore(options) : new MemoryStore();
+		}
+
+	}
+
+	/**
+	 * Signs an id, and the recipient of a VERP token.
+	 *
+	 * @function sign
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @param {string}	id			- Id of the token
+	 * @param {string}	[recipient]	- Recipient address
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	ReplyTokens.prototype.sign = function (id, recipient) {
+		return crypto.createHmac('sha256', this.secret)
+			.update(recipient ? id + '/' + recipient.toLowerCase() : id)
+			.digest('hex')
+			.slice(0, 16);
+	};
+
+	/**
+	 * Generates a token and stores the context of an outbound email under it.
+	 *
+	 * @function issue
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @param {object}		context				- Context of the email (eg: `{type, metadata}`)
+	 * @param {string}		[recipient]			- Recipient carried by a VERP token
+	 * @param {function}	callback			- Callback called with `{id, address, messageId}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	ReplyTokens.prototype.issue = function (context, recipient, callback) {
+		if (_.isFunction(recipient)) {
+			callback = recipient;
+			recipient = null;
+		}
+
+		var id = crypto.randomBytes(6).toString('hex');
+		var verp = this.format === 'verp' && recipient;
+		var token = [id, this.sign(id, verp && recipient)];
+
+		if (verp) {
+			token.push(recipient.replace('@', '='));
+		}
+
+		var issued = {
+			id: id,
+			address: this.address.replace('{token}', token.join('-')),
+			messageId: '<' + id + '.' + this.sign(id) + '@' + this.domain + '>'
+		};
+
+		this.store.set(id, _.extend({}, context, issued, {
+			createdAt: Date.now()
+		}), function (e) {
+			callback(e || null, e ? null : issued);
+		});
+	};
+
+	/**
+	 * Reads the token of a reply address.
+	 *
+	 * @function parse
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @param {string}	address		- Recipient address
+	 *
+	 * @return {(object|null)}	`{id, recipient, valid}`, `null` when the address carries no token
+	 *
+	 * @api public
+	 */
+	ReplyTokens.prototype.parse = function (address) {
+		var local = this.matcher.exec(String(address || '').trim());
+		var token = local && TOKEN.exec(local[1]);
+
+		if (!local) {
+			return null;
+		}
+		if (!token) {
+			return {
+				id: null,
+				recipient: null,
+				valid: false
+			};
+		}
+
+		var id = token[1].toLowerCase();
+		var recipient = token[3] ? token[3].replace(/=([^=]*)$/, '@$1') : null;
+
+		return {
+			id: id,
+			recipient: recipient,
+			valid: same(token[2].toLowerCase(), this.sign(id, recipient))
+		};
+	};
+
+	/**
+	 * Reads the token of a Message-ID generated by {@link ReplyTokens#issue}, the
+	 * Message-IDs of other domains carrying none.
+	 *
+	 * @function parseMessageId
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @param {string}	messageId	- Message-ID
+	 *
+	 * @return {(object|null)}	`{id, recipient, valid}`, `null` when the Message-ID carries no token
+	 *
+	 * @api public
+	 */
+	ReplyTokens.prototype.parseMessageId = function (messageId) {
+		var token = MESSAGE_ID.exec(String(messageId || '').trim());
+
+		if (!token || token[3].toLowerCase() !== this.domain.toLowerCase()) {
+			return null;
+		}
+
+		return {
+			id: token[1].toLowerCase(),
+			recipient: null,
+			valid: same(token[2].toLowerCase(), this.sign(token[1].toLowerCase()))
+		};
+	};
+
+	/**
+	 * Finds the context of the outbound email an inbound one replies to: from the
+	 * token of its recipients, or else from its `In-Reply-To` and `References` headers.
+	 * The callback receives an error flagged `forged` when the token of a recipient
+	 * is not validly signed, the invalid Message-IDs being ignored.
+	 *
+	 * @function resolve
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @param {object}		email		- Parsed email, with its `envelope`, `to`, `cc`, `inReplyTo` and `references`
+	 * @param {function}	callback	- Callback called with the stored context, `null` when none is found
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	ReplyTokens.prototype.resolve = function (email, callback) {
+		var recipients = email.envelope ?
+			email.envelope.to :
+			EmailAddresses.parse(email.to, email.cc);
+		var tokens = _.chain(recipients)
+			.map(this.parse, this)
+			.compact()
+			.value();
+
+		if (!tokens.length) {
+			tokens = _.chain([email.inReplyTo, email.references])
+				.flatten()
+				.compact()
+				.map(this.parseMessageId, this)
+				.compact()
+				.where({
+					valid: true
+				})
+				.value();
+		}
+
+		var forged = _.findWhere(tokens, {
+			valid: false
+		});
+
+		if (forged) {
+			var e = new Error('ReplyTokens: forged reply token');
+			e.forged = true;
+			return callback(e);
+		}
+
+		var found = null;
+
+		async.detectSeries(_.uniq(_.pluck(tokens, 'id')), function (id, cb) {
+			this.store.get(id, function (e, context) {
+				found = found || context;
+				cb(!e && !!context);
+			});
+		}.bind(this), function () {
+			callback(null, found);
+		});
+	};
+
+	/**
+	 * Returns a recipient validator of {@link EmailReceiver#validateRecipient}
+	 * refusing the reply addresses whose token is not validly signed.
+	 *
+	 * @function validator
+	 * @memberof ReplyTokens.prototype
+	 *
+	 * @return {function}
+	 *
+	 * @api public
+	 */
+	ReplyTokens.prototype.validator = function () {
+		return function (connection, address, callback) {
+			var token = this.parse(address);
+
+			callback(token && !token.valid ?
+				new Error('ReplyTokens: forged reply token') :
+				null);
+		}.bind(this);
+	};
+
+	Promises.wrapAll(ReplyTokens, ['issue', 'resolve']);
+
+	return ReplyTokens;
+
+})();
@@ -0,0 +1,171 @@
+var _ = require('underscore');
+
+module.exports = (function () {
+	'use strict';
+
+	// GSM 03.38 basic character set (each character costs one septet).
+	var GSM7_BASIC = [
+		'@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?',
+		'¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà'
+	].join('');
+
+	// GSM 03.38 extension table (each character costs an escape + one septet).
+	var GSM7_EXTENDED = '\f^{}\\[~]|€';
+
+	var E164 = /^\+[1-9]\d{1,14}$/;
+
+	/**
+	 * @class SmsEncoding
+	 * @classdesc `SmsEncoding` helpers used to validate phone numbers and to compute
+	 * how many parts an SMS will be split into before sending it.
+	 */
+	var SmsEncoding = {};
+
+	/**
+	 * Maximum amount of units (septets for GSM-7, UTF-16 code units for UCS-2)
+	 * per segment, for single and concatenated messages.
+	 *
+	 * @memberof SmsEncoding
+	 */
+	SmsEncoding.limits = {
+		'GSM-7': {
+			single: 160,
+			multi: 153
+		},
+		'UCS-2': {
+			single: 70,
+			multi: 67
+		}
+	};
+
+	/**
+	 * Checks that a phone number is formatted following the E.164 recommendation (eg: `+32470123456`).
+	 *
+	 * @function isE164
+	 * @memberof SmsEncoding
+	 *
+	 * @param {string}	number	- Phone number
+	 *
+	 * @return {boolean}
+	 *
+	 * @api public
+	 */
+	SmsEncoding.isE164 = function (number) {
+		return _.isString(number) && E164.test(number);
+	};
+
+	/**
+	 * Returns the amount of septets a character costs in GSM-7 or `null` if it can't be encoded.
+	 *
+	 * @function getSeptets
+	 * @memberof SmsEncoding
+	 *
+	 * @param {string}	character	- Single character
+	 *
+	 * @return {(number|null)}
+	 *
+	 * @api private
+	 */
+	SmsEncoding.getSeptets = function (character) {
+		if (GSM7_BASIC.indexOf(character) !== -1) {
+			return 1;
+		}
+		if (GSM7_EXTENDED.indexOf(character) !== -1) {
+			return 2;
+		}
+		return null;
+	};
+
+	/**
+	 * Detects the encoding needed to send a text: `GSM-7` when every character
+	 * is part of the GSM 03.38 alphabet, `UCS-2` otherwise.
+	 *
+	 * @function getEncoding
+	 * @memberof SmsEncoding
+	 *
+	 * @param {string}	text	- SMS body
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	SmsEncoding.getEncoding = function (text) {
+		for (var i = 0; i < text.length; i++) {
+			if (SmsEncoding.getSeptets(text.charAt(i)) === null) {
+				return 'UCS-2';
+			}
+		}
+		return 'GSM-7';
+	};
+
+	/**
+	 * Counts the segments a text will be split into. Escaped GSM-7 characters and
+	 * UTF-16 surrogate pairs are never split across two segments.
+	 *
+	 * @function count
+	 * @memberof SmsEncoding
+	 *
+	 * @param {string}	text	- SMS body
+	 *
+	 * @return {object}	`{encoding, length, segments, perSegment, remaining}`
+	 *
+	 * @api public
+	 */
+	SmsEncoding.count = function (text) {
+		text = text || '';
+
+		var encoding = SmsEncoding.getEncoding(text);
+		var limits = SmsEncoding.limits[encoding];
+
+		var units = [];
+		var length = 0;
+		var i = 0;
+		var code;
+		var cost;
+
+		while (i < text.length) {
+			if (encoding === 'GSM-7') {
+				cost = SmsEncoding.getSeptets(text.charAt(i));
+				i += 1;
+			}
+			else {
+				code = text.charCodeAt(i);
+				cost = (code >= 0xD800 && code <= 0xDBFF && i + 1 < text.length) ? 2 : 1;
+				i += cost;
+			}
+			units.push(cost);
+			length += cost;
+		}
+
+		if (length <= limits.single) {
+			return {
+				encoding: encoding,
+				length: length,
+				segments: length ? 1 : 0,
+				perSegment: limits.single,
+				remaining: limits.single - length
+			};
+		}
+
+		var segments = 1;
+		var used = 0;
+		_.each(units, function (unit) {
+			if (used + unit > limits.multi) {
+				segments += 1;
+				used = 0;
+			}
+			used += unit;
+		});
+
+		return {
+			encoding: encoding,
+			length: length,
+			segments: segments,
+			perSegment: limits.multi,
+			remaining: limits.multi - used
+		};
+	};
+
+	return SmsEncoding;
+
+})();
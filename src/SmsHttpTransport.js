@@ -0,0 +1,153 @@
+var _ = require('underscore');
+var url = require('url');
+var http = require('http');
+var https = require('https');
+var querystring = require('querystring');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class SmsHttpTransport
+	 * @classdesc `SmsHttpTransport` adapter for SMS providers exposing an HTTP API.
+	 * The request and response formats can be adapted to any provider with the
+	 * `request` and `response` mapping functions.
+	 *
+	 * @param {object}		options					- Options
+	 * @param {string}		options.url				- Endpoint of the provider (eg: `https://api.provider.com/sms`)
+	 * @param {string}		[options.method=POST]	- HTTP method
+	 * @param {string}		[options.format=json]	- Body format, `json` or `form`
+	 * @param {object}		[options.headers]		- Additional HTTP headers (eg: API keys)
+	 * @param {string}		[options.auth]			- Basic authentication as `user:password`
+	 * @param {number}		[options.timeout=10000]	- Request timeout in milliseconds
+	 * @param {function}	[options.request]		- Maps a message to the body sent to the provider
+	 * @param {function}	[options.response]		- Maps the provider's parsed response to `{messageId}`
+	 *
+	 * @return {SmsHttpTransport}
+	 */
+	function SmsHttpTransport (options) {
+
+		options = options || {};
+
+		if (!options.url) {
+			throw new Error('SmsHttpTransport: `url` option is required');
+		}
+
+		this.endpoint = url.parse(options.url);
+		this.method = (options.method || 'POST').toUpperCase();
+		this.format = options.format === 'form' ? 'form' : 'json';
+		this.headers = _.extend({}, options.headers);
+		this.auth = options.auth;
+		this.timeout = options.timeout || 10000;
+
+		this.request = options.request || function (message) {
+			return {
+				from: message.from,
+				to: message.to,
+				text: message.text
+			};
+		};
+
+		this.response = options.response || function (body) {
+			body = body || {};
+			return {
+				messageId: body.messageId || body.id || body.sid || null
+			};
+		};
+
+	}
+
+	/**
+	 * Serializes the provider body according to the configured format.
+	 *
+	 * @function serialize
+	 * @memberof SmsHttpTransport.prototype
+	 *
+	 * @param {object}	body	- Body returned by the `request` mapping function
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	SmsHttpTransport.prototype.serialize = function (body) {
+		if (this.format === 'form') {
+			return querystring.stringify(body);
+		}
+		return JSON.stringify(body);
+	};
+
+	/**
+	 * Posts the message to the provider and maps its response.
+	 *
+	 * @function send
+	 * @memberof SmsHttpTransport.prototype
+	 *
+	 * @param {object}		message		- Message as prepared by {@link SmsSender#send}
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SmsHttpTransport.prototype.send = function (message, callback) {
+		var done = _.once(callback);
+		var payload = this.serialize(this.request(message));
+		var client = this.endpoint.protocol === 'https:' ? https : http;
+
+		var request = client.request({
+			protocol: this.endpoint.protocol,
+			hostname: this.endpoint.hostname,
+			port: this.endpoint.port,
+			path: this.endpoint.path,
+			method: this.method,
+			auth: this.auth || this.endpoint.auth,
+			headers: _.extend({
+				'Content-Type': this.format === 'form' ?
+					'application/x-www-form-urlencoded' :
+					'application/json',
+				'Content-Length': Buffer.byteLength(payload)
+			}, this.headers)
+		}, function (response) {
+			var chunks = [];
+
+			response.setEncoding('utf8');
+			response.on('data', function (chunk) {
+				chunks.push(chunk);
+			});
+			response.on('end', function () {
+				var raw = chunks.join('');
+				var body;
+
+				try {
+					body = JSON.parse(raw);
+				}
+				catch (e) {
+					body = raw;
+				}
+
+				if (response.statusCode < 200 || response.statusCode >= 300) {
+					var error = new Error([
+						'SmsHttpTransport: provider responded with status ',
+						response.statusCode
+					].join(''));
+					error.statusCode = response.statusCode;
+					error.body = body;
+					return done(error);
+				}
+
+				done(null, this.response(body));
+			}.bind(this));
+		}.bind(this));
+
+		request.setTimeout(this.timeout, function () {
+			request.abort();
+			done(new Error('SmsHttpTransport: request timed out'));
+		});
+
+		request.on('error', done);
+		request.end(payload);
+	};
+
+	return SmsHttpTransport;
+
+})();
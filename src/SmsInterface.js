@@ -0,0 +1,292 @@
+var _ = require('underscore');
+var path = require('path');
+var async = require('async');
+var SmsSender = require('./SmsSender');
+var SmsReceiver = require('./SmsReceiver');
+var SmsEncoding = require('./SmsEncoding');
+var EmailTemplates = require('./EmailTemplates');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class SmsInterface
+	 * @classdesc `SmsInterface` class that serves as an interface / middleman between the code base and the SmsSender.
+	 *
+	 * @param {object} [options]					- Options
+	 * @param {object} [options.sender]				-  {@link SmsSender} Options for the SMS sending service
+	 * @param {object} [options.receiver]			-  {@link SmsReceiver} Options for the SMS receiving webhook
+	 * @param {string} [options.templatesDir]		- Directory of the templates, SMS bodies are read from `content/<type>/sms.hbs`
+	 * @param {object} [options.templating]		-  {@link EmailTemplates} Options for the templating engine
+	 * @param {object} [options.budgets]			- Maximum amount of segments per template type (eg: `{ reminder: 1 }`)
+	 * @param {object} [options.logger]				-  {@link Logger#create} Logger shared with the sender, receiver and templating
+	 *
+	 * @return {SmsInterface}
+	 */
+	function SmsInterface (options) {
+
+		options = options || {};
+
+		var logger = Logger.create(options.logger);
+		var withLogger = function (settings) {
+			return _.extend({
+				logger: logger
+			}, settings);
+		};
+
+		if (options.sender) {
+			this.sender = new SmsSender(withLogger(options.sender));
+		}
+
+		if (options.receiver) {
+			this.receiver = new SmsReceiver(withLogger(options.receiver));
+		}
+
+		this.templatesDir = options.templatesDir;
+		if (this.templatesDir) {
+			this.templating = new EmailTemplates(withLogger(options.templating));
+		}
+
+		this.budgets = _.extend({}, options.budgets);
+
+		this.transport = null;
+
+	}
+
+	/**
+	 * Small chaining method that sets the transport type for the following send command.
+	 *
+	 * @function with
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {string}	transport	-	Name of the transport method (e.g: 'stub', 'http', ...etc.)
+	 *
+	 * @return {SmsInterface}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.with = function (transport) {
+		return (this.transport = transport, this);
+	};
+
+	/**
+	 * Counts the amount of segments a text will cost once sent.
+	 *
+	 * @function count
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {string}	text	- SMS body
+	 *
+	 * @return {object}	{@link SmsEncoding.count}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.count = function (text) {
+		return SmsEncoding.count(text);
+	};
+
+	/**
+	 * Renders the SMS body of a template type for each data item and checks that
+	 * every localized body fits in the segments budget of the template.
+	 *
+	 * @function render
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {object}		settings				- Message settings
+	 * @param {string}		settings.type			- Template type
+	 * @param {string}		[settings.locale]		- Locale used for the items which don't define their own `locale`
+	 * @param {number}		[settings.maxSegments]	- Overrides the segments budget of the template
+	 * @param {array}		items					- Data items to feed to the templating engine
+	 * @param {function}	[callback]				- Callback called with the list of rendered bodies, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.render = function (settings, items, callback) {
+		if (!this.templating) {
+			return callback(
+				new Error('SmsInterface: no `templatesDir` option was provided')
+			);
+		}
+
+		var type = settings.type;
+		var budget = settings.maxSegments || this.budgets[type];
+
+		items = _.map(items, function (item) {
+			return _.defaults({}, item, {
+				locale: settings.locale
+			});
+		});
+
+		this.templating.renderText({
+			templatesDir: path.resolve(this.templatesDir, 'content'),
+			type: type,
+			name: 'sms',
+			items: items,
+			validate: function (text, item) {
+				var segments = SmsEncoding.count(text).segments;
+
+				if (!budget || segments <= budget) {
+					return null;
+				}
+
+				var e = new Error([
+					'SmsInterface: template `',
+					type,
+					'` rendered for locale `',
+					item.locale,
+					'` needs ',
+					segments,
+					' segments, the budget is ',
+					budget
+				].join(''));
+				e.type = type;
+				e.locale = item.locale;
+				e.segments = segments;
+				e.budget = budget;
+				return e;
+			}
+		}, callback);
+	};
+
+	/**
+	 * Send an SMS with whatever transport was setup by SmsSender.
+	 *
+	 * @function send
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {object}			settings		- Message settings
+	 * @param {string}			settings.from	- Sender id or phone number
+	 * @param {(string|array)}	settings.to		- Recipient phone number(s) in E.164 format
+	 * @param {string}			[settings.text]	- SMS body, when no template `type` is given
+	 * @param {string}			[settings.type]	- {@link SmsInterface#render} Template type used to render the SMS body
+	 * @param {(object|array)}	[data]			- Data to feed to the templating engine, one SMS is sent per item
+	 * @param {function}		[callback]		- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.send = function (settings, data, callback) {
+		if (_.isFunction(data)) {
+			callback = data;
+			data = null;
+		}
+
+		if (!this.sender) {
+			return callback(
+				new Error('SmsInterface: no `sender` options were provided')
+			);
+		}
+
+		var transport = this.transport;
+		var sender = this.sender;
+
+		if (!settings.type) {
+			return sender.send(transport, settings, callback);
+		}
+
+		var batch = _.isArray(data);
+		var items = batch ? data : [data || {}];
+
+		this.render(settings, items, function (e, texts) {
+			if (e) {
+				return callback(e);
+			}
+
+			async.mapSeries(texts, function (text, cb) {
+				sender.send(transport, _.extend({}, settings, {
+					text: text
+				}), cb);
+			}, function (e, reports) {
+				if (e) {
+					return callback(e);
+				}
+
+				callback(null, batch ? reports : reports[0]);
+			});
+		});
+	};
+
+	/**
+	 * Receives SMS's and delivery reports on the local webhook and forwards them to a callback.
+	 * Without callback, a promise of the next received message is returned.
+	 *
+	 * @function receive
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {function} [callback]	- Callback function called with every normalized message
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.receive = function (callback) {
+		if (callback) {
+			return this.receiver.receive(callback);
+		}
+
+		var receiver = this.receiver;
+
+		return new Promise(function (resolve, reject) {
+			var handler = function (e, message) {
+				receiver.handlers = _.without(receiver.handlers, handler);
+				return e ? reject(e) : resolve(message);
+			};
+
+			receiver.receive(handler);
+		});
+	};
+
+	/**
+	 * Waits until the webhook of the receiver, if any, is listening.
+	 *
+	 * @function ready
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.ready = function (callback) {
+		if (!this.receiver) {
+			return process.nextTick(function () {
+				callback(null);
+			});
+		}
+
+		this.receiver.ready(callback);
+	};
+
+	/**
+	 * Shuts the webhook of the receiver, if any, down.
+	 *
+	 * @function close
+	 * @memberof SmsInterface.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsInterface.prototype.close = function (callback) {
+		if (!this.receiver) {
+			return process.nextTick(function () {
+				callback(null);
+			});
+		}
+
+		this.receiver.close(callback);
+	};
+
+	Promises.wrapAll(SmsInterface, ['render', 'send', 'ready', 'close']);
+
+	return SmsInterface;
+
+})();
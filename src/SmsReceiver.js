@@ -0,0 +1,344 @@
+var _ = require('underscore');
+var url = require('url');
+var http = require('http');
+var crypto = require('crypto');
+var async = require('async');
+var querystring = require('querystring');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class SmsReceiver
+	 * @classdesc `SmsReceiver` class for receiving SMS's and delivery reports
+	 * pushed by providers to a small built-in HTTP webhook listener.
+	 *
+	 * @param {object}		options								- Options
+	 * @param {number}		[options.port=8080]					- Port on which the HTTP server will run
+	 * @param {string}		[options.host]						- Host on which the HTTP server will listen
+	 * @param {string}		[options.path=/sms]					- Path of the webhook
+	 * @param {string}		[options.secret]					- Shared secret used to verify the signature of the requests, required unless `insecure` is set
+	 * @param {boolean}		[options.insecure]					- Accept the unsigned requests when no `secret` is given
+	 * @param {string}		[options.signatureHeader=x-signature]	- Header holding the hex HMAC-SHA256 of the raw body
+	 * @param {number}		[options.maxBodySize=65536]			- Maximum size of a request body in bytes
+	 * @param {function}	[options.normalize]					- {@link SmsReceiver#normalize} Custom provider payload normalization
+	 * @param {object}		[options.logger]					- {@link Logger#create} Logger
+	 *
+	 * @param {function}	[callback]							- Optional callback which will be called when the server is ready.
+	 *
+	 * @return {SmsReceiver}
+	 */
+	function SmsReceiver (options, callback) {
+
+		options = options || {};
+
+		if (!options.secret && !options.insecure) {
+			throw new Error([
+				'SmsReceiver: `secret` option is required, ',
+				'unless `insecure` is set'
+			].join(''));
+		}
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'SmsReceiver'
+		});
+
+		this.path = options.path || '/sms';
+		this.secret = options.secret || null;
+		this.signatureHeader = options.signatureHeader || 'x-signature';
+		this.signatureHeader = this.signatureHeader.toLowerCase();
+		this.maxBodySize = options.maxBodySize || 65536;
+		this.handlers = [];
+
+		if (_.isFunction(options.normalize)) {
+			this.normalize = options.normalize;
+		}
+
+		this.server = http.createServer(this.handle.bind(this));
+
+		var port = options.port || 8080;
+
+		this.listening = async.memoize(function (cb) {
+			var done = _.once(cb);
+
+			this.server.once('error', function (error) {
+				this.logger.error('SMS webhook failed to start', {
+					port: port,
+					error: error
+				});
+
+				done(error);
+			}.bind(this));
+
+			this.server.listen(port, options.host, function () {
+				this.logger.info('SMS webhook listening', {
+					port: port,
+					path: this.path
+				});
+
+				done(null);
+			}.bind(this));
+		}.bind(this));
+
+		this.listening(callback || function () {});
+
+	}
+
+	/**
+	 * Computes the hex HMAC-SHA256 signature of a raw request body.
+	 *
+	 * @function sign
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {string}	raw	- Raw request body
+	 *
+	 * @return {string}
+	 *
+	 * @api public
+	 */
+	SmsReceiver.prototype.sign = function (raw) {
+		return crypto.createHmac('sha256', this.secret).update(raw).digest('hex');
+	};
+
+	/**
+	 * Checks the signature of a request in constant time. Every request is
+	 * accepted when no secret is configured, with the `insecure` option.
+	 *
+	 * @function verify
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {string}	raw			- Raw request body
+	 * @param {string}	signature	- Signature sent by the provider
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	SmsReceiver.prototype.verify = function (raw, signature) {
+		if (!this.secret) {
+			return true;
+		}
+
+		var expected = this.sign(raw);
+		signature = String(signature || '');
+
+		if (signature.length !== expected.length) {
+			return false;
+		}
+
+		var diff = 0;
+		for (var i = 0; i < expected.length; i++) {
+			diff |= expected.charCodeAt(i) ^ signature.charCodeAt(i);
+		}
+		return diff === 0;
+	};
+
+	/**
+	 * Normalizes a provider payload into a single message shape. Payloads
+	 * carrying a `status` are considered as delivery reports.
+	 *
+	 * @function normalize
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {object}	body	- Parsed request body
+	 *
+	 * @return {object}	`{type, from, to, body, status, receivedAt, providerId, raw}`
+	 *
+	 * @api private
+	 */
+	SmsReceiver.prototype.normalize = function (body) {
+		var pick = function () {
+			var value = _.find(arguments, function (key) {
+				return body[key] !== undefined && body[key] !== null;
+			});
+			return value === undefined ? null : body[value];
+		};
+
+		var status = pick('status', 'Status', 'MessageStatus', 'SmsStatus');
+		var timestamp = pick('receivedAt', 'timestamp', 'date');
+		var receivedAt = timestamp ? new Date(timestamp) : new Date();
+
+		return {
+			type: status && !pick('text', 'body', 'Body') ? 'status' : 'message',
+			from: pick('from', 'From', 'msisdn', 'sender'),
+			to: pick('to', 'To', 'recipient'),
+			body: pick('text', 'body', 'Body', 'message'),
+			status: status,
+			receivedAt: isNaN(receivedAt.getTime()) ? new Date() : receivedAt,
+			providerId: pick('providerId', 'messageId', 'id', 'MessageSid', 'SmsSid'),
+			raw: body
+		};
+	};
+
+	/**
+	 * Parses a raw request body according to its content type.
+	 *
+	 * @function parse
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {string}	raw			- Raw request body
+	 * @param {string}	contentType	- Content-Type header of the request
+	 *
+	 * @return {object}
+	 *
+	 * @api private
+	 */
+	SmsReceiver.prototype.parse = function (raw, contentType) {
+		if (/json/i.test(contentType || '')) {
+			return JSON.parse(raw);
+		}
+		return querystring.parse(raw);
+	};
+
+	/**
+	 * HTTP request handler of the webhook.
+	 *
+	 * @function handle
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {http.IncomingMessage}	request		- Request
+	 * @param {http.ServerResponse}		response	- Response
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	SmsReceiver.prototype.handle = function (request, response) {
+		var reply = function (statusCode) {
+			response.writeHead(statusCode, {
+				'Content-Type': 'text/plain'
+			});
+			response.end(http.STATUS_CODES[statusCode]);
+		};
+
+		var logger = this.logger;
+
+		if (url.parse(request.url).pathname !== this.path) {
+			return reply(404);
+		}
+		if (request.method !== 'POST') {
+			return reply(405);
+		}
+
+		var chunks = [];
+		var size = 0;
+		var aborted = false;
+
+		request.on('data', function (chunk) {
+			if (aborted) {
+				return;
+			}
+
+			size += chunk.length;
+			if (size > this.maxBodySize) {
+				aborted = true;
+				// The request is destroyed once the response is sent.
+				response.on('finish', function () {
+					request.destroy();
+				});
+				return reply(413);
+			}
+			chunks.push(chunk);
+		}.bind(this));
+
+		request.on('end', function () {
+			if (aborted) {
+				return;
+			}
+
+			var raw = Buffer.concat(chunks).toString('utf8');
+			var message;
+
+			if (!this.verify(raw, request.headers[this.signatureHeader])) {
+				logger.warn('Request with an invalid signature rejected', {
+					remoteAddress: request.socket.remoteAddress
+				});
+				return reply(401);
+			}
+
+			try {
+				message = this.normalize(this.parse(raw, request.headers['content-type']));
+			}
+			catch (e) {
+				return reply(400);
+			}
+
+			if (!message || (!message.body && !message.status)) {
+				return reply(400);
+			}
+
+			reply(200);
+
+			logger.info('SMS webhook notification received', {
+				type: message.type,
+				from: message.from,
+				to: message.to,
+				status: message.status,
+				providerId: message.providerId
+			});
+
+			_.each(this.handlers, function (handler) {
+				handler(null, message);
+			});
+		}.bind(this));
+	};
+
+	/**
+	 * Registers a callback that will be called with every normalized message
+	 * or delivery report received by the webhook.
+	 *
+	 * @function receive
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SmsReceiver.prototype.receive = function (callback) {
+		this.handlers.push(callback);
+	};
+
+	/**
+	 * Waits until the HTTP server is listening.
+	 *
+	 * @function ready
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsReceiver.prototype.ready = function (callback) {
+		this.listening(callback);
+	};
+
+	/**
+	 * Stops accepting requests and waits for the current ones to end.
+	 *
+	 * @function close
+	 * @memberof SmsReceiver.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SmsReceiver.prototype.close = function (callback) {
+		this.server.close(function () {
+			this.logger.info('SMS webhook closed');
+			callback(null);
+		}.bind(this));
+	};
+
+	Promises.wrapAll(SmsReceiver, ['ready', 'close']);
+
+	return SmsReceiver;
+
+})();
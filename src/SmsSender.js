@@ -0,0 +1,235 @@
+var _ = require('underscore');
+var async = require('async');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
+var SmsEncoding = require('./SmsEncoding');
+var SmsStubTransport = require('./SmsStubTransport');
+var SmsHttpTransport = require('./SmsHttpTransport');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class SmsSender
+	 * @classdesc `SmsSender` class for sending SMS's through pluggable providers.
+	 *
+	 * @param {object}	[options]					- Options
+	 * @param {string}	[options.defaultTransport]	- Name of the default transport method
+	 * @param {object}	[options.stub]				- {@link SmsSender#addStubTransport} Options for the stub transport
+	 * @param {object}	[options.http]				- {@link SmsSender#addHttpTransport} Options for the HTTP provider transport
+	 * @param {object}	[options.transports]		- Custom transports indexed by name, each exposing a `send(message, callback)` method
+	 * @param {number}	[options.maxSegments]		- Refuse to send messages longer than this amount of segments
+	 * @param {object}	[options.logger]			- {@link Logger#create} Logger
+	 *
+	 * @return {SmsSender}
+	 */
+	function SmsSender (options) {
+
+		options = options || {};
+
+		this.logger = Logger.create(options.logger).child({
+			module: 'SmsSender'
+		});
+
+		this.transports = {};
+
+		if (options.stub) {
+			this.addStubTransport(options.stub);
+		}
+
+		if (options.http) {
+			this.addHttpTransport(options.http);
+		}
+
+		_.each(options.transports, function (transport, name) {
+			this.addTransport(name, transport);
+		}, this);
+
+		this.defaultTransport = options.defaultTransport ||
+			_.first(_.keys(this.transports));
+		this.maxSegments = options.maxSegments || null;
+
+	}
+
+	/**
+	 * Registers a transport under a given name.
+	 *
+	 * @function addTransport
+	 * @memberof SmsSender.prototype
+	 *
+	 * @param {string}	name		- Name of the transport
+	 * @param {object}	transport	- Object exposing a `send(message, callback)` method
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SmsSender.prototype.addTransport = function (name, transport) {
+		if (!transport || !_.isFunction(transport.send)) {
+			throw new Error([
+				'SmsSender: transport `',
+				name,
+				'` must expose a `send` method'
+			].join(''));
+		}
+		this.transports[name.toLowerCase()] = transport;
+	};
+
+	/**
+	 * Configures and adds the in-memory stub transport that will mostly be used for testing.
+	 *
+	 * @function addStubTransport
+	 * @memberof SmsSender.prototype
+	 *
+	 * @param {object}	[options]	- {@link SmsStubTransport} Options for the stub transport
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	SmsSender.prototype.addStubTransport = function (options) {
+		this.addTransport('stub', new SmsStubTransport(options));
+	};
+
+	/**
+	 * Configures and adds an HTTP provider transport.
+	 *
+	 * @function addHttpTransport
+	 * @memberof SmsSender.prototype
+	 *
+	 * @param {object}	options	- {@link SmsHttpTransport} Options for the HTTP transport
+	 *
+	 * @return {undefined}
+	 *
+	 * @api private
+	 */
+	SmsSender.prototype.addHttpTransport = function (options) {
+		this.addTransport('http', new SmsHttpTransport(options));
+	};
+
+	/**
+	 * Returns the name of the transport to use, falling back to the default transport.
+	 *
+	 * @function getTransportName
+	 * @memberof SmsSender.prototype
+	 *
+	 * @param {string}	[transportMethod]	- Name of the transport, `*` for the default one
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	SmsSender.prototype.getTransportName = function (transportMethod) {
+		if (_.isString(transportMethod) && transportMethod !== '*') {
+			transportMethod = transportMethod.toLowerCase();
+			if (transportMethod in this.transports) {
+				return transportMethod;
+			}
+		}
+
+		return this.defaultTransport;
+	};
+
+	/**
+	 * Validates the phone numbers, counts the segments and sends one message per recipient.
+	 *
+	 * @function send
+	 * @memberof SmsSender.prototype
+	 *
+	 * @param {string}			transportMethod		- Name of the transport method
+	 * @param {object}			settings			- Message settings
+	 * @param {string}			settings.from		- Sender id or phone number
+	 * @param {(string|array)}	settings.to			- Recipient phone number(s) in E.164 format
+	 * @param {string}			settings.text		- SMS body
+	 * @param {function}		callback			- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SmsSender.prototype.send = function (transportMethod, settings, callback) {
+		var transportName = this.getTransportName(transportMethod);
+		var transport = this.transports[transportName];
+
+		if (!transport) {
+			return callback(new Error('SmsSender: no transport available'));
+		}
+
+		var recipients = _.isArray(settings.to) ? settings.to : [settings.to];
+		var encoding = SmsEncoding.count(settings.text);
+
+		if (!encoding.length) {
+			return callback(new Error('SmsSender: message body is empty'));
+		}
+
+		if (this.maxSegments && encoding.segments > this.maxSegments) {
+			return callback(new Error([
+				'SmsSender: message needs ',
+				encoding.segments,
+				' segments, the maximum is ',
+				this.maxSegments
+			].join('')));
+		}
+
+		var info = {
+			accepted: [],
+			rejected: [],
+			errors: [],
+			messageIds: {},
+			encoding: encoding.encoding,
+			segments: encoding.segments,
+			transport: transportName
+		};
+
+		async.each(recipients, function (to, cb) {
+			if (!SmsEncoding.isE164(to)) {
+				info.rejected.push(to);
+				info.errors.push({
+					recipient: to,
+					error: new Error([
+						'SmsSender: `',
+						to,
+						'` is not a valid E.164 phone number'
+					].join(''))
+				});
+				return cb();
+			}
+
+			transport.send({
+				from: settings.from,
+				to: to,
+				text: settings.text,
+				encoding: encoding.encoding,
+				segments: encoding.segments
+			}, function (e, result) {
+				if (e) {
+					info.rejected.push(to);
+					info.errors.push({
+						recipient: to,
+						error: e
+					});
+					return cb();
+				}
+
+				info.accepted.push(to);
+				info.messageIds[to] = result && result.messageId;
+				cb();
+			});
+		}, function () {
+			this.logger[info.rejected.length ? 'warn' : 'info']('SMS sent', {
+				transport: transportName,
+				accepted: info.accepted,
+				rejected: info.rejected,
+				segments: info.segments,
+				errors: info.errors
+			});
+
+			callback(null, info);
+		}.bind(this));
+	};
+
+	Promises.wrapAll(SmsSender, ['send']);
+
+	return SmsSender;
+
+})();
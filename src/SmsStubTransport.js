@@ -0,0 +1,67 @@
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * @class SmsStubTransport
+	 * @classdesc `SmsStubTransport` in-memory SMS transport that will mostly be used for testing.
+	 * Every message "sent" is kept in the `messages` list instead of reaching a provider.
+	 *
+	 * @param {object}		[options]			- Options
+	 * @param {function}	[options.error]		- Optional function returning an error for a given message to simulate a provider failure
+	 *
+	 * @return {SmsStubTransport}
+	 */
+	function SmsStubTransport (options) {
+
+		options = options || {};
+
+		this.error = options.error;
+		this.messages = [];
+		this.counter = 0;
+
+	}
+
+	/**
+	 * Stores the message and calls back with a fake provider id.
+	 *
+	 * @function send
+	 * @memberof SmsStubTransport.prototype
+	 *
+	 * @param {object}		message			- Message as prepared by {@link SmsSender#send}
+	 * @param {string}		message.from	- Sender id or phone number
+	 * @param {string}		message.to		- Recipient phone number (E.164)
+	 * @param {string}		message.text	- SMS body
+	 * @param {function}	callback		- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SmsStubTransport.prototype.send = function (message, callback) {
+		var error = this.error ? this.error(message) : null;
+
+		process.nextTick(function () {
+			if (error) {
+				return callback(error);
+			}
+
+			this.counter += 1;
+
+			var messageId = 'stub-' + this.counter;
+			this.messages.push({
+				id: messageId,
+				from: message.from,
+				to: message.to,
+				text: message.text,
+				segments: message.segments
+			});
+
+			callback(null, {
+				messageId: messageId
+			});
+		}.bind(this));
+	};
+
+	return SmsStubTransport;
+
+})();
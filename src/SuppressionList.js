@@ -0,0 +1,220 @@
+var _ = require('underscore');
+var async = require('async');
+var Promises = require('./Promises');
+var FileStore = require('./FileStore');
+var MemoryStore = require('./MemoryStore');
+
+module.exports = (function () {
+	'use strict';
+
+	/**
+	 * Normalizes an address into the key of its entry.
+	 *
+	 * @param {string}	address	- Plain email address
+	 *
+	 * @return {string}
+	 *
+	 * @api private
+	 */
+	var keyOf = function (address) {
+		return String(address).trim().toLowerCase();
+	};
+
+	/**
+	 * Tells whether an entry is still in force.
+	 *
+	 * @param {object}	entry	- Entry
+	 *
+	 * @return {boolean}
+	 *
+	 * @api private
+	 */
+	var active = function (entry) {
+		return !!entry && (entry.expiresAt === null || entry.expiresAt > Date.now());
+	};
+
+	/**
+	 * @class SuppressionList
+	 * @classdesc `SuppressionList` keeps the addresses no email must be sent to anymore
+	 * (eg: hard bounces, complaints or unsubscriptions), for good or until a date.
+	 *
+	 * @param {object}	[options]			- Options
+	 * @param {object}	[options.store]		- Storage adapter exposing `get`, `set`, `remove` and `list` (see {@link MemoryStore})
+	 * @param {string}	[options.path]		- Path of the {@link FileStore} JSON file, used when no `store` is given
+	 *
+	 * @return {SuppressionList}
+	 */
+	function SuppressionList (options) {
+
+		options = options || {};
+
+		this.store = options.store;
+		if (!this.store) {
+			this.store = options.path ? new FileStore(options) : new MemoryStore();
+		}
+
+	}
+
+	/**
+	 * Suppresses an address, replacing its previous entry.
+	 *
+	 * @function add
+	 * @memberof SuppressionList.prototype
+	 *
+	 * @param {string}			address					- Plain email address
+	 * @param {object}			[options]				- Options
+	 * @param {string}			[options.reason]		- Reason of the suppression (eg: `hard-bounce`, `complaint`)
+	 * @param {(Date|number)}	[options.expiresAt]		- Date at which the address is sent emails again
+	 * @param {number}			[options.duration]		- Milliseconds during which the address is suppressed
+	 * @param {function}		callback				- Callback called with the entry `{address, reason, createdAt, expiresAt}`
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SuppressionList.prototype.add = function (address, options, callback) {
+		if (_.isFunction(options)) {
+			callback = options;
+			options = null;
+		}
+
+		options = options || {};
+
+		var expiresAt = null;
+		if (options.expiresAt) {
+			expiresAt = new Date(options.expiresAt).getTime();
+		}
+		else if (options.duration) {
+			expiresAt = Date.now() + options.duration;
+		}
+
+		if (isNaN(expiresAt)) {
+			return process.nextTick(function () {
+				callback(new Error('SuppressionList: invalid `expiresAt` date'));
+			});
+		}
+
+		var entry = {
+			address: keyOf(address),
+			reason: options.reason || null,
+			createdAt: Date.now(),
+			expiresAt: expiresAt
+		};
+
+		this.store.set(entry.address, entry, function (e) {
+			callback(e || null, e ? null : entry);
+		});
+	};
+
+	/**
+	 * Stops suppressing an address.
+	 *
+	 * @function remove
+	 * @memberof SuppressionList.prototype
+	 *
+	 * @param {string}		address		- Plain email address
+	 * @param {function}	callback	- Callback
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SuppressionList.prototype.remove = function (address, callback) {
+		this.store.remove(keyOf(address), function (e) {
+			callback(e || null);
+		});
+	};
+
+	/**
+	 * Lists the entries in force, the elapsed ones being ignored until
+	 * they are removed, see {@link SuppressionList#expire}.
+	 *
+	 * @function list
+	 * @memberof SuppressionList.prototype
+	 *
+	 * @param {function}	callback	- Callback called with the entries
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SuppressionList.prototype.list = function (callback) {
+		this.store.list(function (e, entries) {
+			if (e) {
+				return callback(e);
+			}
+
+			callback(null, _.sortBy(_.filter(entries, active), 'createdAt'));
+		});
+	};
+
+	/**
+	 * Finds which of some addresses are suppressed.
+	 *
+	 * @function check
+	 * @memberof SuppressionList.prototype
+	 *
+	 * @param {array}		addresses	- Plain email addresses
+	 * @param {function}	callback	- Callback called with the suppressed addresses, as given, or the error of the store
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SuppressionList.prototype.check = function (addresses, callback) {
+		async.map(addresses, function (address, cb) {
+			this.store.get(keyOf(address), function (e, entry) {
+				cb(e, !e && active(entry));
+			});
+		}.bind(this), function (e, suppressed) {
+			if (e) {
+				return callback(e);
+			}
+
+			callback(null, _.filter(addresses, function (address, index) {
+				return suppressed[index];
+			}));
+		});
+	};
+
+	/**
+	 * Removes the entries whose suppression elapsed.
+	 *
+	 * @function expire
+	 * @memberof SuppressionList.prototype
+	 *
+	 * @param {function}	[callback]	- Callback called with the amount of removed entries
+	 *
+	 * @return {undefined}
+	 *
+	 * @api public
+	 */
+	SuppressionList.prototype.expire = function (callback) {
+		callback = callback || function () {};
+
+		this.store.list(function (e, entries) {
+			if (e) {
+				return callback(e);
+			}
+
+			var expired = _.reject(entries, active);
+
+			async.each(expired, function (entry, cb) {
+				this.store.remove(entry.address, cb);
+			}.bind(this), function (e) {
+				callback(e || null, expired.length);
+			});
+		}.bind(this));
+	};
+
+	Promises.wrapAll(SuppressionList, [
+		'add',
+		'remove',
+		'list',
+		'check',
+		'expire'
+	]);
+
+	return SuppressionList;
+
+})();
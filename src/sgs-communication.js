@@ -1,4 +1,10 @@
+var _ = require('underscore');
+var async = require('async');
+var Config = require('./Config');
+var Logger = require('./Logger');
+var Promises = require('./Promises');
 var EmailInterface = require('./EmailInterface');
+var SmsInterface = require('./SmsInterface');
 
 module.exports = (function () {
 	'use strict';
@@ -6,34 +12,126 @@ module.exports = (function () {
 	/**
 	 * @class SGSCommunication
 	 * @classdesc `SGSCommunication` class for communicating with different protocols like SMS and emails.
+	 * The module exports a default instance, {@link SGSCommunication#create} returns independent ones.
 	 *
 	 * @return {SGSCommunication}
 	 */
-	function SGSCommunication () {}
+	function SGSCommunication () {
+		this.protocols = {};
+	}
 
 	/**
+	 * Sets the protocols up. The callback is called once they are ready to use:
+	 * the transports are set, the receivers are listening and the persisted jobs
+	 * are resumed. The options are validated first, see {@link Config.validate}:
+	 * nothing is set up when one of them is invalid. The protocols of a previous
+	 * initialization are closed before being replaced.
+	 *
 	 * @function init
 	 * @memberof SGSCommunication.prototype
 	 *
-	 * @param {object}	[options]			- Options
-	 * @param {object}	[options.email]		- {@link EmailInterface} Options for the email protocol
+	 * @param {object}		[options]			- Options
+	 * @param {object}		[options.email]		- {@link EmailInterface} Options for the email protocol
+	 * @param {object}		[options.sms]		- {@link SmsInterface} Options for the SMS protocol
+	 * @param {object}		[options.logger]	- {@link Logger#create} Logger, or its options, used by every module
+	 * @param {function}	[callback]			- Callback, a promise is returned when omitted
 	 *
-	 * @return {SGSCommunication}
+	 * @return {(undefined|Promise)}
 	 *
 	 * @api public
 	 */
-	SGSCommunication.prototype.init = function (options) {
+	SGSCommunication.prototype.init = function (options, callback) {
 
-		this.protocols = {};
-
-		if (options.email) {
-			this.protocols.email = new EmailInterface(options.email);
+		try {
+			options = Config.validate(options);
+		}
+		catch (e) {
+			return callback(e);
 		}
 
-		// if (options.sms) {
-			// new SMS Interface
-		// }
+		this.close(function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			this.protocols = {};
+			this.logger = Logger.create(options.logger);
+
+			if (options.email) {
+				this.protocols.email = new EmailInterface(_.extend({
+					logger: this.logger
+				}, options.email));
+			}
+
+			if (options.sms) {
+				this.protocols.sms = new SmsInterface(_.extend({
+					logger: this.logger
+				}, options.sms));
+			}
+
+			this.ready(callback);
+		}.bind(this));
+	};
+
+	/**
+	 * Waits until every protocol is ready to use, see {@link SGSCommunication#init}.
+	 *
+	 * @function ready
+	 * @memberof SGSCommunication.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SGSCommunication.prototype.ready = function (callback) {
+		async.each(_.values(this.protocols), function (protocol, cb) {
+			protocol.ready(cb);
+		}, function (e) {
+			callback(e || null);
+		});
+	};
+
+	/**
+	 * Shuts every protocol down: receivers stop listening and pooled connections
+	 * are closed. The closed protocols are dropped, {@link SGSCommunication#init}
+	 * sets them up again.
+	 *
+	 * @function close
+	 * @memberof SGSCommunication.prototype
+	 *
+	 * @param {function}	[callback]	- Callback, a promise is returned when omitted
+	 *
+	 * @return {(undefined|Promise)}
+	 *
+	 * @api public
+	 */
+	SGSCommunication.prototype.close = function (callback) {
+		var protocols = _.values(this.protocols);
 
+		this.protocols = {};
+		async.each(protocols, function (protocol, cb) {
+			protocol.close(cb);
+		}, function (e) {
+			callback(e || null);
+		});
+	};
+
+	/**
+	 * Creates an instance independent from the default one, with its own
+	 * transports, receivers and i18n catalog. It is set up by
+	 * {@link SGSCommunication#init} as well.
+	 *
+	 * @function create
+	 * @memberof SGSCommunication.prototype
+	 *
+	 * @return {SGSCommunication}
+	 *
+	 * @api public
+	 */
+	SGSCommunication.prototype.create = function () {
+		return new SGSCommunication();
 	};
 
 	/**
@@ -45,7 +143,7 @@ module.exports = (function () {
 	 * @param {string} protocol			- Protocol to use (SMS or email at the moment)
 	 * @param {string} [transport]		- Transport method (SES, direct, sendmail ...etc.)
 	 *
-	 * @return {(undefined|EmailInterface)}
+	 * @return {(undefined|EmailInterface|SmsInterface)}
 	 *
 	 * @api public
 	 */
@@ -55,6 +153,8 @@ module.exports = (function () {
 		}
 	};
 
+	Promises.wrapAll(SGSCommunication, ['init', 'ready', 'close']);
+
 	return new SGSCommunication();
 
 })();
@@ -0,0 +1,178 @@
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+
+var _ = require('underscore');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var directory = path.join(os.tmpdir(), 'sgs-communication-attachments');
+	var invoice = new Buffer('%PDF-1.4 invoice');
+	var logo = new Buffer(64).fill(7);
+
+	var message = [
+		'From: Jane Doe <jane@example.com>',
+		'To: support@example.com',
+		'Subject: Invoice',
+		'MIME-Version: 1.0',
+		'Content-Type: multipart/mixed; boundary="b1"',
+		'',
+		'--b1',
+		'Content-Type: text/plain; charset=UTF-8',
+		'',
+		'Please find the invoice attached.',
+		'--b1',
+		'Content-Type: application/pdf; name="invoice.pdf"',
+		'Content-Disposition: attachment; filename="invoice.pdf"',
+		'Content-Transfer-Encoding: base64',
+		'',
+		invoice.toString('base64'),
+		'--b1',
+		'Content-Type: image/png; name="logo.png"',
+		'Content-Disposition: attachment; filename="logo.png"',
+		'Content-Transfer-Encoding: base64',
+		'',
+		logo.toString('base64'),
+		'--b1--',
+		''
+	].join('\r\n');
+
+	var parse = function (attachments, callback) {
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			attachments: attachments
+		});
+
+		email.InstanciateMailParser(callback)().end(message);
+	};
+
+	before(function () {
+		if (!fs.existsSync(directory)) {
+			fs.mkdirSync(directory);
+		}
+	});
+
+	after(function () {
+		_.each(fs.readdirSync(directory), function (file) {
+			fs.unlinkSync(path.join(directory, file));
+		});
+		fs.rmdirSync(directory);
+	});
+
+	it('Stream the attachments to files', function (callback) {
+		parse({
+			directory: directory
+		}, function (e, email) {
+			var files = _.pluck(email.attachments, 'file');
+
+			assert.equal(email.attachments.length, 2);
+			assert.equal(email.attachments[0].content, undefined);
+			assert.equal(email.attachments[0].stream, undefined);
+			assert.equal(path.dirname(files[0].path), directory);
+			assert.deepEqual(fs.readFileSync(files[0].path), invoice);
+			assert.deepEqual(fs.readFileSync(files[1].path), logo);
+			assert.equal(email.attachments[1].length, logo.length);
+			callback(e);
+		});
+	});
+
+	it('Refuse the attachments exceeding the size limits', function (callback) {
+		var count = fs.readdirSync(directory).length;
+
+		parse({
+			directory: directory,
+			maxSize: 32
+		}, function (e, email) {
+			assert.ok(email.attachments[0].file);
+			assert.equal(email.attachments[1].file, null);
+			assert.equal(
+				email.attachments[1].rejected,
+				'The attachment exceeds 32 bytes'
+			);
+			// The partial content is removed
+			assert.equal(fs.readdirSync(directory).length, count + 1);
+
+			parse({
+				directory: directory,
+				maxTotalSize: 64
+			}, function (e, email) {
+				assert.ok(email.attachments[0].file);
+				assert.equal(
+					email.attachments[1].rejected,
+					'The attachments exceed 64 bytes'
+				);
+				callback(e);
+			});
+		});
+	});
+
+	it('Refuse the attachments by MIME type', function (callback) {
+		parse({
+			directory: directory,
+			allow: ['image/*', 'application/pdf'],
+			deny: ['application/*']
+		}, function (e, email) {
+			assert.equal(email.attachments[0].file, null);
+			assert.equal(
+				email.attachments[0].rejected,
+				'The type application/pdf is not accepted'
+			);
+			assert.ok(email.attachments[1].file);
+			callback(e);
+		});
+	});
+
+	it('Store the attachments in a custom sink', function (callback) {
+		var stored = {};
+		var sink = {
+			save: function (attachment, stream, cb) {
+				var chunks = [];
+
+				stream.on('data', function (chunk) {
+					chunks.push(chunk);
+				}).on('end', function () {
+					stored[attachment.generatedFileName] = Buffer.concat(chunks);
+					cb(null, {
+						key: attachment.generatedFileName
+					});
+				});
+			},
+			remove: function (file, cb) {
+				delete stored[file.key];
+				cb(null);
+			}
+		};
+
+		parse({
+			sink: sink,
+			deny: ['image/png']
+		}, function (e, email) {
+			assert.deepEqual(email.attachments[0].file, {
+				key: 'invoice.pdf'
+			});
+			assert.deepEqual(stored, {
+				'invoice.pdf': invoice
+			});
+			callback(e);
+		});
+	});
+
+	it('Fail when an attachment cannot be stored', function (callback) {
+		parse({
+			sink: {
+				save: function (attachment, stream, cb) {
+					cb(new Error('Disk full'));
+				}
+			}
+		}, function (e) {
+			assert.equal(e.message, 'Disk full');
+			callback();
+		});
+	});
+
+};
@@ -0,0 +1,155 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+
+var _ = require('underscore');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var email = SGSCommunication.protocols.email;
+	var captured = [];
+	var active = 0;
+	var maxActive = 0;
+
+	var byRecipient = function (to) {
+		return _.find(captured, function (data) {
+			return _.contains([].concat(data.to), to);
+		});
+	};
+
+	email.sender.addTransport('capture', {
+		send: function (mail, callback) {
+			active += 1;
+			maxActive = Math.max(maxActive, active);
+			captured.push(mail.data);
+
+			setTimeout(function () {
+				active -= 1;
+				callback(null, {
+					messageId: 'capture-' + captured.length
+				});
+			}, 5);
+		}
+	});
+
+	it('Send a personalized email to each item of a batch', function (callback) {
+		captured = [];
+
+		SGSCommunication.with('email', 'capture').sendBatch({
+			from: 'newsletter@example.com',
+			type: 'newsletter'
+		}, [{
+			to: 'jane@example.com',
+			locale: 'en',
+			data: {
+				firstname: 'Jane'
+			}
+		}, {
+			to: 'jean@example.com',
+			locale: 'fr',
+			data: {
+				firstname: 'Jean'
+			}
+		}, {
+			to: ['vip@example.com', 'assistant@example.com'],
+			locale: 'en',
+			data: {
+				firstname: 'Vip'
+			},
+			overrides: {
+				subject: 'Exclusive news'
+			}
+		}], function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(report.total, 3);
+			assert.deepEqual(report.accepted.sort(), [
+				'assistant@example.com',
+				'jane@example.com',
+				'jean@example.com',
+				'vip@example.com'
+			]);
+			assert.equal(report.items[1].accepted[0], 'jean@example.com');
+			assert.equal(byRecipient('jane@example.com').subject, 'Our latest news');
+			assert.equal(byRecipient('jane@example.com').text, 'Hello Jane');
+			assert.equal(
+				byRecipient('jean@example.com').subject,
+				'Nos dernières nouvelles'
+			);
+			assert.equal(byRecipient('jean@example.com').text, 'Bonjour Jean');
+			assert.equal(byRecipient('vip@example.com').subject, 'Exclusive news');
+			callback();
+		});
+	});
+
+	it('Bound the amount of items sent at the same time', function (callback) {
+		var items = [];
+		for (var i = 0; i < 12; i++) {
+			items.push({
+				to: 'user' + i + '@example.com',
+				data: {
+					firstname: 'User ' + i
+				}
+			});
+		}
+
+		maxActive = 0;
+
+		email.with('capture').sendBatch({
+			from: 'newsletter@example.com',
+			type: 'newsletter',
+			concurrency: 3
+		}, items, function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(report.accepted.length, 12);
+			assert.ok(maxActive <= 3);
+			callback();
+		});
+	});
+
+	it('Reject the recipients of an item failing to render', function (callback) {
+		email.with('capture').sendBatch({
+			from: 'newsletter@example.com'
+		}, [{
+			to: 'ok@example.com',
+			overrides: {
+				type: 'newsletter'
+			}
+		}, {
+			to: 'ko@example.com',
+			overrides: {
+				type: 'missing'
+			}
+		}], function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(report.accepted, ['ok@example.com']);
+			assert.deepEqual(report.rejected, ['ko@example.com']);
+			assert.equal(report.errors.length, 1);
+			callback();
+		});
+	});
+
+	it('Refuse to schedule a batch', function (callback) {
+		email.with('capture').sendBatch({
+			from: 'newsletter@example.com',
+			type: 'newsletter'
+		}, [{
+			to: 'later@example.com',
+			overrides: {
+				delay: 60000
+			}
+		}], function (e) {
+			assert.ok(/can't be scheduled/.test(e.message));
+			callback();
+		});
+	});
+
+};
@@ -0,0 +1,257 @@
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+var BounceParser = require('./coverage/instrument/src/BounceParser');
+
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+var events = require('events');
+var stream = require('stream');
+
+module.exports = function () {
+	'use strict';
+
+	var fixtures = path.join(__dirname, 'fixtures', 'bounces');
+
+	var create = function (options) {
+		return new EmailInterface(_.extend({
+			logger: {
+				level: 'silent'
+			}
+		}, options));
+	};
+
+	// Parses a fixture, received by the given envelope recipient.
+	var parse = function (email, name, recipient, callback) {
+		email.InstanciateMailParser(callback)({
+			from: '',
+			to: [recipient]
+		}).end(fs.readFileSync(path.join(fixtures, name + '.eml')));
+	};
+
+	it('Classify the delivery status notifications', function (callback) {
+		var email = create();
+
+		parse(email, 'dsn-hard', 'support@example.com', function (e, parsed) {
+			assert.deepEqual(parsed.bounce, {
+				type: 'hard',
+				recipient: 'jane@example.org',
+				recipients: ['jane@example.org'],
+				status: '5.1.1',
+				diagnostic: [
+					'550 5.1.1 <jane@example.org>: Recipient address rejected:',
+					'User unknown'
+				].join(' '),
+				originalMessageId: '1445432109.42@example.com'
+			});
+
+			parse(email, 'dsn-delayed', 'support@example.com', function (e, parsed) {
+				assert.equal(parsed.bounce.type, 'soft');
+				assert.deepEqual(parsed.bounce.recipients, ['jane@example.org']);
+				assert.equal(parsed.bounce.status, '4.4.7');
+				assert.equal(parsed.bounce.originalMessageId, '1445432109.43@example.com');
+				callback(e);
+			});
+		});
+	});
+
+	it('Classify the non-standard bounces', function (callback) {
+		var email = create();
+
+		parse(email, 'qmail', 'support@example.com', function (e, parsed) {
+			assert.equal(parsed.bounce.type, 'hard');
+			assert.equal(parsed.bounce.recipient, 'jane@example.org');
+			assert.equal(parsed.bounce.status, '5.1.1');
+			assert.equal(parsed.bounce.originalMessageId, '1445432109.44@example.com');
+
+			parse(email, 'exim', 'support@example.com', function (e, parsed) {
+				assert.equal(parsed.bounce.type, 'soft');
+				assert.equal(parsed.bounce.recipient, 'jane@example.org');
+				assert.equal(parsed.bounce.status, null);
+				callback(e);
+			});
+		});
+	});
+
+	it('Classify the automatic replies', function (callback) {
+		var email = create();
+
+		parse(email, 'out-of-office', 'support@example.com', function (e, parsed) {
+			assert.equal(parsed.bounce.type, 'out-of-office');
+			assert.equal(parsed.bounce.recipient, 'jane@example.org');
+			assert.equal(parsed.bounce.originalMessageId, '1445432109.42@example.com');
+
+			parse(email, 'auto-reply', 'support@example.com', function (e, parsed) {
+				assert.equal(parsed.bounce.type, 'auto-reply');
+				assert.equal(parsed.bounce.recipient, 'sales@example.org');
+				callback(e);
+			});
+		});
+	});
+
+	it('Leave the human emails unclassified', function () {
+		assert.equal(BounceParser.parse({
+			from: [{
+				address: 'jane@example.org',
+				name: 'Jane Doe'
+			}],
+			subject: 'Re: Delivery failed for my order',
+			text: 'The parcel is still at the post office.',
+			headers: {}
+		}), null);
+	});
+
+	it('Classify with a context and reports missing', function (callback) {
+		var email = create();
+		var parsed = {
+			from: [{
+				address: 'MAILER-DAEMON@example.org',
+				name: ''
+			}],
+			subject: 'failure notice',
+			text: '<jane@example.org>:\nSorry, no mailbox here by that name. (#5.1.1)',
+			headers: {},
+			envelope: null,
+			context: {
+				id: 'welcome'
+			}
+		};
+
+		email.classify(parsed, function (cb) {
+			cb(new Error('Unreadable'));
+		}, function (e) {
+			assert.equal(parsed.bounce.type, 'hard');
+			assert.equal(parsed.bounce.recipient, 'jane@example.org');
+			assert.equal(parsed.bounce.originalMessageId, null);
+			callback(e);
+		});
+	});
+
+	it('Stop waiting for the report parts failing or closed', function (callback) {
+		var parser = new events.EventEmitter();
+		var wait = BounceParser.watch(parser);
+		var status = new stream.PassThrough();
+		var headers = new stream.PassThrough();
+
+		parser.emit('attachment', {
+			contentType: 'message/delivery-status',
+			stream: status
+		});
+		parser.emit('attachment', {
+			contentType: 'text/rfc822-headers',
+			stream: headers
+		});
+		status.write('Action: failed');
+		status.emit('error', new Error('Aborted'));
+		headers.emit('close');
+
+		wait(function (e, reports) {
+			assert.deepEqual(reports, {
+				status: null,
+				headers: null
+			});
+			callback(e);
+		});
+	});
+
+	it('Emit the bounces apart from the received emails', function (callback) {
+		var email = create();
+		var events = [];
+
+		email.on('received', function () {
+			events.push('received');
+		});
+		email.on('bounced', function (event) {
+			events.push(event.type);
+		});
+
+		parse(email, 'dsn-hard', 'support@example.com', function () {
+			parse(email, 'auto-reply', 'support@example.com', function () {
+				assert.deepEqual(events, ['hard', 'auto-reply']);
+				callback();
+			});
+		});
+	});
+
+	it('Give the bounces to their own callbacks', function () {
+		var port = 2530;
+		var email = create({
+			sender: {
+				smtp: {
+					port: port,
+					ignoreTLS: true
+				},
+				defaultTransport: 'smtp'
+			},
+			receiver: {
+				port: port
+			}
+		});
+		var received = [];
+		var bounced = email.receiveBounces();
+
+		email.receive(function (e, parsed) {
+			received.push(parsed.subject);
+		});
+
+		return email.ready().then(function () {
+			return email.send({
+				from: 'MAILER-DAEMON@example.org',
+				to: 'support@example.com',
+				subject: 'failure notice',
+				text: '<jane@example.org>:\nSorry, no mailbox here by that name. (#5.1.1)'
+			}, {});
+		}).then(function () {
+			return bounced;
+		}).then(function (parsed) {
+			assert.equal(parsed.bounce.type, 'hard');
+			assert.equal(parsed.bounce.recipient, 'jane@example.org');
+			assert.deepEqual(received, []);
+
+			return email.close();
+		});
+	});
+
+	it('Identify the bounced recipient from the VERP tokens', function (callback) {
+		var email = create({
+			sender: {
+				stub: {},
+				defaultTransport: 'stub'
+			},
+			replyTokens: {
+				secret: 'It is a secret',
+				address: 'bounces+{token}@example.com',
+				format: 'verp'
+			}
+		});
+		var envelope;
+
+		email.sender.transports.stub.transporter.once('envelope', function (data) {
+			envelope = data;
+		});
+
+		email.send({
+			from: 'support@example.com',
+			to: 'john@example.org',
+			subject: 'Welcome',
+			text: 'Hello',
+			replyToken: true
+		}, {}, function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			parse(email, 'exim', envelope.from, function (e, parsed) {
+				assert.equal(parsed.bounce.recipient, 'john@example.org');
+				assert.deepEqual(parsed.bounce.recipients, [
+					'john@example.org',
+					'jane@example.org'
+				]);
+				assert.equal(parsed.bounce.originalMessageId, report.messageId);
+				assert.equal(parsed.context.subject, 'Welcome');
+				callback(e);
+			});
+		});
+	});
+
+};
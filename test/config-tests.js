@@ -0,0 +1,175 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var Config = require('./coverage/instrument/src/Config');
+
+var _ = require('underscore');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	it('Complete the options with the defaults', function () {
+		var options = Config.validate({
+			email: {
+				sender: {
+					stub: {}
+				},
+				receiver: {},
+				templating: {
+					i18n: {
+						locales: ['en', 'fr']
+					}
+				}
+			}
+		});
+
+		assert.equal(options.email.concurrency, 10);
+		assert.equal(options.email.receiver.port, 25);
+		assert.equal(options.email.templating.i18n.defaultLocale, 'en');
+		assert.deepEqual(options.email.templating.i18n.locales, ['en', 'fr']);
+		assert.equal(options.sms, undefined);
+		assert.deepEqual(Config.validate(), {});
+	});
+
+	it('List every invalid option by its path', function () {
+		assert.throws(function () {
+			Config.validate({
+				email: {
+					templatesDir: __dirname + '/fixtures/missing',
+					sender: {
+						smtp: {
+							port: 'twenty-five',
+							auth: {
+								pass: 'secret'
+							}
+						},
+						rules: [{
+							domain: 'example.com'
+						}]
+					},
+					templating: {
+						i18n: {
+							locales: ['fr']
+						}
+					}
+				},
+				sms: {
+					sender: {
+						http: {}
+					}
+				}
+			});
+		}, function (e) {
+			assert.deepEqual(_.pluck(e.errors, 'path'), [
+				'options.email.templatesDir',
+				'options.email.templating.i18n',
+				'options.email.sender.smtp.port',
+				'options.email.sender.smtp.auth.user',
+				'options.email.sender.rules[0].transport',
+				'options.sms.sender.http.url'
+			]);
+			assert.ok(e.message.indexOf(
+				'`options.email.sender.smtp.port` must be a port number'
+			) !== -1);
+			return true;
+		});
+	});
+
+	it('Fail the initialization on invalid options', function () {
+		var instance = SGSCommunication.create();
+
+		return instance.init({
+			email: {
+				receiver: {
+					port: -1
+				}
+			}
+		}).then(function () {
+			throw new Error('The initialization should have failed');
+		}, function (e) {
+			assert.equal(e.errors[0].path, 'options.email.receiver.port');
+			assert.deepEqual(instance.protocols, {});
+		});
+	});
+
+	it('Report the unknown options and the unconfigured transports', function () {
+		assert.throws(function () {
+			Config.validate({
+				email: {
+					sender: {
+						stub: {},
+						defaultTransport: 'ses',
+						rules: [{
+							transport: 'SMTP'
+						}, {
+							transport: 'main'
+						}],
+						routes: {
+							main: {
+								weights: {
+									stub: 1,
+									ses: 1
+								},
+								failover: ['direct', 'mailgun']
+							}
+						}
+					},
+					receiver: {
+						secure: true,
+						colour: 'blue'
+					},
+					colour: 'blue'
+				}
+			});
+		}, function (e) {
+			assert.deepEqual(_.pluck(e.errors, 'path'), [
+				'options.email.sender.defaultTransport',
+				'options.email.sender.rules[0].transport',
+				'options.email.sender.routes.main.weights.ses',
+				'options.email.sender.routes.main.failover[1]',
+				'options.email.receiver.colour',
+				'options.email.receiver',
+				'options.email.colour'
+			]);
+			assert.ok(e.message.indexOf(
+				'`options.email.colour` is unknown'
+			) !== -1);
+			return true;
+		});
+	});
+
+	it('Close the previous protocols before replacing them', function () {
+		var instance = SGSCommunication.create();
+		var options = {
+			logger: {
+				level: 'silent'
+			},
+			email: {
+				sender: {
+					stub: {},
+					defaultTransport: 'stub'
+				},
+				receiver: {
+					port: 2541
+				}
+			}
+		};
+		var previous;
+
+		return instance.init(options).then(function () {
+			previous = instance.protocols.email;
+
+			return instance.init(options);
+		}).then(function () {
+			assert.notEqual(instance.protocols.email, previous);
+
+			return instance.close();
+		}).then(function () {
+			assert.deepEqual(instance.protocols, {});
+
+			return instance.init(options);
+		}).then(function () {
+			return instance.close();
+		});
+	});
+
+};
@@ -0,0 +1,153 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+var EmailReceiver = require('./coverage/instrument/src/EmailReceiver');
+
+var _ = require('underscore');
+var assert = require('assert');
+var stream = require('stream');
+var stubTransport = require('nodemailer-stub-transport');
+
+module.exports = function () {
+	'use strict';
+
+	var record = function (emitter, names) {
+		var recorded = [];
+
+		_.each(names, function (name) {
+			emitter.on(name, function (event) {
+				recorded.push(_.extend({
+					name: name
+				}, event));
+			});
+		});
+
+		return recorded;
+	};
+
+	it('Emit the rendering and sending events of an email', function (callback) {
+		var email = SGSCommunication.protocols.email;
+		var names = ['rendering', 'rendered', 'sending', 'sent', 'failed'];
+		var recorded = record(email, names);
+
+		SGSCommunication.with('email', 'stub').send({
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			type: 'testing'
+		}, {
+			user: {
+				firstname: 'John',
+				lastname: 'Doe'
+			},
+			link: 'example.com'
+		}, function (e, report) {
+			_.each(names, function (name) {
+				email.removeAllListeners(name);
+			});
+
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(_.pluck(recorded, 'name'), names.slice(0, 4));
+			assert.equal(recorded[1].type, 'testing');
+			assert.ok(recorded[1].duration >= 0);
+			assert.deepEqual(recorded[2].recipients, ['to@example.com']);
+			assert.equal(recorded[3].messageId, report.messageId);
+			assert.equal(recorded[3].transport, 'stub');
+			callback();
+		});
+	});
+
+	it('Emit the failover and failure events of a sender', function (callback) {
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			routes: {
+				down: {
+					failover: ['broken', 'unreachable']
+				}
+			}
+		});
+		var recorded = record(sender, ['sending', 'retrying', 'sent', 'failed']);
+
+		sender.addTransport('broken', stubTransport({
+			error: true
+		}));
+		sender.addTransport('unreachable', stubTransport({
+			error: true
+		}));
+
+		sender.send('down', {
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			text: 'Hello'
+		}, function (e) {
+			assert.ok(e);
+			assert.deepEqual(_.pluck(recorded, 'name'), [
+				'sending',
+				'retrying',
+				'sending',
+				'failed'
+			]);
+			assert.equal(recorded[1].next, 'unreachable');
+			assert.equal(recorded[3].error, e);
+			assert.deepEqual(recorded[3].attempted, ['broken', 'unreachable']);
+			callback();
+		});
+	});
+
+	it('Emit the listening, rejected and received events', function (callback) {
+		var port = 2527;
+		var receiver = new EmailReceiver({
+			port: port,
+			recipientValidator: function (connection, address, cb) {
+				cb(address === 'unknown@example.com' ? new Error('Unknown') : null);
+			}
+		});
+		var recorded = record(receiver, ['listening', 'rejected', 'received']);
+
+		receiver.receive(function () {
+			var sink = new stream.Writable();
+			sink._write = function (chunk, encoding, cb) {
+				cb();
+			};
+			return sink;
+		});
+
+		receiver.on('listening', function () {
+			var sender = new EmailSender({
+				smtp: {
+					port: port,
+					ignoreTLS: true
+				},
+				defaultTransport: 'smtp'
+			});
+
+			sender.send('smtp', {
+				from: 'sender@example.com',
+				to: ['to@example.com', 'unknown@example.com'],
+				text: 'Hello'
+			}, function (e) {
+				receiver.smtp.end(function () {
+					if (e) {
+						return callback(e);
+					}
+
+					assert.deepEqual(_.pluck(recorded, 'name'), [
+						'listening',
+						'rejected',
+						'received'
+					]);
+					assert.equal(recorded[0].port, port);
+					assert.equal(recorded[1].type, 'recipient');
+					assert.equal(recorded[1].address, 'unknown@example.com');
+					assert.deepEqual(recorded[2].to, ['to@example.com']);
+					assert.ok(recorded[2].size > 0);
+					assert.ok(recorded[2].queueId);
+					callback();
+				});
+			});
+		});
+	});
+
+};
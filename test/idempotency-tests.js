@@ -0,0 +1,253 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+var Deduplicator = require('./coverage/instrument/src/Deduplicator');
+
+var _ = require('underscore');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var email = SGSCommunication.protocols.email;
+	var delivered = [];
+	var failures = 0;
+
+	email.sender.addTransport('once', {
+		send: function (mail, callback) {
+			setImmediate(function () {
+				if (failures > 0) {
+					failures -= 1;
+					return callback(new Error('Sending failed'));
+				}
+
+				delivered.push(mail.data);
+				callback(null, {
+					messageId: 'once-' + delivered.length
+				});
+			});
+		}
+	});
+
+	var welcome = function (key) {
+		return {
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			subject: 'Welcome',
+			text: 'Hello',
+			idempotencyKey: key
+		};
+	};
+
+	it('Return the original result of a repeated send', function (callback) {
+		delivered = [];
+
+		var once = SGSCommunication.with('email', 'once');
+
+		once.send(welcome('welcome-1'), {}, function (e, first) {
+			if (e) {
+				return callback(e);
+			}
+
+			email.with('once').send(welcome('welcome-1'), {}, function (e, second) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(delivered.length, 1);
+				assert.equal(delivered[0].idempotencyKey, undefined);
+				assert.deepEqual(second, first);
+				callback();
+			});
+		});
+	});
+
+	it('Retry a send which reached none of its recipients', function (callback) {
+		delivered = [];
+		failures = 1;
+
+		email.with('once').send(welcome('welcome-2'), {}, function (e, first) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(first.rejected, ['to@example.com']);
+
+			email.with('once').send(welcome('welcome-2'), {}, function (e, second) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(delivered.length, 1);
+				assert.deepEqual(second.accepted, ['to@example.com']);
+				callback();
+			});
+		});
+	});
+
+	it('Deduplicate the items of a repeated batch', function (callback) {
+		var settings = {
+			from: 'sender@example.com',
+			subject: 'Digest',
+			text: 'Hello',
+			idempotencyKey: 'digest-1'
+		};
+		var items = _.map(['a', 'b', 'c'], function (name) {
+			return {
+				to: name + '@example.com'
+			};
+		});
+
+		delivered = [];
+
+		email.with('once').sendBatch(settings, items.slice(0, 2), function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			email.with('once').sendBatch(settings, items, function (e, report) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(delivered.length, 3);
+				assert.equal(delivered[2].to, 'c@example.com');
+				assert.equal(report.accepted.length, 3);
+				callback();
+			});
+		});
+	});
+
+	it('Forget the keys once their window elapsed', function (callback) {
+		var deduplicator = new Deduplicator({
+			window: 10
+		});
+		var runs = 0;
+		var task = function (done) {
+			runs += 1;
+			setTimeout(function () {
+				done(null, runs);
+			}, 5);
+		};
+
+		deduplicator.run('key', task, function () {});
+		deduplicator.run('key', task, function (e, result, duplicate) {
+			assert.equal(result, 1);
+			assert.equal(duplicate, true);
+
+			setTimeout(function () {
+				deduplicator.purge(function (e, count) {
+					assert.equal(count, 1);
+
+					deduplicator.run('key', task, function (e, result, duplicate) {
+						assert.equal(result, 2);
+						assert.equal(duplicate, false);
+						callback(e);
+					});
+				});
+			}, 20);
+		});
+	});
+
+	it('Purge the elapsed keys while running', function (callback) {
+		var deduplicator = new Deduplicator({
+			window: 10
+		});
+
+		deduplicator.run('first', function (done) {
+			done(null, 1);
+		}, function () {
+			setTimeout(function () {
+				deduplicator.run('second', function (done) {
+					setTimeout(function () {
+						done(null, 2);
+					}, 5);
+				}, function (e) {
+					if (e) {
+						return callback(e);
+					}
+
+					deduplicator.store.list(function (e, entries) {
+						assert.deepEqual(_.pluck(entries, 'key'), ['second']);
+						callback(e);
+					});
+				});
+			}, 20);
+		});
+	});
+
+	it('Purge the elapsed keys of the emails', function () {
+		var instance = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			sender: {
+				stub: {},
+				defaultTransport: 'stub'
+			},
+			idempotency: {
+				window: 10
+			}
+		});
+
+		return instance.send(welcome('welcome-3'), {}).then(function () {
+			return new Promise(function (resolve) {
+				setTimeout(resolve, 20);
+			});
+		}).then(function () {
+			return instance.purgeIdempotencyKeys();
+		}).then(function (count) {
+			assert.equal(count, 1);
+		});
+	});
+
+	it('Run again the duplicates of an undelivered run', function (callback) {
+		var deduplicator = new Deduplicator();
+		var runs = 0;
+		var task = function (done) {
+			runs += 1;
+			var run = runs;
+			setTimeout(function () {
+				done(null, run, run > 1);
+			}, 5);
+		};
+
+		deduplicator.run('retried', task, function (e, result) {
+			assert.equal(result, 1);
+		});
+		deduplicator.run('retried', task, function (e, result, duplicate) {
+			assert.equal(result, 2);
+			assert.equal(duplicate, false);
+
+			deduplicator.run('retried', task, function (e, result, duplicate) {
+				assert.equal(result, 2);
+				assert.equal(duplicate, true);
+				assert.equal(runs, 2);
+				callback(e);
+			});
+		});
+	});
+
+	it('Fail the sending calls of an instance without sender', function () {
+		var instance = new EmailInterface({
+			logger: {
+				level: 'silent'
+			}
+		});
+		var refused = function (promise) {
+			return promise.then(function () {
+				throw new Error('The call should have failed');
+			}, function (e) {
+				assert.equal(e.message, 'EmailInterface: no sender configured');
+			});
+		};
+
+		return Promise.all([
+			refused(instance.send(welcome('welcome-4'), {})),
+			refused(instance.sendBatch({}, [])),
+			refused(instance.listScheduled()),
+			refused(instance.cancelScheduled('job')),
+			refused(instance.purgeIdempotencyKeys())
+		]);
+	});
+
+};
@@ -0,0 +1,127 @@
+var EmailRouter = require('./coverage/instrument/src/EmailRouter');
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+
+var _ = require('underscore');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var port = 2529;
+	var email;
+	var routed = [];
+
+	before(function (callback) {
+		email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			sender: {
+				smtp: {
+					port: port,
+					ignoreTLS: true
+				},
+				defaultTransport: 'smtp'
+			},
+			receiver: {
+				port: port
+			},
+			rejectUnrouted: true
+		});
+
+		email
+			.route('reply+{ticketId}@support.example.com', function (parsed, params) {
+				routed.push(['reply', parsed.subject, params]);
+			})
+			.route('bounces@*', function (parsed, params, recipient) {
+				routed.push(['bounce', parsed.subject, recipient]);
+			});
+
+		email.ready(callback);
+	});
+
+	after(function (callback) {
+		email.close(callback);
+	});
+
+	it('Match the recipients with the routes', function () {
+		var handler = function () {};
+		var fallback = function () {};
+		var router = new EmailRouter()
+			.add('reply+{ticketId}@{domain}.example.com', handler)
+			.add(/^(\w+)@sagacify\.com$/, handler);
+
+		assert.deepEqual(router.match('Reply+42@Support.example.com').params, {
+			ticketId: '42',
+			domain: 'Support'
+		});
+		assert.deepEqual(router.match('jane@sagacify.com').params, ['jane']);
+		assert.equal(router.match('reply+42@example.com'), null);
+
+		router.otherwise(fallback);
+		assert.equal(router.match('reply+42@example.com').handler, fallback);
+	});
+
+	it('Give the received emails to the handler of their recipient', function () {
+		return email.send({
+			from: 'jane@example.com',
+			to: ['reply+42@support.example.com', 'bounces@example.org'],
+			subject: 'Re: Ticket #42',
+			text: 'Thanks'
+		}, {}).then(function (report) {
+			assert.equal(report.accepted.length, 2);
+
+			return new Promise(function (resolve) {
+				email.once('received', function () {
+					setImmediate(resolve);
+				});
+			});
+		}).then(function () {
+			assert.deepEqual(routed, [
+				['reply', 'Re: Ticket #42', {
+					ticketId: '42'
+				}],
+				['bounce', 'Re: Ticket #42', 'bounces@example.org']
+			]);
+		});
+	});
+
+	it('Refuse the recipients without route at the SMTP level', function () {
+		var rejected = [];
+
+		email.on('rejected', function (event) {
+			rejected.push(event.address);
+		});
+
+		return email.send({
+			from: 'jane@example.com',
+			to: 'unknown@example.com',
+			subject: 'Hello',
+			text: 'Hello'
+		}, {}).then(function (report) {
+			assert.deepEqual(report.accepted, []);
+			assert.deepEqual(report.rejected, ['unknown@example.com']);
+			assert.deepEqual(rejected, ['unknown@example.com']);
+		});
+	});
+
+	it('Give the emails without route to the catch-all handler', function () {
+		var caught = [];
+
+		email.otherwise(function (parsed, params, recipient) {
+			caught.push(recipient);
+		});
+		email.routeEmail({
+			envelope: {
+				to: ['unknown@example.com', 'reply+7@support.example.com']
+			},
+			subject: 'Hello'
+		});
+
+		assert.deepEqual(caught, ['unknown@example.com']);
+		assert.deepEqual(_.last(routed), ['reply', 'Hello', {
+			ticketId: '7'
+		}]);
+	});
+
+};
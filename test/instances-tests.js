@@ -0,0 +1,73 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var formal;
+
+	before(function (callback) {
+		formal = SGSCommunication.create();
+
+		formal.init({
+			logger: {
+				level: 'silent'
+			},
+			sms: {
+				sender: {
+					stub: {},
+					defaultTransport: 'stub'
+				},
+				templatesDir: __dirname + '/fixtures/templates',
+				templating: {
+					i18n: {
+						locales: ['en'],
+						directory: __dirname + '/fixtures/languages-formal',
+						updateFiles: false
+					}
+				}
+			}
+		}, callback);
+	});
+
+	after(function (callback) {
+		formal.close(callback);
+	});
+
+	it('Create instances independent from the default one', function () {
+		assert.notEqual(formal, SGSCommunication);
+		assert.deepEqual(Object.keys(formal.protocols), ['sms']);
+		assert.notEqual(
+			formal.protocols.sms.sender.transports.stub,
+			SGSCommunication.protocols.sms.sender.transports.stub
+		);
+	});
+
+	it('Render the templates with the catalog of each instance', function () {
+		var settings = {
+			type: 'reminder',
+			locale: 'en'
+		};
+		var items = [{
+			user: {
+				firstname: 'Jane'
+			}
+		}];
+
+		return Promise.all([
+			formal.protocols.sms.render(settings, items),
+			SGSCommunication.protocols.sms.render(settings, items)
+		]).then(function (texts) {
+			assert.equal(
+				texts[0][0],
+				'Dear Jane, we remind you of your appointment tomorrow.'
+			);
+			assert.equal(
+				texts[1][0],
+				'Hi Jane, don\'t forget your appointment tomorrow.'
+			);
+		});
+	});
+
+};
@@ -0,0 +1,210 @@
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+var RateLimiter = require('./coverage/instrument/src/RateLimiter');
+var Config = require('./coverage/instrument/src/Config');
+
+var _ = require('underscore');
+var async = require('async');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	// Transport plugin delivering emails after a short delay.
+	var slowTransport = function (delay) {
+		var transport = {
+			name: 'slow',
+			version: '1.0.0',
+			active: 0,
+			peak: 0,
+			sent: []
+		};
+
+		transport.send = function (mail, callback) {
+			transport.active += 1;
+			transport.peak = Math.max(transport.peak, transport.active);
+
+			setTimeout(function () {
+				transport.active -= 1;
+				transport.sent.push(Date.now());
+				callback(null, {
+					messageId: String(transport.sent.length)
+				});
+			}, delay);
+		};
+
+		return transport;
+	};
+
+	var email = function (to) {
+		return {
+			from: 'sender@example.com',
+			to: to,
+			text: 'Hello'
+		};
+	};
+
+	it('Queue the sends exceeding the concurrency limit', function (callback) {
+		var transport = slowTransport(20);
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			limits: {
+				slow: {
+					concurrency: 2
+				}
+			}
+		});
+
+		sender.addTransport('slow', transport);
+
+		async.times(5, function (n, next) {
+			sender.send('slow', email('to' + n + '@example.com'), next);
+		}, function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(transport.sent.length, 5);
+			assert.equal(transport.peak, 2);
+			assert.equal(sender.getUsage('slow').active, 0);
+			callback();
+		});
+
+		var usage = sender.getUsage('slow');
+		assert.equal(usage.active, 2);
+		assert.equal(usage.queued, 3);
+		assert.equal(usage.limits.concurrency, 2);
+	});
+
+	it('Pace the sends to a rate limited domain', function (callback) {
+		this.timeout(3000);
+
+		var transport = slowTransport(0);
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			limits: {
+				slow: {
+					domains: {
+						'throttled.example.com': {
+							rate: 2
+						}
+					}
+				}
+			}
+		});
+		var start = Date.now();
+
+		sender.addTransport('slow', transport);
+
+		async.parallel([
+			sender.send.bind(sender, 'slow', email('a@throttled.example.com')),
+			sender.send.bind(sender, 'slow', email('b@throttled.example.com')),
+			sender.send.bind(sender, 'slow', email('c@throttled.example.com')),
+			sender.send.bind(sender, 'slow', email('d@example.com'))
+		], function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			var usage = sender.getUsage().slow;
+
+			assert.ok(transport.sent[2] - start < 500);
+			assert.ok(transport.sent[3] - start >= 900);
+			assert.equal(usage.day, 4);
+			assert.equal(usage.domains['throttled.example.com'].day, 3);
+			callback();
+		});
+	});
+
+	it('Hold the sends exceeding the daily quota', function (callback) {
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			limits: {
+				stub: {
+					daily: 1
+				}
+			}
+		});
+		var late = false;
+
+		sender.send('stub', email('to@example.com'), function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			sender.send('stub', email('to@example.com'), function () {
+				late = true;
+			});
+
+			var usage = sender.getUsage('stub');
+			assert.equal(usage.day, 1);
+			assert.equal(usage.queued, 1);
+			assert.equal(late, false);
+
+			sender.limiters.stub.stop();
+			callback();
+		});
+	});
+
+	it('Release the slot of a transport throwing', function (callback) {
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			limits: {
+				stub: {
+					concurrency: 1
+				}
+			}
+		});
+		var transport = sender.transports.stub;
+		var sendMail = transport.sendMail;
+
+		transport.sendMail = function () {
+			transport.sendMail = sendMail;
+			throw new Error('Invalid settings');
+		};
+
+		sender.send('stub', email('to@example.com'), function (e) {
+			assert.equal(e.message, 'Invalid settings');
+
+			sender.send('stub', email('to@example.com'), function (e, info) {
+				assert.equal(info.transport, 'stub');
+				callback(e);
+			});
+		});
+	});
+
+	it('Refuse the fractional limits', function () {
+		assert.throws(function () {
+			return new RateLimiter({
+				rate: 0.5
+			});
+		}, /`rate` must be a positive integer/);
+
+		assert.throws(function () {
+			Config.validate({
+				email: {
+					sender: {
+						limits: {
+							stub: {
+								domains: {
+									'example.com': {
+										rate: 0.5
+									}
+								}
+							}
+						}
+					}
+				}
+			});
+		}, function (e) {
+			assert.deepEqual(_.pluck(e.errors, 'path'), [
+				'options.email.sender.limits.stub.domains.example.com.rate'
+			]);
+			return true;
+		});
+	});
+
+};
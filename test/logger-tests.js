@@ -0,0 +1,125 @@
+var Logger = require('./coverage/instrument/src/Logger');
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+
+var _ = require('underscore');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var capture = function (level) {
+		var entries = [];
+		var logger = new Logger({
+			level: level,
+			fields: {
+				service: 'tests'
+			},
+			write: function (entry) {
+				entries.push(entry);
+			}
+		});
+
+		return {
+			logger: logger,
+			entries: entries
+		};
+	};
+
+	it('Write structured entries above the configured level', function () {
+		var output = capture('info');
+		var child = output.logger.child({
+			module: 'Tests'
+		});
+
+		child.debug('Hidden');
+		child.info('Shown', {
+			count: 2
+		});
+		output.logger.error('Failed', {
+			error: new Error('Boom')
+		});
+
+		assert.equal(output.entries.length, 2);
+		assert.equal(output.entries[0].level, 'info');
+		assert.equal(output.entries[0].msg, 'Shown');
+		assert.equal(output.entries[0].module, 'Tests');
+		assert.equal(output.entries[0].service, 'tests');
+		assert.equal(output.entries[0].count, 2);
+		assert.ok(output.entries[0].time);
+		assert.equal(output.entries[1].module, undefined);
+		assert.equal(output.entries[1].error.message, 'Boom');
+	});
+
+	it('Redact the secrets of the logged fields', function () {
+		var output = capture('debug');
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			logger: output.logger
+		});
+
+		sender.addSMTPTransport({
+			host: 'smtp.example.com',
+			auth: {
+				user: 'mailer',
+				pass: 'hunter2'
+			}
+		});
+		output.logger.info('Credentials', {
+			ses: {
+				accessKeyId: 'AKIA',
+				secretAccessKey: 'secret'
+			},
+			headers: [{
+				Authorization: 'Bearer token'
+			}]
+		});
+
+		var smtp = _.findWhere(output.entries, {
+			msg: 'Configuring the SMTP transport'
+		});
+		var credentials = _.last(output.entries);
+
+		assert.equal(smtp.module, 'EmailSender');
+		assert.equal(smtp.options.host, 'smtp.example.com');
+		assert.equal(smtp.options.auth.user, 'mailer');
+		assert.equal(smtp.options.auth.pass, '[REDACTED]');
+		assert.equal(credentials.ses.accessKeyId, '[REDACTED]');
+		assert.equal(credentials.ses.secretAccessKey, '[REDACTED]');
+		assert.equal(credentials.headers[0].Authorization, '[REDACTED]');
+		assert.equal(JSON.stringify(output.entries).indexOf('hunter2'), -1);
+	});
+
+	it('Route the entries to an external logger', function (callback) {
+		var calls = [];
+		var external = {};
+
+		_.each(['debug', 'info', 'warn', 'error'], function (level) {
+			external[level] = function (fields, message) {
+				calls.push([level, fields, message]);
+			};
+		});
+
+		var sender = new EmailSender({
+			stub: {},
+			defaultTransport: 'stub',
+			logger: external
+		});
+
+		sender.send('stub', {
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			text: 'Hello'
+		}, function (e, info) {
+			var sent = _.find(calls, function (call) {
+				return call[2] === 'Email sent';
+			});
+
+			assert.equal(sent[0], 'info');
+			assert.equal(sent[1].module, 'EmailSender');
+			assert.equal(sent[1].messageId, info.messageId);
+			callback(e);
+		});
+	});
+
+};
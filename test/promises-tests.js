@@ -0,0 +1,93 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+var SmsInterface = require('./coverage/instrument/src/SmsInterface');
+
+var net = require('net');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var welcome = {
+		from: 'sender@example.com',
+		to: 'to@example.com',
+		subject: 'Welcome',
+		text: 'Hello'
+	};
+
+	it('Resolve the report of a send without callback', function () {
+		return SGSCommunication.with('email', 'stub').send(welcome, {})
+			.then(function (report) {
+				assert.ok(report.messageId);
+				assert.deepEqual(report.accepted, ['to@example.com']);
+			});
+	});
+
+	it('Reject the promise of a failed send', function () {
+		var sms = new SmsInterface();
+
+		return sms.send({
+			from: 'Sagacify',
+			to: '+32470000000',
+			text: 'Hello'
+		}).then(function () {
+			throw new Error('The send should have failed');
+		}, function (e) {
+			assert.ok(e instanceof Error);
+		});
+	});
+
+	it('Keep calling the callbacks', function (callback) {
+		var result = SGSCommunication.protocols.sms.with('stub').send({
+			from: 'Sagacify',
+			to: '+32470000000',
+			text: 'Hello'
+		}, function (e, report) {
+			assert.equal(report.transport, 'stub');
+			callback(e);
+		});
+
+		assert.equal(result, undefined);
+	});
+
+	it('Resolve once the receiver is listening, then close', function () {
+		var port = 2528;
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			sender: {
+				smtp: {
+					port: port,
+					ignoreTLS: true
+				},
+				defaultTransport: 'smtp'
+			},
+			receiver: {
+				port: port
+			}
+		});
+		var received = email.receive();
+
+		return email.ready()
+			.then(function () {
+				return email.with('smtp').send(welcome, {});
+			})
+			.then(function () {
+				return received;
+			})
+			.then(function (message) {
+				assert.equal(message.subject, 'Welcome');
+				return email.close();
+			})
+			.then(function () {
+				return new Promise(function (resolve) {
+					net.connect(port).on('error', function (e) {
+						assert.equal(e.code, 'ECONNREFUSED');
+						resolve();
+					});
+				});
+			});
+	});
+
+};
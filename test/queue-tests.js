@@ -0,0 +1,140 @@
+var EmailQueue = require('./coverage/instrument/src/EmailQueue');
+var FileStore = require('./coverage/instrument/src/FileStore');
+
+var os = require('os');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var failure = function (responseCode, code) {
+		var e = new Error('Sending failed');
+		e.responseCode = responseCode;
+		e.code = code;
+		return e;
+	};
+
+	var FakeSender = function (outcomes) {
+		this.calls = 0;
+		this.send = function (transport, settings, callback) {
+			var outcome = outcomes[this.calls] || null;
+			this.calls += 1;
+
+			setImmediate(function () {
+				if (outcome) {
+					return callback(outcome);
+				}
+				callback(null, {
+					messageId: 'fake-' + this.calls
+				});
+			}.bind(this));
+		};
+	};
+
+	it('Retry transient failures with a backoff', function (callback) {
+		var sender = new FakeSender([
+			failure(421),
+			failure(null, 'ECONNRESET')
+		]);
+		var queue = new EmailQueue(sender, {
+			delay: 5
+		});
+
+		assert.equal(queue.getDelay(1), 5);
+		assert.equal(queue.getDelay(3), 20);
+
+		queue.push('stub', {
+			to: 'to@example.com'
+		}, function (e, info) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(sender.calls, 3);
+			assert.equal(info.messageId, 'fake-3');
+
+			queue.store.list(function (e, jobs) {
+				assert.equal(jobs.length, 0);
+				callback(e);
+			});
+		});
+	});
+
+	it('Move permanent failures to the dead-letter list', function (callback) {
+		var sender = new FakeSender([
+			failure(550)
+		]);
+		var queue = new EmailQueue(sender, {
+			delay: 5
+		});
+
+		queue.push('stub', {
+			to: 'unknown@example.com'
+		}, function (e) {
+			assert.equal(e.responseCode, 550);
+			assert.equal(sender.calls, 1);
+
+			queue.deadLetters(function (e, jobs) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(jobs.length, 1);
+				assert.equal(jobs[0].lastError.responseCode, 550);
+
+				queue.retry(jobs[0].id, function (e, info) {
+					assert.equal(info.messageId, 'fake-2');
+					callback(e);
+				});
+			});
+		});
+	});
+
+	it('Resume the pending jobs after a restart', function (callback) {
+		var file = path.join(os.tmpdir(), 'sgs-communication-queue.json');
+		if (fs.existsSync(file)) {
+			fs.unlinkSync(file);
+		}
+
+		// The process "crashes" while the email is being sent.
+		var crashed = new EmailQueue({
+			send: function () {}
+		}, {
+			path: file
+		});
+
+		crashed.push('stub', {
+			to: 'to@example.com'
+		});
+
+		setTimeout(function () {
+			crashed.stop();
+
+			var sender = new FakeSender([]);
+			var store = new FileStore({
+				path: file
+			});
+			var queue = new EmailQueue(sender, {
+				store: store
+			});
+
+			queue.resume(function (e, count) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(count, 1);
+
+				setTimeout(function () {
+					assert.equal(sender.calls, 1);
+					assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+					fs.unlinkSync(file);
+					callback();
+				}, 50);
+			});
+		}, 50);
+	});
+
+};
@@ -0,0 +1,346 @@
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+var EmailReceiver = require('./coverage/instrument/src/EmailReceiver');
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+
+var _ = require('underscore');
+var fs = require('fs');
+var os = require('os');
+var net = require('net');
+var path = require('path');
+var crypto = require('crypto');
+var assert = require('assert');
+var events = require('events');
+var stream = require('stream');
+
+module.exports = function () {
+	'use strict';
+
+	var port = 2531;
+	var receiver;
+	var envelopes = [];
+	var rejected = [];
+
+	var sender = function (auth) {
+		return new EmailSender({
+			logger: {
+				level: 'silent'
+			},
+			smtp: {
+				host: 'localhost',
+				port: port,
+				ignoreTLS: true,
+				auth: auth
+			},
+			defaultTransport: 'smtp'
+		});
+	};
+
+	// Sends an email over a raw SMTP session, resolved with the reply codes.
+	// Without the SIZE parameter, an oversized email is refused while streamed:
+	// its data is written in two parts, the first one being received before
+	// it exceeds the size.
+	var transmit = function (port, data, split) {
+		return new Promise(function (resolve) {
+			var socket = net.connect(port, 'localhost');
+			var replies = [];
+			var body = data + '\r\n.\r\n';
+			var commands = [
+				'EHLO localhost\r\n',
+				'MAIL FROM:<jane@example.com>\r\n',
+				'RCPT TO:<to@example.com>\r\n',
+				'DATA\r\n',
+				[body.slice(0, split), body.slice(split)],
+				'QUIT\r\n'
+			];
+			var write = function (command) {
+				if (!_.isArray(command)) {
+					return socket.write(command);
+				}
+
+				socket.write(command[0]);
+				setTimeout(function () {
+					socket.write(command[1]);
+				}, 50);
+			};
+
+			// Every command is sent once the last line of the previous reply is read.
+			socket.on('data', function (data) {
+				_.each(data.toString().match(/^\d{3} /gm), function (reply) {
+					replies.push(reply.trim());
+
+					if (commands.length) {
+						return write(commands.shift());
+					}
+
+					socket.end();
+					setTimeout(function () {
+						resolve(replies);
+					}, 50);
+				});
+			});
+		});
+	};
+
+	var jane = {
+		user: 'jane',
+		pass: 'secret'
+	};
+
+	before(function (callback) {
+		receiver = new EmailReceiver({
+			port: port,
+			logger: {
+				level: 'silent'
+			},
+			banner: 'Welcome',
+			hostname: 'mx.example.com',
+			auth: {
+				users: {
+					jane: 'secret'
+				},
+				required: true,
+				allowInsecure: true
+			},
+			maxSize: 2000,
+			maxRecipients: 2
+		}, callback);
+
+		receiver.on('rejected', function (event) {
+			rejected.push(event.type + ':' + event.address);
+		});
+
+		receiver.receive(function (envelope) {
+			var collector = new stream.Writable();
+
+			collector._write = function (chunk, encoding, cb) {
+				cb();
+			};
+			envelopes.push(envelope);
+
+			return collector;
+		});
+	});
+
+	after(function (callback) {
+		receiver.close(callback);
+	});
+
+	it('Greet the clients with the banner and host name', function (callback) {
+		var socket = net.connect(port, 'localhost');
+
+		socket.once('data', function (data) {
+			assert.equal(data.toString().trim(), '220 mx.example.com ESMTP Welcome');
+			socket.end();
+			callback();
+		});
+	});
+
+	it('Pass the TLS and DNS options to the SMTP server', function () {
+		var secure = new EmailReceiver({
+			port: 0,
+			logger: {
+				level: 'silent'
+			},
+			tls: {
+				key: 'KEY',
+				cert: 'CERT'
+			},
+			disableDNSValidation: false
+		});
+		var options = secure.smtp.options;
+
+		assert.deepEqual(options.credentials, {
+			key: 'KEY',
+			cert: 'CERT'
+		});
+		assert.equal(options.disableSTARTTLS, false);
+		assert.equal(options.disableDNSValidation, false);
+		assert.equal(receiver.smtp.options.disableSTARTTLS, true);
+		assert.equal(receiver.smtp.options.disableDNSValidation, true);
+
+		return secure.close();
+	});
+
+	it('Authenticate the clients', function (callback) {
+		sender({
+			user: 'jane',
+			pass: 'wrong'
+		}).send('smtp', {
+			from: 'jane@example.com',
+			to: 'to@example.com',
+			text: 'Hello'
+		}, function (e) {
+			assert.ok(e);
+
+			sender().send('smtp', {
+				from: 'jane@example.com',
+				to: 'to@example.com',
+				text: 'Hello'
+			}, function (e) {
+				assert.equal(e.responseCode, 530);
+
+				sender(jane).send('smtp', {
+					from: 'jane@example.com',
+					to: 'to@example.com',
+					text: 'Hello'
+				}, function (e) {
+					assert.equal(envelopes.length, 1);
+					assert.equal(envelopes[0].user, 'jane');
+					callback(e);
+				});
+			});
+		});
+	});
+
+	it('Limit the amount of recipients per email', function (callback) {
+		sender(jane).send('smtp', {
+			from: 'jane@example.com',
+			to: ['a@example.com', 'b@example.com', 'c@example.com'],
+			text: 'Hello'
+		}, function (e, info) {
+			assert.deepEqual(info.accepted, ['a@example.com', 'b@example.com']);
+			assert.deepEqual(info.rejected, ['c@example.com']);
+			assert.deepEqual(rejected, ['recipient:c@example.com']);
+			callback(e);
+		});
+	});
+
+	it('Refuse the emails exceeding the maximum size', function (callback) {
+		var count = envelopes.length;
+
+		sender(jane).send('smtp', {
+			from: 'jane@example.com',
+			to: 'to@example.com',
+			text: new Array(3000).join('a')
+		}, function (e) {
+			assert.equal(e.responseCode, 552);
+			assert.equal(envelopes.length, count + 1);
+			assert.equal(rejected.pop(), 'message:jane@example.com');
+			callback();
+		});
+	});
+
+	it('Remove the attachments of the emails exceeding the size', function () {
+		var directory = path.join(os.tmpdir(), 'sgs-communication-oversized');
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			receiver: {
+				port: port + 1,
+				maxSize: 20000
+			},
+			attachments: {
+				directory: directory
+			}
+		});
+		var received = [];
+
+		if (!fs.existsSync(directory)) {
+			fs.mkdirSync(directory);
+		}
+
+		email.receive(function (e, parsed) {
+			received.push(parsed);
+		});
+
+		return email.ready().then(function () {
+			var content = crypto.randomBytes(30000).toString('base64');
+
+			return transmit(port + 1, [
+				'From: jane@example.com',
+				'To: to@example.com',
+				'Subject: Archive',
+				'MIME-Version: 1.0',
+				'Content-Type: multipart/mixed; boundary="b1"',
+				'',
+				'--b1',
+				'Content-Type: application/octet-stream; name="big.bin"',
+				'Content-Disposition: attachment; filename="big.bin"',
+				'Content-Transfer-Encoding: base64',
+				'',
+				content.replace(/.{76}/g, '$&\r\n'),
+				'--b1--'
+			].join('\r\n'), 15000);
+		}).then(function (replies) {
+			assert.equal(replies[5], '552');
+			assert.deepEqual(fs.readdirSync(directory), []);
+			assert.deepEqual(received, []);
+			fs.rmdirSync(directory);
+
+			return email.close();
+		});
+	});
+
+	it('Tear the parser of a refused email down', function (callback) {
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			}
+		});
+		var parser = email.InstanciateMailParser(function () {
+			callback(new Error('The refused email should not be parsed'));
+		})(null);
+
+		parser.on('end', function () {
+			setTimeout(callback, 50);
+		});
+		parser.write([
+			'From: jane@example.com',
+			'Subject: Archive',
+			'MIME-Version: 1.0',
+			'Content-Type: multipart/mixed; boundary="b1"',
+			'',
+			'--b1',
+			'Content-Type: text/plain',
+			'',
+			'Hello'
+		].join('\r\n'));
+		parser.destroy();
+	});
+
+	it('Tell the custom streams about the refused emails', function () {
+		var custom = new EmailReceiver({
+			port: port + 2,
+			logger: {
+				level: 'silent'
+			},
+			maxSize: 2000
+		});
+		var errors = [];
+		var ended = 0;
+		var streams = [
+			// Listening to the errors
+			_.extend(new events.EventEmitter(), {
+				write: function () {}
+			}).on('error', function (e) {
+				errors.push(e.message);
+			}),
+			// Only written and ended
+			{
+				write: function () {},
+				end: function () {
+					ended++;
+				}
+			}
+		];
+		var data = new Array(3000).join('a');
+
+		custom.receive(function () {
+			return streams.shift();
+		});
+
+		return custom.ready().then(function () {
+			return transmit(port + 2, data, 1500);
+		}).then(function () {
+			return transmit(port + 2, data, 1500);
+		}).then(function (replies) {
+			assert.equal(replies[5], '552');
+			assert.deepEqual(errors, ['The email exceeds 2000 bytes']);
+			assert.equal(ended, 1);
+
+			return custom.close();
+		});
+	});
+
+};
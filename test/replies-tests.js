@@ -0,0 +1,331 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var ReplyParser = require('./coverage/instrument/src/ReplyParser');
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+
+var _ = require('underscore');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var fixtures = path.join(__dirname, 'fixtures', 'replies');
+
+	var read = function (name) {
+		return fs.readFileSync(path.join(fixtures, name), 'utf8');
+	};
+
+	// Checks a cleaned reply against the expected text of the client.
+	var check = function (reply, client) {
+		assert.equal(reply.text, read(client + '.txt').trim());
+		assert.equal(reply.html.indexOf('wrote:'), -1);
+		assert.equal(reply.html.indexOf('From:'), -1);
+		assert.equal(reply.html.indexOf('<blockquote'), -1);
+		assert.equal(reply.html.indexOf('<img'), -1);
+	};
+
+	_.chain(fs.readdirSync(fixtures))
+		.filter(function (file) {
+			return path.extname(file) === '.html';
+		})
+		.each(function (file) {
+			var client = path.basename(file, '.html');
+
+			it('Strip the quotes of a ' + client + ' reply', function () {
+				check(ReplyParser.cleanHtml(read(file)), client);
+			});
+		});
+
+	// Raw messages, parsed as received
+	_.chain(fs.readdirSync(fixtures))
+		.filter(function (file) {
+			return path.extname(file) === '.eml';
+		})
+		.each(function (file) {
+			var client = path.basename(file, '.eml');
+
+			it('Strip the quotes of a raw ' + client + ' reply', function (callback) {
+				var email = SGSCommunication.protocols.email;
+
+				email.InstanciateMailParser(function (e, parsed) {
+					check(parsed.reply, client);
+					callback(e);
+				})().end(read(file));
+			});
+		});
+
+	var replies = {
+		English: [
+			'Thanks, it works now.',
+			'',
+			'Sent from my iPhone',
+			'',
+			'On Fri, Mar 13, 2015 at 10:12 AM Support <support@example.com>',
+			'wrote:',
+			'> Did it work?'
+		],
+		French: [
+			'Merci, cela fonctionne.',
+			'',
+			'Envoyé de mon iPhone',
+			'',
+			'Le ven. 13 mars 2015 à 10:12, Support <support@example.com> a écrit :',
+			'> Est-ce que cela fonctionne ?'
+		],
+		Dutch: [
+			'Bedankt, het werkt nu.',
+			'',
+			'Verzonden vanaf mijn iPad',
+			'',
+			'Op 13 mrt. 2015 om 10:12 heeft Support <support@example.com> het ' +
+				'volgende geschreven:',
+			'> Werkt het?'
+		],
+		German: [
+			'Danke, es funktioniert jetzt.',
+			'',
+			'Von meinem iPhone gesendet',
+			'',
+			'Am 13.03.2015 um 10:12 schrieb Support <support@example.com>:',
+			'> Funktioniert es?'
+		],
+		Spanish: [
+			'Gracias, ya funciona.',
+			'',
+			'Enviado desde mi iPhone',
+			'',
+			'El vie., 13 mar. 2015 a las 10:12, Support (<support@example.com>) ' +
+				'escribió:',
+			'> ¿Funciona?'
+		]
+	};
+
+	_.each(replies, function (lines, language) {
+		it('Strip the quotes of a reply written in ' + language, function () {
+			var email = SGSCommunication.protocols.email;
+			var reply = lines[0];
+
+			assert.equal(email.getCleanEmailBody(lines.join('\r\n')), reply);
+			assert.equal(email.getCleanEmailBody([reply, ''].concat(
+				lines.slice(3)
+			).join('\n')), reply);
+		});
+	});
+
+	it('Strip the quoted headers and forwarded messages', function () {
+		assert.equal(ReplyParser.cleanText([
+			'Voir ci-dessous.',
+			'',
+			'-------- Message transféré --------',
+			'Sujet : Facture'
+		].join('\n')), 'Voir ci-dessous.');
+		assert.equal(ReplyParser.cleanText([
+			'Zie hieronder.',
+			'',
+			'Van: Support [mailto:support@example.com]',
+			'Verzonden: vrijdag 13 maart 2015 10:12'
+		].join('\n')), 'Zie hieronder.');
+		assert.equal(ReplyParser.cleanText([
+			'Siehe unten.',
+			'',
+			'-----Ursprüngliche Nachricht-----',
+			'Von: Support'
+		].join('\n')), 'Siehe unten.');
+	});
+
+	it('Extend the rules of a locale', function () {
+		var text = [
+			'Grazie mille.',
+			'',
+			'Il giorno ven 13 mar 2015 alle ore 10:12 Support ha scritto:',
+			'> Funziona?'
+		].join('\n');
+		var rules = {
+			it: {
+				quotes: [/^Il giorno .+ ha scritto:$/]
+			}
+		};
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			replyRules: rules
+		});
+
+		assert.equal(ReplyParser.cleanText(text, rules), 'Grazie mille.');
+		assert.equal(email.getCleanEmailBody(text), 'Grazie mille.');
+		// The rules given to an interface are not shared with the others
+		assert.notEqual(
+			SGSCommunication.protocols.email.getCleanEmailBody(text),
+			'Grazie mille.'
+		);
+	});
+
+	it('Add rules to a single interface', function () {
+		var text = [
+			'Grazie mille.',
+			'',
+			'Da: Support <support@example.com>',
+			'Oggetto: Fattura'
+		].join('\n');
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			}
+		});
+
+		email.addReplyRules('it', {
+			quotes: [/^Da: .+/]
+		});
+		email.addReplyRules('it', {
+			fields: {
+				from: ['Da'],
+				subject: ['Oggetto']
+			}
+		});
+
+		assert.equal(email.getCleanEmailBody(text), 'Grazie mille.');
+		assert.equal(
+			ReplyParser.parseText(text, email.replyRules).quoted.subject,
+			'Fattura'
+		);
+		assert.notEqual(ReplyParser.cleanText(text), 'Grazie mille.');
+		assert.notEqual(
+			SGSCommunication.protocols.email.getCleanEmailBody(text),
+			'Grazie mille.'
+		);
+	});
+
+	it('Keep the images which are not trackers', function () {
+		var reply = ReplyParser.cleanHtml([
+			'<p>See the plan:</p>',
+			'<img src="cid:plan.png" width="640" height="480">',
+			'<img src="https://example.com/o.gif" style="width: 1px; height: 1px">'
+		].join(''));
+
+		assert.equal(reply.html, [
+			'<p>See the plan:</p>',
+			'<img src="cid:plan.png" width="640" height="480">'
+		].join(''));
+		assert.equal(reply.text, 'See the plan:');
+	});
+
+	it('Split a reply into its reply, signature and quoted parts', function () {
+		var parts = ReplyParser.parseText([
+			'Thanks, it works now.',
+			'',
+			'-- ',
+			'Jane Doe',
+			'ACME',
+			''
+		].concat(replies.English.slice(4), '> > Is it broken?').join('\r\n'));
+
+		assert.equal(parts.reply, 'Thanks, it works now.');
+		assert.equal(parts.signature, 'Jane Doe\nACME');
+		assert.equal(parts.forwarded, null);
+		assert.deepEqual(parts.quoted, {
+			from: {
+				name: 'Support',
+				address: 'support@example.com'
+			},
+			date: 'Fri, Mar 13, 2015 at 10:12 AM',
+			subject: null,
+			text: 'Did it work?\n> Is it broken?'
+		});
+	});
+
+	it('Parse the attribution of a quoted message', function () {
+		var dates = {
+			French: 'ven. 13 mars 2015 à 10:12',
+			Dutch: '13 mrt. 2015 om 10:12',
+			German: '13.03.2015 um 10:12',
+			Spanish: 'vie., 13 mar. 2015 a las 10:12'
+		};
+
+		_.each(dates, function (date, language) {
+			var parts = ReplyParser.parseText(replies[language].join('\n'));
+
+			assert.equal(parts.reply, replies[language][0]);
+			assert.equal(parts.signature, replies[language][2]);
+			assert.equal(parts.quoted.date, date);
+			assert.deepEqual(parts.quoted.from, {
+				name: 'Support',
+				address: 'support@example.com'
+			});
+		});
+	});
+
+	it('Parse the header of a forwarded message', function () {
+		var parts = ReplyParser.parseText([
+			'See below.',
+			'',
+			'---------- Forwarded message ---------',
+			'From: Support <support@example.com>',
+			'Date: Fri, Mar 13, 2015 at 10:12 AM',
+			'Subject: Invoice',
+			'To: Jane Doe <jane@example.com>',
+			'',
+			'Please find the invoice attached.'
+		].join('\n'));
+
+		assert.equal(parts.reply, 'See below.');
+		assert.equal(parts.quoted, null);
+		assert.deepEqual(parts.forwarded, {
+			from: {
+				name: 'Support',
+				address: 'support@example.com'
+			},
+			date: 'Fri, Mar 13, 2015 at 10:12 AM',
+			subject: 'Invoice',
+			text: 'Please find the invoice attached.'
+		});
+
+		var quoted = ReplyParser.parseText([
+			'Zie hieronder.',
+			'',
+			'Van: Support [mailto:support@example.com]',
+			'Verzonden: vrijdag 13 maart 2015 10:12',
+			'Onderwerp: Factuur'
+		].join('\n')).quoted;
+
+		assert.equal(quoted.from.address, 'support@example.com');
+		assert.equal(quoted.date, 'vrijdag 13 maart 2015 10:12');
+		assert.equal(quoted.subject, 'Factuur');
+	});
+
+	var message = read('gmail.eml');
+	var quoted = 'Hello Jane,\n\nCan we meet on Monday?';
+
+	it('Give the parsed emails their cleaned reply', function (callback) {
+		var email = SGSCommunication.protocols.email;
+		var parser = email.InstanciateMailParser(function (e, parsed) {
+			assert.equal(parsed.reply.text, read('gmail.txt').trim());
+			assert.equal(parsed.reply.html.indexOf('gmail_quote'), -1);
+			assert.equal(parsed.reply.quoted.from.name, 'Support');
+			assert.equal(parsed.reply.quoted.text, quoted);
+			assert.equal(parsed.text, read('gmail.txt').trim());
+			callback(e);
+		})();
+
+		parser.end(message);
+	});
+
+	it('Keep the raw text with the `cleanText` option off', function (callback) {
+		var email = new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			cleanText: false
+		});
+		var parser = email.InstanciateMailParser(function (e, parsed) {
+			assert.equal(parsed.reply.signature, 'Jane Doe\nSagacify');
+			assert.equal(parsed.reply.quoted.text, quoted);
+			assert.notEqual(parsed.text.indexOf('> Hello Jane,'), -1);
+			callback(e);
+		})();
+
+		parser.end(message);
+	});
+
+};
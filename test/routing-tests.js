@@ -0,0 +1,137 @@
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+
+var assert = require('assert');
+var stubTransport = require('nodemailer-stub-transport');
+
+module.exports = function () {
+	'use strict';
+
+	var sender = new EmailSender({
+		stub: {},
+		defaultTransport: 'stub',
+		routes: {
+			main: {
+				failover: ['broken', 'stub']
+			},
+			down: {
+				failover: ['broken', 'unreachable']
+			},
+			warmup: {
+				weights: {
+					stub: 90,
+					fresh: 10
+				},
+				failover: ['stub']
+			}
+		},
+		rules: [{
+			domain: ['corp.example.com', /\.internal$/],
+			transport: 'fresh'
+		}, {
+			type: 'newsletter',
+			transport: 'warmup'
+		}]
+	});
+
+	sender.addTransport('fresh', stubTransport());
+	sender.addTransport('broken', stubTransport({
+		error: true
+	}));
+	sender.addTransport('unreachable', stubTransport({
+		error: true
+	}));
+
+	var email = function (settings) {
+		settings.from = 'sender@example.com';
+		settings.text = 'Hello';
+		return settings;
+	};
+
+	it('Fail over to the next transport of a route', function (callback) {
+		sender.send('main', email({
+			to: 'to@example.com'
+		}), function (e, info) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(info.transport, 'stub');
+			assert.deepEqual(info.attempted, ['broken', 'stub']);
+			callback();
+		});
+	});
+
+	it('Report the last transport tried when a route fails', function (callback) {
+		sender.send('down', email({
+			to: 'to@example.com'
+		}), function (e) {
+			assert.ok(e instanceof Error);
+			assert.equal(e.transport, 'unreachable');
+			assert.deepEqual(e.attempted, ['broken', 'unreachable']);
+			callback();
+		});
+	});
+
+	it('Fail without failing over on a permanent rejection', function (callback) {
+		var rejecting = new EmailSender({
+			stub: {},
+			routes: {
+				main: {
+					failover: ['rejecting', 'stub']
+				}
+			}
+		});
+
+		rejecting.addTransport('rejecting', {
+			send: function (mail, cb) {
+				var e = new Error('Recipient address rejected');
+				e.responseCode = 550;
+				setImmediate(function () {
+					cb(e);
+				});
+			}
+		});
+
+		rejecting.send('main', email({
+			to: 'unknown@example.com'
+		}), function (e) {
+			assert.equal(e.responseCode, 550);
+			assert.deepEqual(e.attempted, ['rejecting']);
+			callback();
+		});
+	});
+
+	it('Split the traffic of a route by weight', function () {
+		sender.random = function () {
+			return 0.95;
+		};
+		assert.deepEqual(sender.resolve('warmup'), ['fresh', 'stub']);
+
+		sender.random = function () {
+			return 0.5;
+		};
+		assert.deepEqual(sender.resolve('warmup'), ['stub']);
+
+		delete sender.random;
+	});
+
+	it('Route by recipient domain and message type', function () {
+		assert.equal(sender.getTransportName(null, {
+			to: ['a@corp.example.com', 'B <b@mail.internal>']
+		}), 'fresh');
+
+		assert.equal(sender.getTransportName('*', {
+			to: ['a@corp.example.com', 'b@example.com']
+		}), 'stub');
+
+		assert.equal(sender.getTransportName(null, {
+			to: 'a@example.com',
+			type: 'newsletter'
+		}), 'warmup');
+
+		assert.equal(sender.getTransportName('main', {
+			to: 'a@corp.example.com'
+		}), 'main');
+	});
+
+};
@@ -0,0 +1,171 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var EmailScheduler = require('./coverage/instrument/src/EmailScheduler');
+
+var os = require('os');
+var fs = require('fs');
+var path = require('path');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var email = SGSCommunication.protocols.email;
+	var delivered = [];
+
+	email.sender.addTransport('later', {
+		send: function (mail, callback) {
+			delivered.push(mail.data);
+			setImmediate(function () {
+				callback(null, {
+					messageId: 'later-' + delivered.length
+				});
+			});
+		}
+	});
+
+	it('Deliver an email once its delay elapsed', function (callback) {
+		SGSCommunication.with('email', 'later').send({
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			subject: 'Reminder',
+			text: 'Hello',
+			delay: 30
+		}, {}, function (e, job) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(job.state, 'scheduled');
+			assert.equal(delivered.length, 0);
+
+			email.listScheduled(function (e, jobs) {
+				assert.equal(jobs.length, 1);
+				assert.equal(jobs[0].id, job.id);
+				assert.equal(jobs[0].settings.delay, undefined);
+
+				setTimeout(function () {
+					assert.equal(delivered.length, 1);
+					assert.equal(delivered[0].subject, 'Reminder');
+
+					email.listScheduled(function (e, jobs) {
+						assert.equal(jobs.length, 0);
+						callback(e);
+					});
+				}, 60);
+			});
+		});
+	});
+
+	it('Cancel a scheduled email', function (callback) {
+		delivered = [];
+
+		SGSCommunication.with('email', 'later').send({
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			text: 'Hello',
+			sendAt: new Date(Date.now() + 20)
+		}, {}, function (e, job) {
+			if (e) {
+				return callback(e);
+			}
+
+			email.cancelScheduled(job.id, function (e) {
+				if (e) {
+					return callback(e);
+				}
+
+				email.cancelScheduled(job.id, function (e) {
+					assert.ok(/unknown job/.test(e.message));
+
+					setTimeout(function () {
+						assert.equal(delivered.length, 0);
+						callback();
+					}, 40);
+				});
+			});
+		});
+	});
+
+	it('Resume the scheduled emails after a restart', function (callback) {
+		var file = path.join(os.tmpdir(), 'sgs-communication-scheduler.json');
+		if (fs.existsSync(file)) {
+			fs.unlinkSync(file);
+		}
+
+		var crashed = new EmailScheduler(function () {}, {
+			path: file
+		});
+
+		crashed.schedule({
+			transport: 'stub',
+			settings: {
+				to: 'to@example.com'
+			},
+			data: [{}],
+			sendAt: Date.now() + 20
+		}, function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			crashed.stop();
+
+			var jobs = [];
+			var scheduler = new EmailScheduler(function (job, cb) {
+				jobs.push(job);
+				cb();
+			}, {
+				path: file
+			});
+
+			scheduler.resume(function (e, count) {
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(count, 1);
+
+				setTimeout(function () {
+					assert.equal(jobs.length, 1);
+					assert.equal(jobs[0].settings.to, 'to@example.com');
+					assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf8')), {});
+					fs.unlinkSync(file);
+					callback();
+				}, 50);
+			});
+		});
+	});
+
+	it('Hold the process alive for the jobs kept in memory', function (callback) {
+		var file = path.join(os.tmpdir(), 'sgs-communication-timers.json');
+		var memory = new EmailScheduler(function () {});
+		var persistent = new EmailScheduler(function () {}, {
+			path: file
+		});
+		var job = {
+			transport: 'stub',
+			settings: {
+				to: 'to@example.com'
+			},
+			data: [{}],
+			sendAt: Date.now() + 60000
+		};
+
+		memory.schedule(job, function (e, scheduled) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(memory.timers[scheduled.id].hasRef(), true);
+			memory.stop();
+
+			persistent.schedule(job, function (e, scheduled) {
+				assert.equal(persistent.timers[scheduled.id].hasRef(), false);
+				persistent.stop();
+				fs.unlinkSync(file);
+				callback(e);
+			});
+		});
+	});
+
+};
@@ -0,0 +1,141 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+
+var fs = require('fs');
+var faker = require('faker');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var email = SGSCommunication.protocols.email;
+
+	var data = function () {
+		return {
+			user: {
+				firstname: faker.Name.firstName(),
+				lastname: faker.Name.lastName()
+			},
+			link: faker.Internet.domainName()
+		};
+	};
+
+	email.sender.addTransport('failing', require('nodemailer-stub-transport')({
+		error: true
+	}));
+
+	email.sender.addTransport('partial', {
+		send: function (mail, callback) {
+			setImmediate(function () {
+				callback(null, {
+					accepted: ['accepted@example.com'],
+					rejected: ['rejected@example.com'],
+					pending: [{
+						domain: 'example.org',
+						recipients: ['pending@example.org']
+					}],
+					messageId: 'partial-1'
+				});
+			});
+		}
+	});
+
+	it('Assemble an email with resolved attachments', function (callback) {
+		var user = data();
+
+		email.assembleEmail({
+			type: 'testing'
+		}, [user], function (e, emails) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(emails.length, 1);
+			assert.equal(emails[0].subject, 'Mr. ' + user.user.lastname);
+			assert.ok(emails[0].html.indexOf(user.link) !== -1);
+			assert.equal(emails[0].attachments[0].filename, 'emptyfile.md');
+			assert.ok(fs.existsSync(emails[0].attachments[0].path));
+			callback();
+		});
+	});
+
+	it('Report every recipient as accepted by the stub', function (callback) {
+		SGSCommunication.with('email', 'stub').send({
+			from: 'sender@example.com',
+			to: 'John Doe <to@example.com>',
+			cc: ['cc@example.com'],
+			type: 'testing'
+		}, data(), function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(report.accepted, ['to@example.com', 'cc@example.com']);
+			assert.deepEqual(report.rejected, []);
+			assert.deepEqual(report.pending, []);
+			assert.deepEqual(report.errors, []);
+			assert.equal(report.transport, 'stub');
+			assert.ok(report.messageId);
+			callback();
+		});
+	});
+
+	it('Report one result per item of a batch', function (callback) {
+		SGSCommunication.with('email', 'stub').send({
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			type: 'testing'
+		}, [data(), data()], function (e, reports) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(reports.length, 2);
+			assert.notEqual(reports[0].messageId, reports[1].messageId);
+			callback();
+		});
+	});
+
+	it('Report every recipient as rejected on failure', function (callback) {
+		SGSCommunication.with('email', 'failing').send({
+			from: 'sender@example.com',
+			to: ['first@example.com', 'second@example.com'],
+			type: 'testing'
+		}, data(), function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(report.accepted, []);
+			assert.deepEqual(report.rejected, [
+				'first@example.com',
+				'second@example.com'
+			]);
+			assert.equal(report.errors.length, 1);
+			assert.equal(report.transport, 'failing');
+			callback();
+		});
+	});
+
+	it('Report accepted, rejected and pending recipients', function (callback) {
+		SGSCommunication.with('email', 'partial').send({
+			from: 'sender@example.com',
+			to: [
+				'accepted@example.com',
+				'rejected@example.com',
+				'pending@example.org'
+			],
+			type: 'testing'
+		}, data(), function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(report.accepted, ['accepted@example.com']);
+			assert.deepEqual(report.rejected, ['rejected@example.com']);
+			assert.deepEqual(report.pending, ['pending@example.org']);
+			assert.equal(report.messageId, 'partial-1');
+			callback();
+		});
+	});
+
+};
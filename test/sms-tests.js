@@ -0,0 +1,245 @@
+var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
+var SmsHttpTransport = require('./coverage/instrument/src/SmsHttpTransport');
+var SmsReceiver = require('./coverage/instrument/src/SmsReceiver');
+
+var http = require('http');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	it('Count GSM-7 and UCS-2 segments', function () {
+		var sms = SGSCommunication.protocols.sms;
+
+		assert.deepEqual(sms.count(new Array(161).join('a')), {
+			encoding: 'GSM-7',
+			length: 160,
+			segments: 1,
+			perSegment: 160,
+			remaining: 0
+		});
+		assert.equal(sms.count(new Array(162).join('a')).segments, 2);
+		assert.equal(sms.count(new Array(81).join('€')).length, 160);
+		assert.equal(sms.count('Ça coûte 5€').encoding, 'UCS-2');
+		assert.equal(sms.count(new Array(72).join('û')).segments, 2);
+	});
+
+	it('Send an SMS with the stub transport', function (callback) {
+		SGSCommunication.with('sms', 'stub').send({
+			from: 'Sagacify',
+			to: ['+32470123456', '0470123456'],
+			text: 'Hello world'
+		}, null, function (e, info) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.deepEqual(info.accepted, ['+32470123456']);
+			assert.deepEqual(info.rejected, ['0470123456']);
+			assert.equal(info.segments, 1);
+			assert.equal(info.transport, 'stub');
+			callback();
+		});
+	});
+
+	it('Send an SMS with the HTTP provider transport', function (callback) {
+		var received;
+		var server = http.createServer(function (request, response) {
+			var chunks = [];
+			request.on('data', function (chunk) {
+				chunks.push(chunk);
+			});
+			request.on('end', function () {
+				received = JSON.parse(chunks.join(''));
+				response.writeHead(201, {
+					'Content-Type': 'application/json'
+				});
+				response.end(JSON.stringify({
+					id: 'provider-1'
+				}));
+			});
+		});
+
+		server.listen(0, function () {
+			var sms = SGSCommunication.protocols.sms;
+			sms.sender.addTransport('mock', new SmsHttpTransport({
+				url: 'http://127.0.0.1:' + server.address().port + '/sms'
+			}));
+
+			sms.with('mock').send({
+				from: '+32470000000',
+				to: '+32470123456',
+				text: 'Hello provider'
+			}, function (e, info) {
+				server.close();
+
+				if (e) {
+					return callback(e);
+				}
+
+				assert.equal(received.text, 'Hello provider');
+				assert.equal(info.messageIds['+32470123456'], 'provider-1');
+				callback();
+			});
+		});
+	});
+
+	it('Send a templated SMS in the locale of each item', function (callback) {
+		SGSCommunication.with('sms', 'stub').send({
+			from: 'Sagacify',
+			to: '+32470123456',
+			type: 'reminder'
+		}, [{
+			locale: 'en',
+			user: {
+				firstname: 'Jane'
+			}
+		}, {
+			locale: 'fr',
+			user: {
+				firstname: 'Jean'
+			}
+		}], function (e, reports) {
+			if (e) {
+				return callback(e);
+			}
+
+			var messages = SGSCommunication.protocols.sms.sender.transports.stub
+				.messages.slice(-2);
+
+			assert.equal(reports.length, 2);
+			assert.equal(
+				messages[0].text,
+				'Hi Jane, don\'t forget your appointment tomorrow.'
+			);
+			assert.equal(
+				messages[1].text,
+				'Bonjour Jean, n\'oubliez pas votre rendez-vous de demain.'
+			);
+			callback();
+		});
+	});
+
+	it('Refuse an SMS body exceeding its segments budget', function (callback) {
+		var sms = SGSCommunication.protocols.sms;
+
+		sms.render({
+			type: 'digest',
+			locale: 'en'
+		}, [{
+			count: 3
+		}], function (e, texts) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(texts[0], 'You have 3 new messages waiting for you.');
+
+			sms.with('stub').send({
+				from: 'Sagacify',
+				to: '+32470123456',
+				type: 'digest',
+				locale: 'fr'
+			}, {
+				count: 3
+			}, function (e) {
+				assert.ok(e instanceof Error);
+				assert.equal(e.locale, 'fr');
+				assert.equal(e.segments, 2);
+				assert.equal(e.budget, 1);
+				callback();
+			});
+		});
+	});
+
+	it('Receive signed inbound SMS\'s on the webhook', function (callback) {
+		var receiver;
+		var post = function (body, signature, cb) {
+			var payload = JSON.stringify(body);
+			var request = http.request({
+				hostname: '127.0.0.1',
+				port: receiver.server.address().port,
+				path: '/sms',
+				method: 'POST',
+				headers: {
+					'Content-Type': 'application/json',
+					'X-Signature': signature || receiver.sign(payload)
+				}
+			}, function (response) {
+				response.resume();
+				cb(response.statusCode);
+			});
+			request.end(payload);
+		};
+
+		receiver = new SmsReceiver({
+			port: 0,
+			secret: 'shared-secret'
+		}, function () {
+			receiver.receive(function (e, message) {
+				assert.equal(message.type, 'message');
+				assert.equal(message.from, '+32470123456');
+				assert.equal(message.to, '+32470000000');
+				assert.equal(message.body, 'STOP');
+				assert.equal(message.providerId, 'inbound-1');
+				assert.ok(message.receivedAt instanceof Date);
+				receiver.server.close();
+				callback();
+			});
+
+			post({
+				From: '+32470123456',
+				To: '+32470000000',
+				Body: 'STOP',
+				MessageSid: 'inbound-1'
+			}, 'forged', function (statusCode) {
+				assert.equal(statusCode, 401);
+
+				post({
+					From: '+32470123456',
+					To: '+32470000000',
+					Body: 'STOP',
+					MessageSid: 'inbound-1'
+				}, null, function (statusCode) {
+					assert.equal(statusCode, 200);
+				});
+			});
+		});
+	});
+
+	it('Require a secret and refuse the oversized requests', function (callback) {
+		assert.throws(function () {
+			return new SmsReceiver({
+				port: 0
+			});
+		}, /`secret` option is required/);
+
+		var receiver = new SmsReceiver({
+			port: 0,
+			insecure: true,
+			maxBodySize: 16
+		}, function () {
+			var request = http.request({
+				hostname: '127.0.0.1',
+				port: receiver.server.address().port,
+				path: '/sms',
+				method: 'POST'
+			}, function (response) {
+				var body = '';
+
+				response.on('data', function (chunk) {
+					body += chunk;
+				}).on('end', function () {
+					assert.equal(response.statusCode, 413);
+					assert.equal(body, 'Payload Too Large');
+					receiver.server.close();
+					callback();
+				});
+			});
+
+			request.on('error', function () {});
+			request.end(new Array(64).join('a'));
+		});
+	});
+
+};
@@ -0,0 +1,111 @@
+var EmailSender = require('./coverage/instrument/src/EmailSender');
+var EmailReceiver = require('./coverage/instrument/src/EmailReceiver');
+
+var async = require('async');
+var assert = require('assert');
+var stream = require('stream');
+
+module.exports = function () {
+	'use strict';
+
+	var port = 2526;
+	var receiver;
+	var envelopes = [];
+	var senders = [];
+	var messages = [];
+
+	before(function (callback) {
+		receiver = new EmailReceiver({
+			port: port
+		}, callback);
+
+		receiver.smtp.on('startData', function (envelope) {
+			envelopes.push(envelope);
+			senders.push(envelope.from);
+		});
+
+		receiver.receive(function () {
+			var chunks = [];
+			var collector = new stream.Writable();
+
+			collector._write = function (chunk, encoding, cb) {
+				chunks.push(chunk);
+				cb();
+			};
+			collector.on('finish', function () {
+				messages.push(Buffer.concat(chunks).toString());
+			});
+
+			return collector;
+		});
+	});
+
+	after(function (callback) {
+		receiver.smtp.end(callback);
+	});
+
+	it('Relay emails through an SMTP server', function (callback) {
+		var sender = new EmailSender({
+			smtp: {
+				host: 'localhost',
+				port: port,
+				ignoreTLS: true
+			},
+			defaultTransport: 'smtp'
+		});
+
+		sender.send('smtp', {
+			from: 'sender@example.com',
+			to: 'to@example.com',
+			subject: 'Relayed',
+			text: 'Hello'
+		}, function (e, info) {
+			if (e) {
+				return callback(e);
+			}
+
+			assert.equal(info.transport, 'smtp');
+			assert.deepEqual(info.accepted, ['to@example.com']);
+			assert.equal(envelopes.length, 1);
+			assert.equal(senders[0], 'sender@example.com');
+			assert.ok(/Subject: Relayed/.test(messages[0]));
+			callback();
+		});
+	});
+
+	it('Reuse the pooled SMTP connections', function (callback) {
+		var sender = new EmailSender({
+			smtp: {
+				host: 'localhost',
+				port: port,
+				ignoreTLS: true,
+				pool: true,
+				maxConnections: 1
+			},
+			defaultTransport: 'smtp'
+		});
+
+		envelopes = [];
+
+		async.timesSeries(3, function (n, next) {
+			sender.send('smtp', {
+				from: 'sender@example.com',
+				to: 'to' + n + '@example.com',
+				subject: 'Pooled ' + n,
+				text: 'Hello'
+			}, next);
+		}, function (e) {
+			sender.transports.smtp.close();
+
+			if (e) {
+				return callback(e);
+			}
+
+			// simplesmtp keeps one envelope object per connection
+			assert.equal(envelopes.length, 3);
+			assert.equal(envelopes[0], envelopes[2]);
+			callback();
+		});
+	});
+
+};
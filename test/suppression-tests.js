@@ -0,0 +1,246 @@
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+var SuppressionList = require('./coverage/instrument/src/SuppressionList');
+
+var _ = require('underscore');
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var create = function (options) {
+		return new EmailInterface(_.extend({
+			logger: {
+				level: 'silent'
+			},
+			sender: {
+				stub: {},
+				defaultTransport: 'stub'
+			}
+		}, options));
+	};
+
+	it('Add, list, remove and expire the suppressed addresses', function () {
+		var suppression = new SuppressionList();
+
+		return Promise.all([
+			suppression.add('Jane@Example.com', {
+				reason: 'complaint'
+			}),
+			suppression.add('john@example.com', {
+				duration: 60000
+			}),
+			suppression.add('old@example.com', {
+				expiresAt: Date.now() - 1000
+			})
+		]).then(function () {
+			return suppression.check([
+				'jane@example.com',
+				'John@example.com',
+				'old@example.com',
+				'other@example.com'
+			]);
+		}).then(function (suppressed) {
+			assert.deepEqual(suppressed, ['jane@example.com', 'John@example.com']);
+
+			return suppression.list();
+		}).then(function (entries) {
+			assert.deepEqual(_.pluck(entries, 'address'), [
+				'jane@example.com',
+				'john@example.com'
+			]);
+			assert.equal(entries[0].reason, 'complaint');
+			assert.equal(entries[0].expiresAt, null);
+			assert.ok(entries[1].expiresAt > Date.now());
+
+			return suppression.expire();
+		}).then(function (count) {
+			assert.equal(count, 1);
+
+			return suppression.remove('JANE@example.com');
+		}).then(function () {
+			return suppression.list();
+		}).then(function (entries) {
+			assert.deepEqual(_.pluck(entries, 'address'), ['john@example.com']);
+		});
+	});
+
+	it('Persist the suppressed addresses to a JSON file', function () {
+		var file = path.join(os.tmpdir(), 'sgs-communication-suppression.json');
+		if (fs.existsSync(file)) {
+			fs.unlinkSync(file);
+		}
+
+		return new SuppressionList({
+			path: file
+		}).add('jane@example.com').then(function () {
+			return new SuppressionList({
+				path: file
+			}).list();
+		}).then(function (entries) {
+			assert.deepEqual(_.pluck(entries, 'address'), ['jane@example.com']);
+			fs.unlinkSync(file);
+		});
+	});
+
+	it('Skip the suppressed recipients when sending', function () {
+		var email = create();
+		var envelopes = [];
+
+		email.sender.transports.stub.transporter.on('envelope', function (data) {
+			envelopes.push(data);
+		});
+
+		return email.addSuppression('jane@example.com').then(function () {
+			return email.send({
+				from: 'support@example.com',
+				to: 'Jane <Jane@example.com>, john@example.com',
+				cc: [{
+					name: 'Jane',
+					address: 'jane@example.com'
+				}],
+				subject: 'Newsletter',
+				text: 'Hello'
+			}, {});
+		}).then(function (report) {
+			assert.deepEqual(report.accepted, ['john@example.com']);
+			assert.deepEqual(report.suppressed, [
+				'Jane@example.com',
+				'jane@example.com'
+			]);
+			assert.deepEqual(envelopes[0].to, ['john@example.com']);
+
+			return email.send({
+				from: 'support@example.com',
+				to: 'jane@example.com',
+				subject: 'Newsletter',
+				text: 'Hello'
+			}, {});
+		}).then(function (report) {
+			assert.deepEqual(report.accepted, []);
+			assert.deepEqual(report.rejected, []);
+			assert.deepEqual(report.suppressed, ['jane@example.com']);
+			assert.equal(envelopes.length, 1);
+		});
+	});
+
+	it('Fail the sending when the suppressions can\'t be read', function () {
+		var failure = new Error('Store unavailable');
+		var email = create({
+			suppression: {
+				store: {
+					get: function (key, callback) {
+						callback(failure);
+					}
+				}
+			}
+		});
+		var envelopes = [];
+
+		email.sender.transports.stub.transporter.on('envelope', function (data) {
+			envelopes.push(data);
+		});
+
+		return email.suppression.check(['jane@example.com']).then(function () {
+			throw new Error('The check should have failed');
+		}, function (e) {
+			assert.equal(e, failure);
+
+			return email.send({
+				from: 'support@example.com',
+				to: 'jane@example.com',
+				subject: 'Newsletter',
+				text: 'Hello'
+			}, {});
+		}).then(function (report) {
+			assert.deepEqual(report.accepted, []);
+			assert.deepEqual(report.rejected, ['jane@example.com']);
+			assert.equal(report.errors[0], failure);
+			assert.deepEqual(envelopes, []);
+		});
+	});
+
+	it('Skip the suppressed recipients of the envelope', function () {
+		var email = create();
+		var envelopes = [];
+
+		email.sender.transports.stub.transporter.on('envelope', function (data) {
+			envelopes.push(data);
+		});
+
+		return email.addSuppression('jane@example.com').then(function () {
+			return email.send({
+				from: 'support@example.com',
+				to: 'list@example.com',
+				envelope: {
+					from: 'bounces@example.com',
+					to: ['Jane@example.com', 'john@example.com']
+				},
+				subject: 'Newsletter',
+				text: 'Hello'
+			}, {});
+		}).then(function (report) {
+			assert.deepEqual(report.suppressed, ['Jane@example.com']);
+			assert.deepEqual(envelopes[0].to, ['john@example.com']);
+
+			return email.send({
+				from: 'support@example.com',
+				to: 'list@example.com',
+				envelope: {
+					from: 'bounces@example.com',
+					to: 'jane@example.com'
+				},
+				subject: 'Newsletter',
+				text: 'Hello'
+			}, {});
+		}).then(function (report) {
+			assert.deepEqual(report.suppressed, ['jane@example.com']);
+			assert.deepEqual(report.accepted, []);
+			assert.equal(envelopes.length, 1);
+		});
+	});
+
+	it('Send the transactional emails to the suppressed recipients', function () {
+		var email = create();
+
+		return email.addSuppression('jane@example.com').then(function () {
+			return email.sendBatch({
+				from: 'support@example.com',
+				subject: 'Password reset',
+				text: 'Reset your password',
+				ignoreSuppression: true
+			}, [{
+				to: 'jane@example.com'
+			}]);
+		}).then(function (report) {
+			assert.deepEqual(report.accepted, ['jane@example.com']);
+			assert.deepEqual(report.suppressed, []);
+
+			return email.removeSuppression('jane@example.com');
+		}).then(function () {
+			return email.listSuppressions();
+		}).then(function (entries) {
+			assert.deepEqual(entries, []);
+		});
+	});
+
+	it('Suppress the recipients of the hard bounces', function (callback) {
+		var email = create();
+		var file = path.join(__dirname, 'fixtures', 'bounces', 'dsn-hard.eml');
+
+		email.InstanciateMailParser(function (e) {
+			if (e) {
+				return callback(e);
+			}
+
+			email.listSuppressions(function (e, entries) {
+				assert.deepEqual(_.pluck(entries, 'address'), ['jane@example.org']);
+				assert.equal(entries[0].reason, 'hard-bounce');
+				callback(e);
+			});
+		})().end(fs.readFileSync(file));
+	});
+
+};
@@ -1,22 +1,158 @@
 var SGSCommunication = require('./coverage/instrument/src/sgs-communication');
 // var SGSCommunication = require('../src/sgs-communication');
 SGSCommunication.init({
+	logger: {
+		level: 'silent'
+	},
 	email: {
 		sender: {
 			stub: {},
 			defaultTransport: 'stub'
 		},
-		templatesDir: __dirname + '/fixtures/templates'
+		templatesDir: __dirname + '/fixtures/templates',
+		templating: {
+			i18n: {
+				locales: ['en', 'fr'],
+				directory: __dirname + '/fixtures/languages',
+				updateFiles: false
+			}
+		}
+	},
+	sms: {
+		sender: {
+			stub: {},
+			defaultTransport: 'stub'
+		},
+		templatesDir: __dirname + '/fixtures/templates',
+		templating: {
+			i18n: {
+				locales: ['en', 'fr'],
+				directory: __dirname + '/fixtures/languages',
+				updateFiles: false
+			}
+		},
+		budgets: {
+			digest: 1
+		}
 	}
 });
 
 var templatingTests = require('./templating-tests');
+var sendingTests = require('./sending-tests');
+var batchTests = require('./batch-tests');
+var queueTests = require('./queue-tests');
+var schedulerTests = require('./scheduler-tests');
+var idempotencyTests = require('./idempotency-tests');
+var routingTests = require('./routing-tests');
+var smtpTests = require('./smtp-tests');
+var limitsTests = require('./limits-tests');
+var eventsTests = require('./events-tests');
+var loggerTests = require('./logger-tests');
+var promisesTests = require('./promises-tests');
+var instancesTests = require('./instances-tests');
+var configTests = require('./config-tests');
+var repliesTests = require('./replies-tests');
+var attachmentsTests = require('./attachments-tests');
+var inboundTests = require('./inbound-tests');
+var tokensTests = require('./tokens-tests');
+var bouncesTests = require('./bounces-tests');
+var suppressionTests = require('./suppression-tests');
+var receiverTests = require('./receiver-tests');
+var smsTests = require('./sms-tests');
 
 describe('Testing the Communication module:', function () {
 	'use strict';
 
+	before(function (callback) {
+		SGSCommunication.ready(callback);
+	});
+
 	describe('Testing the templating features:', function () {
 		templatingTests();
 	});
 
+	describe('Testing the sending pipeline:', function () {
+		sendingTests();
+	});
+
+	describe('Testing the batch sending:', function () {
+		batchTests();
+	});
+
+	describe('Testing the outbound queue:', function () {
+		queueTests();
+	});
+
+	describe('Testing the scheduled sending:', function () {
+		schedulerTests();
+	});
+
+	describe('Testing the idempotent sending:', function () {
+		idempotencyTests();
+	});
+
+	describe('Testing the transport routing:', function () {
+		routingTests();
+	});
+
+	describe('Testing the SMTP relay transport:', function () {
+		smtpTests();
+	});
+
+	describe('Testing the rate limiting:', function () {
+		limitsTests();
+	});
+
+	describe('Testing the lifecycle events:', function () {
+		eventsTests();
+	});
+
+	describe('Testing the structured logger:', function () {
+		loggerTests();
+	});
+
+	describe('Testing the promise based API:', function () {
+		promisesTests();
+	});
+
+	describe('Testing the independent instances:', function () {
+		instancesTests();
+	});
+
+	describe('Testing the options validation:', function () {
+		configTests();
+	});
+
+	describe('Testing the reply extraction:', function () {
+		repliesTests();
+	});
+
+	describe('Testing the inbound attachments:', function () {
+		attachmentsTests();
+	});
+
+	describe('Testing the inbound routing:', function () {
+		inboundTests();
+	});
+
+	describe('Testing the reply tokens:', function () {
+		tokensTests();
+	});
+
+	describe('Testing the bounces:', function () {
+		bouncesTests();
+	});
+
+	describe('Testing the suppression list:', function () {
+		suppressionTests();
+	});
+
+	describe('Testing the SMTP server options:', function () {
+		receiverTests();
+	});
+
+	describe('Testing the SMS features:', function () {
+		smsTests();
+	});
+
 });
@@ -0,0 +1,222 @@
+var EmailInterface = require('./coverage/instrument/src/EmailInterface');
+var ReplyTokens = require('./coverage/instrument/src/ReplyTokens');
+
+var assert = require('assert');
+
+module.exports = function () {
+	'use strict';
+
+	var options = {
+		secret: 'It is a secret',
+		address: 'reply+{token}@support.example.com'
+	};
+
+	var create = function (replyTokens) {
+		return new EmailInterface({
+			logger: {
+				level: 'silent'
+			},
+			sender: {
+				stub: {},
+				defaultTransport: 'stub'
+			},
+			replyTokens: replyTokens
+		});
+	};
+
+	// Parses a reply, received by the given recipient, with some headers.
+	var reply = function (email, recipient, headers, callback) {
+		email.InstanciateMailParser(callback)({
+			from: 'jane@example.com',
+			to: [recipient]
+		}).end(headers.concat([
+			'From: Jane Doe <jane@example.com>',
+			'To: ' + recipient,
+			'Subject: Re: Ticket #42',
+			'',
+			'Thanks!',
+			''
+		]).join('\r\n'));
+	};
+
+	it('Sign the reply addresses and Message-IDs', function (callback) {
+		var tokens = new ReplyTokens(options);
+
+		tokens.issue({
+			type: 'ticket'
+		}, function (e, issued) {
+			var address = issued.address;
+
+			assert.ok(/^reply\+[0-9a-f]{12}-[0-9a-f]{16}@support\./.test(address));
+			assert.ok(/^<[0-9a-f]{12}\.[0-9a-f]{16}@support\./.test(issued.messageId));
+			assert.deepEqual(tokens.parse(address.toUpperCase()), {
+				id: issued.id,
+				recipient: null,
+				valid: true
+			});
+			assert.equal(tokens.parse(address.replace(/-(\w)/, function (m, c) {
+				return '-' + (c === '0' ? '1' : '0');
+			})).valid, false);
+			assert.equal(tokens.parse('support@example.com'), null);
+			assert.equal(tokens.parseMessageId(issued.messageId).valid, true);
+			assert.equal(tokens.parseMessageId(issued.messageId.replace(
+				'support.example.com',
+				'example.org'
+			)), null);
+			callback(e);
+		});
+	});
+
+	it('Give the replies the context of the sent email', function (callback) {
+		var email = create(options);
+		var raw = '';
+
+		email.sender.transports.stub.transporter.once('end', function (info) {
+			raw = info.response.toString();
+		});
+
+		email.send({
+			from: 'support@example.com',
+			to: 'jane@example.com',
+			subject: 'Ticket #42',
+			text: 'Is your issue solved?',
+			replyToken: true,
+			metadata: {
+				ticketId: 42
+			}
+		}, {}, function (e, report) {
+			if (e) {
+				return callback(e);
+			}
+
+			var address = raw.match(/^Reply-To: (.+)$/m)[1].trim();
+
+			assert.ok(raw.indexOf('Message-Id: <' + report.messageId + '>') !== -1);
+			assert.equal(raw.indexOf('ticketId'), -1);
+
+			reply(email, address, [], function (e, parsed) {
+				assert.equal(parsed.context.id, address.match(/\+(\w+)-/)[1]);
+				assert.deepEqual(parsed.context.metadata, {
+					ticketId: 42
+				});
+				assert.deepEqual(parsed.context.to, ['jane@example.com']);
+				assert.equal(parsed.context.subject, 'Ticket #42');
+				callback(e);
+			});
+		});
+	});
+
+	it('Find the context from the References headers', function (callback) {
+		var email = create(options);
+
+		email.replyTokens.issue({
+			type: 'ticket'
+		}, function (e, issued) {
+			reply(email, 'support@example.com', [
+				'In-Reply-To: <unknown@example.org>',
+				'References: <unknown@example.org> ' + issued.messageId
+			], function (e, parsed) {
+				assert.equal(parsed.context.id, issued.id);
+				assert.equal(parsed.context.type, 'ticket');
+
+				reply(email, 'support@example.com', [], function (e, parsed) {
+					assert.equal(parsed.context, null);
+					callback(e);
+				});
+			});
+		});
+	});
+
+	it('Refuse the replies with a forged token', function (callback) {
+		var email = create(options);
+		var forged = 'reply+0123456789ab-0123456789abcdef@support.example.com';
+
+		email.replyTokens.validator()({}, forged, function (e) {
+			assert.equal(e.message, 'ReplyTokens: forged reply token');
+
+			reply(email, forged, [], function (e, parsed) {
+				assert.ok(e.forged);
+				assert.equal(parsed, undefined);
+				callback();
+			});
+		});
+	});
+
+	it('Carry the recipient in the VERP tokens', function (callback) {
+		var email = create({
+			secret: options.secret,
+			address: 'bounces+{token}@example.com',
+			format: 'verp'
+		});
+		var envelope;
+
+		email.sender.transports.stub.transporter.once('envelope', function (data) {
+			envelope = data;
+		});
+
+		email.send({
+			from: 'support@example.com',
+			to: 'Jane <jane@example.org>',
+			subject: 'Welcome',
+			text: 'Hello',
+			replyToken: true
+		}, {}, function (e) {
+			var token = email.replyTokens.parse(envelope.from);
+
+			assert.ok(/-jane=example\.org@example\.com$/.test(envelope.from));
+			assert.deepEqual(envelope.to, ['jane@example.org']);
+			assert.equal(token.recipient, 'jane@example.org');
+			assert.equal(token.valid, true);
+			assert.equal(email.replyTokens.parse(
+				envelope.from.replace('jane=', 'john=')
+			).valid, false);
+			callback(e);
+		});
+	});
+
+	it('Refuse the VERP tokens of an email with several recipients', function () {
+		var email = create({
+			secret: options.secret,
+			address: 'bounces+{token}@example.com',
+			format: 'verp'
+		});
+		var envelopes = [];
+
+		email.sender.transports.stub.transporter.on('envelope', function (data) {
+			envelopes.push(data);
+		});
+
+		return email.send({
+			from: 'support@example.com',
+			to: 'jane@example.org',
+			cc: 'john@example.org',
+			subject: 'Welcome',
+			text: 'Hello',
+			replyToken: true
+		}, {}).then(function (report) {
+			assert.deepEqual(report.rejected, [
+				'jane@example.org',
+				'john@example.org'
+			]);
+			assert.ok(/single recipient/.test(report.errors[0].message));
+			assert.deepEqual(envelopes, []);
+		});
+	});
+
+	it('Refuse the reply tokens without the `replyTokens` option', function () {
+		return create().send({
+			from: 'support@example.com',
+			to: 'jane@example.com',
+			subject: 'Welcome',
+			text: 'Hello',
+			replyToken: true
+		}, {}).then(function (report) {
+			assert.deepEqual(report.rejected, ['jane@example.com']);
+			assert.equal(
+				report.errors[0].message,
+				'EmailInterface: no `replyTokens` option was provided'
+			);
+		});
+	});
+
+};